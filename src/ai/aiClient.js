@@ -9,8 +9,24 @@ import {
   buildObservationalPrompt,
   buildCaseReportPrompt,
   buildQualitativePrompt,
-  buildBasicSciencePrompt
+  buildBasicSciencePrompt,
+  buildRepairPrompt,
+  buildAppraisalPrompt,
+  buildChecklistPrompt,
+  buildGradePrompt,
+  splitArticleIntoChunks,
+  APPRAISAL_SECTIONS,
+  CLASSIFICATION_SECTIONS,
+  EXTRACTION_SECTIONS,
+  METHODOLOGY_SECTIONS
 } from "./promptTemplates.js";
+import {
+  combineUsage,
+  fitPromptToSession,
+  getSessionBudget,
+  measureTextUsage,
+  measureTokens
+} from "./tokenBudget.js";
 import {
   createFallbackSummary,
   createFallbackMethodology,
@@ -18,7 +34,25 @@ import {
   createFallbackTranslation,
   createFallbackKeyPoints
 } from "./fallbacks.js";
-import { validateMethodologyText } from "./validators.js";
+import {
+  createAppraisalSchema,
+  createChecklistSchema,
+  createGradeSchema,
+  createRepairSchema,
+  CLASSIFICATION_SCHEMA,
+  KEY_POINTS_SCHEMA,
+  METHODOLOGY_SCHEMA,
+  SIMPLIFICATION_SCHEMA,
+  QUESTION_TYPES,
+  SUMMARY_SCHEMAS,
+  TRANSLATION_SCHEMA
+} from "./schemas.js";
+import { applyFieldFixes, validateAgainstSchema, validateMethodologyText } from "./validators.js";
+import { groundSourceQuotes } from "./sourceGrounding.js";
+import { verifyNumbers } from "./numericVerification.js";
+import { hintChecklistItems, prefillChecklistAnswers } from "./appraisal/checklist.js";
+import { listGradeOutcomes } from "./appraisal/grade.js";
+import { selectAppraisalTool } from "./appraisal/index.js";
 import { MODEL_UNAVAILABLE_MESSAGE } from "../shared/constants.js";
 
 /**
@@ -26,15 +60,23 @@ import { MODEL_UNAVAILABLE_MESSAGE } from "../shared/constants.js";
  * Steps:
  * 1) Classify study type and framework
  * 2) Use an appropriate prompt template
- * 3) Always include studyType/framework in the output; include frameworkSpecific when applicable
+ * 3) Papers longer than the session's token quota are summarized excerpt by excerpt and the partial
+ *    summaries merged (map-reduce); result.chunking records which excerpts filled each field
+ * 4) Always include studyType/framework in the output; include frameworkSpecific when applicable
+ * 5) Locate each field's supporting quote in the page text (result.grounding)
+ * 6) Check that every number in the output appears in the paper (result.numericCheck)
+ * result.usage reports the tokens used and dropped across all calls (classification included)
  * @param {Object} documentSnapshot - Document snapshot containing meta and article content
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Cancels classification and extraction
  * @returns {Promise<Object>} Structured summary object
+ * @throws {DOMException} AbortError when the signal is aborted
  */
-export async function generateStructuredSummary(documentSnapshot) {
+export async function generateStructuredSummary(documentSnapshot, { signal } = {}) {
   const fallback = createFallbackSummary(documentSnapshot, MODEL_UNAVAILABLE_MESSAGE);
 
   // 1) Attempt study-type classification first (separate short session)
-  const classification = await detectStudyType(documentSnapshot);
+  const classification = await detectStudyType(documentSnapshot, { signal });
 
   // 2) Create main session for extraction
   const session = await createLanguageModelSession({
@@ -42,7 +84,8 @@ export async function generateStructuredSummary(documentSnapshot) {
       { role: "system", content: "You are a medical research analyst. Output strictly valid JSON." }
     ],
     temperature: 0.3,
-    topK: 10
+    topK: 10,
+    signal
   }, "en");
 
   if (!session) {
@@ -59,31 +102,105 @@ export async function generateStructuredSummary(documentSnapshot) {
     const type = classification?.data?.studyType || "Other";
     const framework = classification?.data?.framework || "None";
 
-    let prompt;
+    let buildPrompt;
+    let schema;
     if (type === "Systematic Review" || type === "Meta-Analysis") {
-      prompt = buildSystematicReviewPrompt(documentSnapshot);
+      buildPrompt = buildSystematicReviewPrompt;
+      schema = SUMMARY_SCHEMAS.PRISMA;
     } else if (type === "Diagnostic Accuracy") {
-      prompt = buildDiagnosticAccuracyPrompt(documentSnapshot);
+      buildPrompt = buildDiagnosticAccuracyPrompt;
+      schema = SUMMARY_SCHEMAS.STARD;
     } else if (type === "Cohort" || type === "Case-Control" || type === "Cross-Sectional") {
-      prompt = buildObservationalPrompt(documentSnapshot);
+      buildPrompt = buildObservationalPrompt;
+      schema = SUMMARY_SCHEMAS.STROBE;
     } else if (type === "Case Report" || type === "Case Series") {
-      prompt = buildCaseReportPrompt(documentSnapshot);
+      buildPrompt = buildCaseReportPrompt;
+      schema = SUMMARY_SCHEMAS.CARE;
     } else if (type === "Qualitative") {
-      prompt = buildQualitativePrompt(documentSnapshot);
+      buildPrompt = buildQualitativePrompt;
+      schema = SUMMARY_SCHEMAS.COREQ;
     } else if (type === "Basic Science") {
-      prompt = buildBasicSciencePrompt(documentSnapshot);
+      buildPrompt = buildBasicSciencePrompt;
+      schema = SUMMARY_SCHEMAS.BASIC_SCIENCE;
     } else {
       // Default to PICO-style clinical extraction (RCT, interventional, or unknown)
-      prompt = buildStructuredSummaryPrompt(documentSnapshot);
+      buildPrompt = buildStructuredSummaryPrompt;
+      schema = SUMMARY_SCHEMAS.PICO;
+    }
+
+    const article = documentSnapshot?.article || {};
+    const fitted = await fitPromptToSession(session, {
+      article,
+      sectionKeys: EXTRACTION_SECTIONS,
+      buildPrompt: (candidate) => buildPrompt({ ...documentSnapshot, article: candidate })
+    });
+    // The classifier only reads the opening sections; count its tokens but not what it skipped
+    const classificationUsage = classification?.usage && { ...classification.usage, droppedTokens: 0, droppedSections: [] };
+    let parsed;
+    let chunking = null;
+    let excerpts = [];
+    let usage;
+
+    if (!fitted.capacityCharacters) {
+      throw new Error("The prompt instructions alone exceed the model's input quota.");
     }
 
-    const response = await session.prompt(prompt);
-    const parsed = safeJsonParse(response);
+    // One prompt when the whole paper fits; otherwise excerpts sized to the capacity (the templates'
+    // default limit when the session reports no quota), rather than cutting the paper short
+    if (fitted.usage.totalCharacters <= fitted.capacityCharacters) {
+      parsed = await promptForJson(session, fitted.prompt, { schema, signal });
+      usage = combineUsage([classificationUsage, fitted.usage], {
+        includedCharacters: fitted.usage.includedCharacters,
+        totalCharacters: fitted.usage.totalCharacters
+      });
+    } else {
+      const { chunks, dropped } = splitArticleIntoChunks(article, fitted.capacityCharacters);
+      excerpts = chunks;
+      const merged = await summarizeInChunks(session, documentSnapshot, chunks, { buildPrompt, schema, signal });
+      parsed = merged?.data;
+      chunking = merged && {
+        chunks: chunks.map(({ index, sections, characters }) => ({ index, sections, characters })),
+        contributingChunks: merged.contributingChunks,
+        fieldSources: merged.fieldSources
+      };
+
+      const chunkUsages = merged?.usages || [];
+      const droppedTokens = dropped.text ? (await measureTokens(session, dropped.text)).tokens : 0;
+      usage = combineUsage([classificationUsage, ...chunkUsages], {
+        includedCharacters: chunkUsages.reduce((total, chunkUsage) => total + chunkUsage.includedCharacters, 0),
+        totalCharacters: fitted.usage.totalCharacters,
+        droppedTokens,
+        droppedSections: dropped.sections
+      });
+    }
 
     if (!parsed) {
       throw new Error("Language model returned invalid JSON.");
     }
 
+    // Excerpts are prompted on clones, so the main session has not seen the paper: a merged summary
+    // is repaired from the text of the excerpts behind its invalid fields
+    const checked = await repairAgainstSchema(session, parsed, schema, {
+      signal,
+      repairContext: chunking && ((fields) => {
+        const { sources, ...answer } = parsed;
+        return {
+          answer,
+          excerpt: selectRepairExcerpt(excerpts, chunking.fieldSources, fields),
+          contextBudget: Math.max(0, fitted.capacityCharacters - JSON.stringify(answer).length)
+        };
+      })
+    });
+    // Quotes live next to the data they support, not inside it
+    const { sources, ...extracted } = checked.data;
+    parsed = extracted;
+    const grounding = {
+      ...groundSourceQuotes(sources, article.textContent),
+      // PDFs are parsed in the side panel; there is no page to highlight in
+      pageLinked: documentSnapshot?.extraction?.adapter !== "pdf"
+    };
+    const numericCheck = verifyNumbers(parsed, collectSourceTexts(documentSnapshot));
+
     // Ensure classification annotations are present
     if (!parsed.studyType && classification?.data?.studyType) {
       parsed.studyType = classification.data.studyType;
@@ -96,9 +213,20 @@ export async function generateStructuredSummary(documentSnapshot) {
       source: "chrome-ai-language-model",
       generatedAt: new Date().toISOString(),
       classification,
+      citation: documentSnapshot?.meta?.citation || null,
+      tables: documentSnapshot?.article?.tables || [],
+      references: documentSnapshot?.article?.references || [],
+      ...(chunking ? { chunking } : {}),
+      ...(usage ? { usage } : {}),
+      schemaValidation: checked.schemaValidation,
+      grounding,
+      numericCheck,
       data: parsed
     };
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     console.warn("MedLit: falling back for structured summary", error);
     const result = {
       ...fallback,
@@ -114,14 +242,249 @@ export async function generateStructuredSummary(documentSnapshot) {
   }
 }
 
+/**
+ * Gathers every text a summary's numbers may legitimately come from: the page text, its
+ * sections, its tables, and the metadata shown in the prompt
+ * @param {Object} documentSnapshot - Document snapshot the summary was generated from
+ * @returns {string[]} Source texts
+ * @private
+ */
+function collectSourceTexts(documentSnapshot) {
+  const { meta = {}, article = {} } = documentSnapshot || {};
+  return [
+    meta.title,
+    meta.metaDescription,
+    article.textContent,
+    ...Object.values(article.sections || {}),
+    ...(article.tables || []).flatMap((table) => [table.caption, ...(table.rows || []).flat(), ...(table.footnotes || [])])
+  ].filter((text) => typeof text === "string");
+}
+
+/**
+ * Sections each top-level summary field is best taken from, most trusted first
+ * When excerpts disagree, the value from the best-ranked excerpt wins: e.g. outcome numbers
+ * from the Results beat the rounded figures in the Abstract.
+ * @constant {Object<string, string[]>}
+ */
+const FIELD_SOURCE_PRIORITY = {
+  studyDesign: ["methods", "abstract", "results", "introduction"],
+  population: ["methods", "tables", "results", "abstract"],
+  intervention: ["methods", "abstract", "results"],
+  comparison: ["methods", "abstract", "results"],
+  outcomes: ["results", "tables", "abstract", "conclusions", "discussion"],
+  interpretation: ["discussion", "conclusions", "results", "abstract"],
+  default: ["results", "tables", "methods", "abstract", "conclusions", "discussion", "introduction", "text"]
+};
+
+/**
+ * Values the templates use for "nothing found"; they never override a real value from another excerpt
+ * @constant {RegExp}
+ */
+const PLACEHOLDER_VALUE_PATTERN = /^(not\s+(reported|specified|stated|provided|available|applicable|mentioned|listed|calculated|described)|n\/?a|unknown|unclear|none\s+(reported|listed)|-|—)\.?$/i;
+
+/**
+ * Map step: runs the summary template over each excerpt in a fresh copy of the session
+ * @param {Object} session - Language model session configured for extraction
+ * @param {Object} documentSnapshot - The full document snapshot
+ * @param {Array<Object>} chunks - Excerpts from splitArticleIntoChunks
+ * @param {Object} options - Options
+ * @param {Function} options.buildPrompt - Framework prompt builder
+ * @param {Object} [options.schema] - JSON Schema of the framework's summary
+ * @param {AbortSignal} [options.signal] - Cancels the remaining excerpts
+ * @returns {Promise<Object|null>} Merged summary plus the token usage of each excerpt, or null
+ *   when no excerpt produced valid JSON
+ * @private
+ */
+async function summarizeInChunks(session, documentSnapshot, chunks, { buildPrompt, schema, signal }) {
+  const partials = [];
+  const usages = [];
+
+  for (const chunk of chunks) {
+    // A clone keeps earlier excerpts out of the context window
+    const chunkSession = typeof session.clone === "function" ? await session.clone({ signal }) : session;
+    try {
+      const { prompt, usage } = await fitPromptToSession(chunkSession, {
+        article: chunk.article,
+        sectionKeys: EXTRACTION_SECTIONS,
+        buildPrompt: (candidate) => buildPrompt({ ...documentSnapshot, article: candidate })
+      });
+      usages.push(usage);
+      const data = await promptForJson(chunkSession, prompt, { schema, signal });
+      if (data) {
+        partials.push({ chunk, data });
+      } else {
+        console.warn(`MedLit: excerpt ${chunk.index + 1} returned invalid JSON`);
+      }
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      console.warn(`MedLit: excerpt ${chunk.index + 1} failed`, error);
+    } finally {
+      if (chunkSession !== session) {
+        destroySession(chunkSession);
+      }
+    }
+  }
+
+  return partials.length ? { ...mergePartialSummaries(partials), usages } : null;
+}
+
+/**
+ * Joins the text of the excerpts that filled the given fields (every excerpt when none is recorded)
+ * @param {Array<Object>} chunks - Excerpts from splitArticleIntoChunks
+ * @param {Object<string, number[]>} fieldSources - Excerpt indexes behind each field path
+ * @param {Array<{path: string}>} fields - Fields to find the text for
+ * @returns {string} Excerpt text
+ * @private
+ */
+function selectRepairExcerpt(chunks, fieldSources, fields) {
+  const isWithin = (path, source) => path === source || path.startsWith(`${source}.`) || path.startsWith(`${source}[`);
+  const indexes = new Set(fields.flatMap(({ path }) => Object.entries(fieldSources)
+    .filter(([source]) => isWithin(path, source))
+    .flatMap(([, sourceIndexes]) => sourceIndexes)));
+  return chunks
+    .filter((chunk) => !indexes.size || indexes.has(chunk.index))
+    .map((chunk) => chunk.article.textContent)
+    .join("\n\n");
+}
+
+/**
+ * Reduce step: merges per-excerpt summaries into one summary with the template's shape
+ * Objects merge key by key, lists are concatenated without duplicates, and for single values
+ * the excerpt ranked best for that field (FIELD_SOURCE_PRIORITY) wins.
+ * @param {Array<{chunk: Object, data: Object}>} partials - Parsed summary for each excerpt
+ * @returns {{data: Object, fieldSources: Object<string, number[]>, contributingChunks: number[]}}
+ *   Merged summary, the excerpt indexes behind each field path, and every excerpt that contributed
+ * @private
+ */
+function mergePartialSummaries(partials) {
+  const fieldSources = {};
+  const data = {};
+  const keys = [...new Set(partials.flatMap(({ data: partial }) => Object.keys(partial || {})))];
+
+  keys.forEach((key) => {
+    const candidates = partials
+      .map(({ chunk, data: partial }) => ({ value: partial[key], chunk, rank: rankChunkForField(chunk, key) }))
+      .sort((a, b) => a.rank - b.rank || a.chunk.index - b.chunk.index);
+    data[key] = mergeCandidates(candidates, key, fieldSources);
+  });
+
+  const contributingChunks = [...new Set(Object.values(fieldSources).flat())].sort((a, b) => a - b);
+  return { data, fieldSources, contributingChunks };
+}
+
+function rankChunkForField(chunk, field) {
+  const priorities = FIELD_SOURCE_PRIORITY[field] || FIELD_SOURCE_PRIORITY.default;
+  const ranks = chunk.sections.map((section) => {
+    const index = priorities.indexOf(section);
+    return index === -1 ? priorities.length : index;
+  });
+  return Math.min(priorities.length, ...ranks);
+}
+
+function mergeCandidates(candidates, path, fieldSources) {
+  const informative = candidates.filter(({ value }) => hasContent(value));
+  if (!informative.length) {
+    // Keep the template's own "Not reported" (or empty list) so the shape is unchanged
+    return candidates.find(({ value }) => value !== undefined)?.value;
+  }
+
+  if (informative.every(({ value }) => isPlainObject(value))) {
+    const keys = [...new Set(informative.flatMap(({ value }) => Object.keys(value)))];
+    return Object.fromEntries(keys.map((key) => [
+      key,
+      mergeCandidates(informative.map((candidate) => ({ ...candidate, value: candidate.value[key] })), `${path}.${key}`, fieldSources)
+    ]));
+  }
+
+  if (informative.every(({ value }) => Array.isArray(value))) {
+    const seen = new Set();
+    const merged = [];
+    const contributors = new Set();
+    informative.forEach(({ value, chunk }) => {
+      value.filter(hasContent).forEach((item) => {
+        const key = comparableValue(item);
+        if (!seen.has(key)) {
+          seen.add(key);
+          merged.push(item);
+          contributors.add(chunk.index);
+        }
+      });
+    });
+    fieldSources[path] = [...contributors].sort((a, b) => a - b);
+    return merged;
+  }
+
+  // Single values: the best-ranked excerpt wins; excerpts that agree with it are credited too
+  const [best] = informative;
+  const bestKey = comparableValue(best.value);
+  fieldSources[path] = informative
+    .filter(({ value }) => comparableValue(value) === bestKey)
+    .map(({ chunk }) => chunk.index)
+    .sort((a, b) => a - b);
+  return best.value;
+}
+
+function hasContent(value) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    return trimmed.length > 0 && !PLACEHOLDER_VALUE_PATTERN.test(trimmed);
+  }
+  if (Array.isArray(value)) {
+    return value.some(hasContent);
+  }
+  if (isPlainObject(value)) {
+    return Object.values(value).some(hasContent);
+  }
+  return true;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function comparableValue(value) {
+  return JSON.stringify(value).toLowerCase().replace(/\s+/g, " ");
+}
+
 /**
  * Evaluates the methodological quality of a research study
+ * Study designs with a dedicated appraisal tool (RoB 2 for randomized trials) are assessed with
+ * that tool, and result.data.tool names it; other designs get the generic quality rubric.
+ * Reporting audits (CARE, CONSORT, PRISMA) and GRADE assess the full paper, with or without a
+ * selection; the other tools and the rubric need a selection that passes validateMethodologyText.
  * @param {Object} params - Parameters object
- * @param {string} params.methodsText - The methods section text
+ * @param {string} [params.methodsText=""] - The selected methods section text
  * @param {string} params.fullText - The full paper text for context
- * @returns {Promise<Object>} Methodology assessment with quality scores
+ * @param {Object} [params.sections] - Segmented article sections from the document snapshot
+ * @param {Array<Object>} [params.tables] - Tables from the document snapshot
+ * @param {string} [params.studyType] - Classified study type (STUDY_TYPES), selects the appraisal tool
+ * @param {string} [params.mode="auto"] - Appraisal tool to use (see selectAppraisalTool)
+ * @param {Object} [params.extraction] - Structured summary data for the same paper; checklist tools
+ *   start from the fields they list in extractionFields
+ * @param {Array<Object>} [params.extractionSources] - The summary's grounded supporting quotes, reused
+ *   for checklist items the summary already answers
+ * @param {AbortSignal} [params.signal] - Cancels the assessment
+ * @returns {Promise<Object>} Methodology assessment with quality scores, or the appraisal tool's
+ *   domain and overall judgements
+ * @throws {Error} When there is no selection and the tool needs one
+ * @throws {DOMException} AbortError when the signal is aborted
  */
-export async function evaluateMethodology({ methodsText, fullText }) {
+export async function evaluateMethodology({ methodsText = "", fullText, sections, tables, studyType, mode = "auto", extraction, extractionSources, signal }) {
+  const tool = selectAppraisalTool(studyType, mode);
+
+  // Reporting audits and GRADE read the whole paper; a selection only adds to it
+  if (tool?.wholePaper) {
+    return assessWithAppraisalTool(tool, { methodsText, fullText, sections, tables, studyType, extraction, extractionSources, validation: null, signal });
+  }
+  if (!methodsText.trim()) {
+    throw new Error(`${tool?.name || "The general rubric"} assesses a methods selection: highlight the methods section, right-click → "Assess methodology from selection". Reporting audits and GRADE assess the full paper.`);
+  }
+
   // Pre-validate the methodology text
   const validation = validateMethodologyText(methodsText);
   
@@ -175,6 +538,10 @@ export async function evaluateMethodology({ methodsText, fullText }) {
     };
   }
 
+  if (tool) {
+    return assessWithAppraisalTool(tool, { methodsText, fullText, sections, tables, studyType, extraction, extractionSources, validation, signal });
+  }
+
   const fallback = createFallbackMethodology(methodsText, MODEL_UNAVAILABLE_MESSAGE);
 
   const session = await createLanguageModelSession({
@@ -182,7 +549,8 @@ export async function evaluateMethodology({ methodsText, fullText }) {
       { role: "system", content: "You are a clinical trial methodologist. Output valid JSON." }
     ],
     temperature: 0.4,
-    topK: 12
+    topK: 12,
+    signal
   }, "en");
 
   if (!session) {
@@ -190,14 +558,25 @@ export async function evaluateMethodology({ methodsText, fullText }) {
   }
 
   try {
-    const prompt = buildMethodologyPrompt({ methodsText, fullText });
-    const response = await session.prompt(prompt);
-    const parsed = safeJsonParse(response);
+    const { prompt, usage } = await fitPromptToSession(session, {
+      article: { textContent: fullText, sections },
+      sectionKeys: METHODOLOGY_SECTIONS,
+      buildPrompt: (candidate) => buildMethodologyPrompt({
+        methodsText,
+        fullText: candidate.textContent,
+        sections: candidate.sections,
+        contextBudget: candidate.contextBudget
+      })
+    });
+    const response = await promptForJson(session, prompt, { schema: METHODOLOGY_SCHEMA, signal });
 
-    if (!parsed) {
+    if (!response) {
       throw new Error("Language model returned invalid JSON.");
     }
 
+    const { data: parsed, schemaValidation } = await repairAgainstSchema(session, response, METHODOLOGY_SCHEMA, { signal });
+    const sourceTexts = [methodsText, fullText, ...Object.values(sections || {})];
+
     // Double-check AI's own validation
     const aiValidation = parsed.contentValidation;
     if (aiValidation && !aiValidation.isMethodology) {
@@ -209,6 +588,9 @@ export async function evaluateMethodology({ methodsText, fullText }) {
           confidence: aiValidation.confidence,
           reason: aiValidation.rationale
         },
+        usage,
+        schemaValidation,
+        numericCheck: verifyNumbers(parsed, sourceTexts),
         data: parsed
       };
     }
@@ -253,9 +635,10 @@ export async function evaluateMethodology({ methodsText, fullText }) {
       if (!parsed.keyLimitations) {
         parsed.keyLimitations = [];
       }
-      parsed.keyLimitations.unshift(
-        `Assessment confidence is ${effectiveConfidence}%. The selected text may not be entirely from a methodology section, which affects score reliability.`
-      );
+      const confidenceNote = `Assessment confidence is ${effectiveConfidence}%. The selected text may not be entirely from a methodology section, which affects score reliability.`;
+      parsed.keyLimitations.unshift(confidenceNote);
+      // Our own note, not a figure the model could have made up
+      sourceTexts.push(confidenceNote);
     }
 
     // Include our pre-validation in the response
@@ -263,9 +646,15 @@ export async function evaluateMethodology({ methodsText, fullText }) {
       source: "chrome-ai-language-model",
       generatedAt: new Date().toISOString(),
       validation,
+      usage,
+      schemaValidation,
+      numericCheck: verifyNumbers(parsed, sourceTexts),
       data: parsed
     };
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     console.warn("MedLit: falling back for methodology assessment", error);
     return {
       ...fallback,
@@ -276,14 +665,154 @@ export async function evaluateMethodology({ methodsText, fullText }) {
   }
 }
 
+/**
+ * Fields of an appraisal result written by the model; the rest (question and item texts, answers,
+ * judgements, scores, ratings) come from the tool definition, so only these are checked for numbers
+ * @constant {string[]}
+ */
+const APPRAISAL_TEXT_FIELDS = ["outcome", "quote", "rationale", "justification", "participants", "reason"];
+
+/**
+ * Answers an appraisal tool's signalling questions (checklist items, or GRADE factors per outcome)
+ * and scores them with the tool's algorithm
+ * Answers outside the tool's options are mapped onto the tool's last option (no information, or
+ * No for checklists), so there is no repair re-prompt. Each quote is looked up in the paper text
+ * and flagged when it cannot be found, or labelled with the article section it was found in.
+ * @param {Object} tool - Tool definition from ai/appraisal
+ * @param {Object} params - evaluateMethodology parameters plus the pre-validation result
+ * @returns {Promise<Object>} Appraisal result, or the methodology fallback when the model is
+ *   unavailable (or, for GRADE, when there is no summary to take the outcomes from)
+ * @private
+ */
+async function assessWithAppraisalTool(tool, { methodsText, fullText, sections, tables, studyType, extraction, extractionSources, validation, signal }) {
+  const fallback = createFallbackMethodology(methodsText, MODEL_UNAVAILABLE_MESSAGE);
+
+  // GRADE rates the outcomes of the structured summary, so it needs one first
+  const { outcomes, omitted } = tool.factors ? listGradeOutcomes(extraction) : { outcomes: null };
+  if (outcomes && !outcomes.length) {
+    return {
+      ...fallback,
+      warning: "GRADE rates the outcomes of the structured summary. Generate the summary first, then run GRADE again."
+    };
+  }
+
+  const session = await createLanguageModelSession({
+    initialPrompts: [
+      { role: "system", content: "You are a systematic reviewer assessing study validity. Output valid JSON." }
+    ],
+    temperature: 0.2,
+    topK: 8,
+    signal
+  }, "en");
+
+  if (!session) {
+    return fallback;
+  }
+
+  try {
+    // GRADE lists outcomes; checklists (AMSTAR 2, …) list items; domain tools (RoB 2, …) list
+    // signalling questions
+    const isChecklist = Boolean(tool.items);
+    // Items the summary already answers (PRISMA registration, …) are not asked again; those it
+    // covers in part are asked with what it found
+    const prefilled = isChecklist ? prefillChecklistAnswers(tool, extraction, extractionSources) : {};
+    const asked = isChecklist ? { ...tool, items: hintChecklistItems(tool, extraction).filter((item) => !prefilled[item.id]) } : tool;
+    const schema = outcomes
+      ? createGradeSchema(tool, outcomes)
+      : isChecklist ? createChecklistSchema(asked) : createAppraisalSchema(tool);
+    const priorFields = isChecklist && extraction ? pickFields(extraction, tool.extractionFields) : null;
+    const { prompt, usage } = await fitPromptToSession(session, {
+      article: { textContent: fullText, sections, tables },
+      sectionKeys: tool.sectionKeys || APPRAISAL_SECTIONS,
+      buildPrompt: (candidate) => {
+        const params = {
+          methodsText,
+          fullText: candidate.textContent,
+          sections: candidate.sections,
+          tables: candidate.tables,
+          contextBudget: candidate.contextBudget
+        };
+        if (outcomes) {
+          return buildGradePrompt(tool, { ...params, outcomes, studyType });
+        }
+        return isChecklist
+          ? buildChecklistPrompt(asked, { ...params, extraction: priorFields })
+          : buildAppraisalPrompt(tool, params);
+      }
+    });
+    const response = await promptForJson(session, prompt, { schema, signal });
+
+    if (!response) {
+      throw new Error("Language model returned invalid JSON.");
+    }
+
+    const assessment = outcomes
+      ? tool.assess(response, { outcomes, omitted, studyType })
+      : tool.assess(isChecklist ? { ...response, answers: { ...response.answers, ...prefilled } } : response);
+    markLocatedQuotes(assessment, [methodsText, fullText, ...Object.values(sections || {})].join("\n\n"), sections);
+    const sourceTexts = [methodsText, ...collectSourceTexts({ article: { textContent: fullText, sections, tables } })];
+
+    return {
+      source: "chrome-ai-language-model",
+      generatedAt: new Date().toISOString(),
+      validation,
+      usage,
+      numericCheck: verifyNumbers(assessment, sourceTexts, { keys: APPRAISAL_TEXT_FIELDS }),
+      data: assessment
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.warn(`MedLit: falling back for ${tool.name} assessment`, error);
+    return {
+      ...fallback,
+      warning: error.message
+    };
+  } finally {
+    destroySession(session);
+  }
+}
+
+function pickFields(data, keys = []) {
+  return Object.fromEntries(keys.filter((key) => data[key] !== undefined).map((key) => [key, data[key]]));
+}
+
+function markLocatedQuotes(assessment, text, sections = {}) {
+  const questions = (assessment.items || assessment.domains?.flatMap((domain) => domain.questions) || []).filter((question) => question.quote);
+  // Question ids ("1.1") would read as field paths, so quotes are matched by position
+  const quotes = questions.map((question, index) => ({ field: `q${index}`, quote: question.quote }));
+  const { sources } = groundSourceQuotes(quotes, text);
+  const located = new Set(sources.filter((source) => source.start !== null).map((source) => source.field));
+
+  // The section a quote sits in is the one it matches best
+  const best = new Map();
+  Object.entries(sections || {}).forEach(([key, sectionText]) => {
+    groundSourceQuotes(quotes.filter((quote) => located.has(quote.field)), sectionText).sources
+      .filter((source) => source.start !== null && source.score > (best.get(source.field)?.score ?? 0))
+      .forEach((source) => best.set(source.field, { key, score: source.score }));
+  });
+
+  questions.forEach((question, index) => {
+    question.quoteFound = located.has(`q${index}`);
+    if (best.has(`q${index}`)) {
+      question.location = best.get(`q${index}`).key;
+    }
+  });
+}
+
 /**
  * Simplifies complex medical text for medical professionals and students
  * @param {string} text - The medical text to simplify
  * @param {Object} [options] - Simplification options
  * @param {string} [options.tone="more-casual"] - Tone: "more-casual", "as-is", or "more-formal"
  * @param {string} [options.length="as-is"] - Length: "shorter", "as-is", or "longer"
+ * @param {Function} [options.onChunk] - Called with the simplified text received so far while the
+ *   response streams in; not called when streaming is unsupported
+ * @param {AbortSignal} [options.signal] - Cancels the simplification
  * @returns {Promise<Object>} Simplified text with key terms and statistics notes
  * @throws {Error} If no text is provided
+ * @throws {DOMException} AbortError when the signal is aborted
  */
 export async function simplifyMedicalText(text, options = {}) {
   const trimmed = text?.trim();
@@ -291,7 +820,7 @@ export async function simplifyMedicalText(text, options = {}) {
     throw new Error("No text provided for simplification.");
   }
 
-  const { tone = "more-casual", length = "as-is" } = options;
+  const { tone = "more-casual", length = "as-is", onChunk, signal } = options;
 
   if (typeof Rewriter !== 'undefined') {
     try {
@@ -301,7 +830,8 @@ export async function simplifyMedicalText(text, options = {}) {
           tone,
           format: "plain-text",
           length,
-          sharedContext: "Simplify medical terminology and research concepts for medical professionals, students, and researchers while maintaining scientific accuracy"
+          sharedContext: "Simplify medical terminology and research concepts for medical professionals, students, and researchers while maintaining scientific accuracy",
+          signal
         };
         
         let rewriter;
@@ -320,21 +850,33 @@ export async function simplifyMedicalText(text, options = {}) {
           }
         }
         
-        const rewritten = await rewriter.rewrite(trimmed);
-        destroySession(rewriter);
-        return {
-          source: "chrome-ai-rewriter",
-          generatedAt: new Date().toISOString(),
-          data: {
-            plainEnglish: rewritten,
-            tone,
-            length,
-            keyTerms: [],
-            statisticsNotes: []
-          }
-        };
+        try {
+          const usage = await measureTextUsage(rewriter, trimmed);
+          const rewritten = await streamOrBuffer(
+            typeof rewriter.rewriteStreaming === "function" && (() => rewriter.rewriteStreaming(trimmed, { signal })),
+            () => rewriter.rewrite(trimmed, { signal }),
+            { onChunk, signal }
+          );
+          return {
+            source: "chrome-ai-rewriter",
+            generatedAt: new Date().toISOString(),
+            usage,
+            data: {
+              plainEnglish: rewritten,
+              tone,
+              length,
+              keyTerms: [],
+              statisticsNotes: []
+            }
+          };
+        } finally {
+          destroySession(rewriter);
+        }
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       console.warn("MedLit: rewriter unavailable, falling back to language model", error);
     }
   }
@@ -344,7 +886,8 @@ export async function simplifyMedicalText(text, options = {}) {
       { role: "system", content: "You are a medical educator simplifying complex research passages. Output valid JSON matching the provided schema." }
     ],
     temperature: 0.35,
-    topK: 12
+    topK: 12,
+    signal
   }, "en");
 
   if (!session) {
@@ -352,16 +895,33 @@ export async function simplifyMedicalText(text, options = {}) {
   }
 
   try {
-    const prompt = buildSimplificationPrompt(trimmed);
-    const response = await session.prompt(prompt);
-    const parsed = safeJsonParse(response);
-    if (!parsed) {
+    const { prompt, usage } = await fitPromptToSession(session, {
+      article: { textContent: trimmed },
+      buildPrompt: (candidate) => buildSimplificationPrompt(trimmed, candidate.contextBudget),
+      scope: "selection"
+    });
+    // The reply is JSON; stream just the plainEnglish field as it fills in
+    const response = await promptForJson(session, prompt, {
+      schema: SIMPLIFICATION_SCHEMA,
+      signal,
+      onChunk: onChunk && ((partial) => {
+        const plainEnglish = readPartialJsonString(partial, "plainEnglish");
+        if (plainEnglish) {
+          onChunk(plainEnglish);
+        }
+      })
+    });
+    if (!response) {
       throw new Error("Language model returned invalid JSON.");
     }
 
+    const { data: parsed, schemaValidation } = await repairAgainstSchema(session, response, SIMPLIFICATION_SCHEMA, { signal });
+
     return {
       source: "chrome-ai-language-model",
       generatedAt: new Date().toISOString(),
+      usage,
+      schemaValidation,
       data: {
         ...parsed,
         tone,
@@ -369,6 +929,9 @@ export async function simplifyMedicalText(text, options = {}) {
       }
     };
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     console.warn("MedLit: falling back for simplification", error);
     return {
       ...createFallbackSimplification(trimmed, MODEL_UNAVAILABLE_MESSAGE),
@@ -383,10 +946,13 @@ export async function simplifyMedicalText(text, options = {}) {
  * Translates medical text to English
  * @param {string} text - The text to translate
  * @param {string} [detectedLanguage] - Optional detected source language code
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Cancels the translation
  * @returns {Promise<Object>} Translated text with source language information
  * @throws {Error} If no text is provided
+ * @throws {DOMException} AbortError when the signal is aborted
  */
-export async function translateToEnglish(text, detectedLanguage) {
+export async function translateToEnglish(text, detectedLanguage, { signal } = {}) {
   const trimmed = text?.trim();
   if (!trimmed) {
     throw new Error("No text provided for translation.");
@@ -403,21 +969,30 @@ export async function translateToEnglish(text, detectedLanguage) {
       if (available !== 'unavailable') {
         const translator = await Translator.create({
           sourceLanguage,
-          targetLanguage: "en"
+          targetLanguage: "en",
+          signal
         });
 
-        const translated = await translator.translate(trimmed);
-        destroySession(translator);
-        return {
-          source: "chrome-ai-translation",
-          generatedAt: new Date().toISOString(),
-          data: {
-            translatedText: translated,
-            detectedLanguage: sourceLanguage
-          }
-        };
+        try {
+          const usage = await measureTextUsage(translator, trimmed);
+          const translated = await translator.translate(trimmed, { signal });
+          return {
+            source: "chrome-ai-translation",
+            generatedAt: new Date().toISOString(),
+            usage,
+            data: {
+              translatedText: translated,
+              detectedLanguage: sourceLanguage
+            }
+          };
+        } finally {
+          destroySession(translator);
+        }
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       console.warn("MedLit: translator unavailable, falling back to language model", error);
     }
   }
@@ -427,7 +1002,8 @@ export async function translateToEnglish(text, detectedLanguage) {
       { role: "system", content: "You are a medical translator. Translate input text to English while preserving clinical terminology. Respond in valid JSON." }
     ],
     temperature: 0.2,
-    topK: 10
+    topK: 10,
+    signal
   }, "en");
 
   if (!session) {
@@ -435,22 +1011,29 @@ export async function translateToEnglish(text, detectedLanguage) {
   }
 
   try {
-    const prompt = `
+    const { prompt, usage } = await fitPromptToSession(session, {
+      article: { textContent: trimmed },
+      buildPrompt: (candidate) => `
 Translate the following medical text to English.
 Respond with JSON: {"translatedText": "...", "notes": ["string"]}
 
 TEXT:
-${trimmed}
-`.trim();
-    const response = await session.prompt(prompt);
-    const parsed = safeJsonParse(response);
-    if (!parsed) {
+${trimmed.slice(0, candidate.contextBudget)}
+`.trim(),
+      scope: "selection"
+    });
+    const response = await promptForJson(session, prompt, { schema: TRANSLATION_SCHEMA, signal });
+    if (!response) {
       throw new Error("Language model returned invalid JSON.");
     }
 
+    const { data: parsed, schemaValidation } = await repairAgainstSchema(session, response, TRANSLATION_SCHEMA, { signal });
+
     return {
       source: "chrome-ai-language-model",
       generatedAt: new Date().toISOString(),
+      usage,
+      schemaValidation,
       data: {
         translatedText: parsed.translatedText || trimmed,
         detectedLanguage: detectedLanguage || "unknown",
@@ -458,6 +1041,9 @@ ${trimmed}
       }
     };
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     console.warn("MedLit: falling back for translation", error);
     return {
       ...createFallbackTranslation(trimmed, detectedLanguage, MODEL_UNAVAILABLE_MESSAGE),
@@ -488,16 +1074,22 @@ export async function buildKeyPointsExport(summaryMarkdown, fullText) {
   }
 
   try {
-    const prompt = buildKeyPointsPrompt(summaryMarkdown, fullText);
-    const response = await session.prompt(prompt);
-    const parsed = safeJsonParse(response);
-    if (!parsed) {
+    const { prompt, usage } = await fitPromptToSession(session, {
+      article: { textContent: fullText },
+      buildPrompt: (candidate) => buildKeyPointsPrompt(summaryMarkdown, fullText, candidate.contextBudget)
+    });
+    const response = await promptForJson(session, prompt, { schema: KEY_POINTS_SCHEMA });
+    if (!response) {
       throw new Error("Language model returned invalid JSON.");
     }
 
+    const { data: parsed, schemaValidation } = await repairAgainstSchema(session, response, KEY_POINTS_SCHEMA);
+
     return {
       source: "chrome-ai-language-model",
       generatedAt: new Date().toISOString(),
+      usage,
+      schemaValidation,
       data: parsed
     };
   } catch (error) {
@@ -511,14 +1103,23 @@ export async function buildKeyPointsExport(summaryMarkdown, fullText) {
   }
 }
 
-export async function detectStudyType(documentSnapshot) {
+/**
+ * Classifies the study type, the matching reporting framework and the clinical question addressed
+ * @param {Object} documentSnapshot - Document snapshot containing meta and article content
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Cancels the classification
+ * @returns {Promise<Object|null>} Classification result, or null when the model is unavailable or fails
+ * @throws {DOMException} AbortError when the signal is aborted
+ */
+export async function detectStudyType(documentSnapshot, { signal } = {}) {
   // Lightweight session for classification; safe to return null on failure
   const session = await createLanguageModelSession({
     initialPrompts: [
       { role: "system", content: "You classify medical study type and appropriate framework. Output valid JSON only." }
     ],
     temperature: 0.1,
-    topK: 8
+    topK: 8,
+    signal
   }, "en");
 
   if (!session) {
@@ -526,12 +1127,17 @@ export async function detectStudyType(documentSnapshot) {
   }
 
   try {
-    const prompt = buildStudyTypePrompt(documentSnapshot);
-    const response = await session.prompt(prompt);
-    const parsed = safeJsonParse(response);
-    if (!parsed) {
+    const { prompt, usage } = await fitPromptToSession(session, {
+      article: documentSnapshot?.article || {},
+      sectionKeys: CLASSIFICATION_SECTIONS,
+      buildPrompt: (candidate) => buildStudyTypePrompt({ ...documentSnapshot, article: candidate })
+    });
+    const response = await promptForJson(session, prompt, { schema: CLASSIFICATION_SCHEMA, signal });
+    if (!response) {
       throw new Error("Invalid JSON from classifier");
     }
+    // Coercion only: enum misses are left to normalizeStudyType/normalizeFramework below
+    const { data: parsed } = validateAgainstSchema(response, CLASSIFICATION_SCHEMA);
     
     // Normalize study type and framework to handle variations
     const originalStudyType = parsed.studyType;
@@ -575,14 +1181,19 @@ export async function detectStudyType(documentSnapshot) {
     return {
       source: "chrome-ai-language-model",
       generatedAt: new Date().toISOString(),
+      usage,
       data: {
         studyType,
         framework,
+        questionType: normalizeQuestionType(parsed.questionType),
         confidence: typeof parsed.confidence === 'number' ? parsed.confidence : null,
         reasons: Array.isArray(parsed.reasons) ? parsed.reasons : []
       }
     };
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     console.debug("MedLit: study type classification failed", error);
     return null;
   } finally {
@@ -640,6 +1251,11 @@ function normalizeStudyType(value) {
   return "Other";
 }
 
+function normalizeQuestionType(value) {
+  const normalized = String(value ?? "").trim().toLowerCase();
+  return QUESTION_TYPES.find((type) => type.toLowerCase() === normalized) || "Other";
+}
+
 function normalizeFramework(value) {
   if (!value || typeof value !== 'string') return "None";
   const normalized = value.trim().toUpperCase();
@@ -806,6 +1422,10 @@ async function createLanguageModelSession(options, language = "en", onProgress =
     if (options.initialPrompts) {
       sessionOptions.initialPrompts = options.initialPrompts;
     }
+
+    if (options.signal) {
+      sessionOptions.signal = options.signal;
+    }
     
     // Add download progress monitoring for better UX during first-time model download (~2GB)
     if (onProgress) {
@@ -826,6 +1446,9 @@ async function createLanguageModelSession(options, language = "en", onProgress =
     
     return await LanguageModel.create(sessionOptions);
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     console.warn("MedLit: unable to create language model session", error);
     return null;
   }
@@ -854,6 +1477,7 @@ function destroySession(session) {
  * @param {string} [options.systemPrompt] - System prompt (legacy - will be converted to initialPrompts)
  * @param {number} [options.temperature] - Temperature parameter (0.0-1.0)
  * @param {number} [options.topK] - Top-K parameter for token sampling
+ * @param {AbortSignal} [options.signal] - Aborts session creation (e.g. a model download)
  * @returns {Promise<Object|null>} Language model session or null if unavailable
  */
 export async function createAISession(options) {
@@ -868,6 +1492,235 @@ export async function createAISession(options) {
   return createLanguageModelSession(sessionOptions, "en");
 }
 
+/**
+ * Prompts a session, streaming the reply through promptStreaming() when the session supports it
+ * Without streaming support (or if the stream fails before sending anything) this is a plain
+ * prompt() call, so callers always get the complete response.
+ * @param {Object} session - Language model session
+ * @param {string} prompt - Prompt text
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onChunk] - Called with the response text received so far
+ * @param {AbortSignal} [options.signal] - Cancels the prompt
+ * @param {Object} [options.responseConstraint] - JSON Schema the response must follow
+ * @returns {Promise<string>} The complete response
+ * @throws {DOMException} AbortError when the signal is aborted
+ */
+export async function promptWithStreaming(session, prompt, { onChunk, signal, responseConstraint } = {}) {
+  // The templates already describe the schema in prose, so the constraint is not added to the input
+  const promptOptions = responseConstraint
+    ? { signal, responseConstraint, omitResponseConstraintInput: true }
+    : { signal };
+  return streamOrBuffer(
+    typeof session.promptStreaming === "function" && (() => session.promptStreaming(prompt, promptOptions)),
+    () => session.prompt(prompt, promptOptions),
+    { onChunk, signal }
+  );
+}
+
+/**
+ * Most invalid fields sent back to the model in one repair re-prompt
+ * @constant {number}
+ */
+const MAX_REPAIR_FIELDS = 15;
+
+/**
+ * Validates parsed output against its schema, coercing what it can and re-prompting once for the rest
+ * The re-prompt lists only the invalid fields and asks for corrected values by field path.
+ * @param {Object} session - Session that produced the output (its history gives the re-prompt
+ *   context), or a session given the context through options.repairContext
+ * @param {Object} parsed - Parsed model output
+ * @param {Object} schema - JSON Schema from schemas.js
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Cancels the re-prompt
+ * @param {Function} [options.repairContext] - Called with the invalid fields; returns the answer and
+ *   paper excerpt for buildRepairPrompt when no session has seen the output
+ * @returns {Promise<{data: Object, schemaValidation: {repairs: Array<Object>, unrepaired: Array<Object>, reprompted: boolean}}>}
+ *   Repaired data, the repairs made (coercions and re-prompted fields), and the fields still invalid
+ * @throws {DOMException} AbortError when the signal is aborted
+ * @private
+ */
+async function repairAgainstSchema(session, parsed, schema, { signal, repairContext } = {}) {
+  const first = validateAgainstSchema(parsed, schema);
+  let { data, invalid } = first;
+  const repairs = [...first.repairs];
+  let reprompted = false;
+
+  if (invalid.length) {
+    const fields = invalid.slice(0, MAX_REPAIR_FIELDS);
+    try {
+      const prompt = buildRepairPrompt(fields, repairContext?.(fields));
+      const fixes = await promptForJson(session, prompt, { schema: createRepairSchema(fields), signal });
+      reprompted = true;
+      const fixed = fields.filter(({ path }) => fixes && Object.hasOwn(fixes, path));
+      if (fixed.length) {
+        const second = validateAgainstSchema(
+          applyFieldFixes(data, Object.fromEntries(fixed.map(({ path }) => [path, fixes[path]]))),
+          schema
+        );
+        data = second.data;
+        invalid = second.invalid;
+        repairs.push(
+          ...fixed.map(({ path, value }) => ({ path, from: value, to: fixes[path], reason: "re-prompted" })),
+          ...second.repairs
+        );
+      }
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      console.warn("MedLit: repair re-prompt failed", error);
+    }
+  }
+
+  return {
+    data,
+    schemaValidation: {
+      repairs,
+      unrepaired: invalid.map(({ path, value, expected }) => ({ path, value, expected })),
+      reprompted
+    }
+  };
+}
+
+// Cleared the first time the Prompt API rejects responseConstraint, so later calls skip straight to prompt-only JSON
+let responseConstraintSupported = true;
+
+/**
+ * Prompts for JSON, constraining the output to a JSON Schema when the Prompt API supports it
+ * If the constrained call is rejected (older Chrome) or still does not parse, the prompt is sent
+ * again without the constraint and parsed from the prose schema in the template as before. The
+ * retry goes to a clone taken before the constrained attempt, so a failed answer does not stay in
+ * the history it is prompted with.
+ * @param {Object} session - Language model session
+ * @param {string} prompt - Prompt text
+ * @param {Object} [options] - Options
+ * @param {Object} [options.schema] - JSON Schema from schemas.js
+ * @param {AbortSignal} [options.signal] - Cancels the prompt
+ * @param {Function} [options.onChunk] - Called with the raw response text received so far
+ * @returns {Promise<Object|null>} Parsed JSON, or null if the model never returned valid JSON
+ * @throws {DOMException} AbortError when the signal is aborted
+ * @private
+ */
+async function promptForJson(session, prompt, { schema, signal, onChunk } = {}) {
+  if (!schema || !responseConstraintSupported) {
+    return safeJsonParse(await promptWithStreaming(session, prompt, { onChunk, signal }));
+  }
+
+  const retrySession = typeof session.clone === "function" ? await session.clone({ signal }) : session;
+  try {
+    try {
+      const parsed = safeJsonParse(await promptWithStreaming(session, prompt, { onChunk, signal, responseConstraint: schema }));
+      if (parsed) {
+        return parsed;
+      }
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      if (isResponseConstraintRejection(error)) {
+        responseConstraintSupported = false;
+      }
+      console.debug("MedLit: constrained output failed, retrying with the prompt-only schema", error);
+    }
+    return safeJsonParse(await promptWithStreaming(retrySession, prompt, { onChunk, signal }));
+  } finally {
+    if (retrySession !== session) {
+      destroySession(retrySession);
+    }
+  }
+}
+
+/**
+ * Whether a prompt error is the Prompt API turning down the responseConstraint option, rather
+ * than any other failure of the call
+ * @param {*} error - The caught error
+ * @returns {boolean} True when structured output is unsupported
+ * @private
+ */
+function isResponseConstraintRejection(error) {
+  return error?.name === "NotSupportedError" || (error instanceof TypeError && /responseConstraint|schema/i.test(error.message || ""));
+}
+
+async function streamOrBuffer(startStream, runBuffered, { onChunk, signal }) {
+  if (!onChunk || !startStream) {
+    return runBuffered();
+  }
+
+  let text = "";
+  try {
+    for await (const chunk of startStream()) {
+      // Early Chrome builds sent the whole text so far with each chunk; current ones send only the new part
+      text = text && chunk.startsWith(text) ? chunk : text + chunk;
+      onChunk(text);
+    }
+    return text;
+  } catch (error) {
+    if (text || isAbortError(error) || signal?.aborted) {
+      throw error;
+    }
+    console.debug("MedLit: streaming unavailable, waiting for the full response", error);
+    return runBuffered();
+  }
+}
+
+/**
+ * Reads a string field from JSON that is still being streamed
+ * @param {string} text - JSON received so far
+ * @param {string} key - Field name
+ * @returns {string} The decoded field value so far, or "" if it has not started
+ * @private
+ */
+function readPartialJsonString(text, key) {
+  const match = new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`).exec(text);
+  if (!match) {
+    return "";
+  }
+  // Drop an escape sequence cut off mid-stream before decoding
+  const body = match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, "");
+  try {
+    return JSON.parse(`"${body}"`);
+  } catch (error) {
+    return "";
+  }
+}
+
+/**
+ * Checks whether an error means the operation was cancelled through its AbortSignal
+ * @param {*} error - The caught error
+ * @returns {boolean} True for AbortError
+ */
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+// Opened on the first measurement and kept for the next ones; measuring adds nothing to its context
+let measuringSession = null;
+
+/**
+ * Counts how many tokens a text takes in a language model session
+ * Measures in the given session, or else in one session kept open for measuring, so counting does
+ * not create a session each time.
+ * @param {string} text - The text to measure
+ * @param {Object} [options] - Options
+ * @param {Object} [options.session] - Open session to measure in
+ * @returns {Promise<{ tokens: number, quota: number|null, estimated: boolean }|null>} Token count,
+ *   the session's input quota, and whether the count is an estimate; null if the model is unavailable
+ */
+export async function measureTextTokens(text, { session } = {}) {
+  if (!session) {
+    measuringSession = measuringSession || createLanguageModelSession({}, "en");
+    session = await measuringSession;
+    if (!session) {
+      // Unavailable now; try again on the next measurement
+      measuringSession = null;
+      return null;
+    }
+  }
+
+  const { tokens, estimated } = await measureTokens(session, text);
+  return { tokens, quota: getSessionBudget(session).quota, estimated };
+}
+
 function safeJsonParse(payload) {
   if (!payload) {
     return null;
@@ -0,0 +1,93 @@
+/**
+ * AMSTAR 2: critical appraisal of systematic reviews of healthcare interventions
+ * Items and the overall confidence rating follow Shea et al., BMJ 2017;358:j4008. Items 2, 4, 7,
+ * 9, 11, 13 and 15 are the critical domains; a No on one of them is a critical flaw, a No on any
+ * other item a non-critical weakness.
+ */
+
+import { scoreChecklistTool } from "./checklist.js";
+
+const YES = "Yes";
+const PARTIAL_YES = "Partial Yes";
+const NO = "No";
+const NO_META_ANALYSIS = "No meta-analysis";
+
+const HIGH = "High";
+const MODERATE = "Moderate";
+const LOW = "Low";
+const CRITICALLY_LOW = "Critically low";
+
+const YES_NO = [YES, NO];
+const WITH_PARTIAL = [YES, PARTIAL_YES, NO];
+const META_ANALYSIS_ONLY = [YES, NO_META_ANALYSIS, NO];
+
+/**
+ * AMSTAR 2 tool definition
+ * @constant {Object}
+ */
+export const AMSTAR2 = {
+  id: "amstar-2",
+  name: "AMSTAR 2",
+  title: "AMSTAR 2 critical appraisal tool for systematic reviews",
+  layout: "checklist",
+  overallLabel: "Overall confidence",
+  studyTypes: ["Systematic Review", "Meta-Analysis"],
+  answerOptions: WITH_PARTIAL,
+  scope: "the review as a whole, from its methods, results and any protocol or registration it reports",
+  // The summary's PRISMA extraction already holds databases, registration and risk-of-bias method
+  extractionFields: ["studyDesign", "population", "frameworkSpecific"],
+  judgements: [HIGH, MODERATE, LOW, CRITICALLY_LOW],
+  // Confidence runs opposite to risk: High confidence shows in the colour of low risk
+  levels: { [HIGH]: "low", [MODERATE]: "moderate", [LOW]: "serious", [CRITICALLY_LOW]: "critical" },
+  items: [
+    { id: "1", text: "Did the research questions and inclusion criteria for the review include the components of PICO?", options: YES_NO },
+    { id: "2", text: "Did the report of the review contain an explicit statement that the review methods were established prior to the conduct of the review and did the report justify any significant deviations from the protocol?", critical: true },
+    { id: "3", text: "Did the review authors explain their selection of the study designs for inclusion in the review?", options: YES_NO },
+    { id: "4", text: "Did the review authors use a comprehensive literature search strategy?", critical: true },
+    { id: "5", text: "Did the review authors perform study selection in duplicate?", options: YES_NO },
+    { id: "6", text: "Did the review authors perform data extraction in duplicate?", options: YES_NO },
+    { id: "7", text: "Did the review authors provide a list of excluded studies and justify the exclusions?", critical: true },
+    { id: "8", text: "Did the review authors describe the included studies in adequate detail?" },
+    { id: "9", text: "Did the review authors use a satisfactory technique for assessing the risk of bias (RoB) in individual studies that were included in the review?", critical: true },
+    { id: "10", text: "Did the review authors report on the sources of funding for the studies included in the review?", options: YES_NO },
+    { id: "11", text: "If meta-analysis was performed, did the review authors use appropriate methods for statistical combination of results?", options: META_ANALYSIS_ONLY, critical: true },
+    { id: "12", text: "If meta-analysis was performed, did the review authors assess the potential impact of RoB in individual studies on the results of the meta-analysis or other evidence synthesis?", options: META_ANALYSIS_ONLY },
+    { id: "13", text: "Did the review authors account for RoB in individual studies when interpreting/discussing the results of the review?", options: YES_NO, critical: true },
+    { id: "14", text: "Did the review authors provide a satisfactory explanation for, and discussion of, any heterogeneity observed in the results of the review?", options: YES_NO },
+    { id: "15", text: "If they performed quantitative synthesis, did the review authors carry out an adequate investigation of publication bias (small study bias) and discuss its likely impact on the results of the review?", options: META_ANALYSIS_ONLY, critical: true },
+    { id: "16", text: "Did the review authors report any potential sources of conflict of interest, including any funding they received for conducting the review?", options: YES_NO }
+  ],
+
+  /**
+   * Overall confidence: High with at most one non-critical weakness, Moderate with more,
+   * Low with one critical flaw and Critically low with more than one
+   * @param {Array<Object>} items - Answered items
+   * @returns {{ judgement: string, notes: string[], criticalFlaws: string[], weaknesses: string[] }}
+   *   Overall rating and the items behind it
+   */
+  overall: (items) => {
+    const criticalFlaws = items.filter((item) => item.critical && item.answer === NO).map((item) => item.id);
+    const weaknesses = items.filter((item) => !item.critical && item.answer === NO).map((item) => item.id);
+
+    let judgement = HIGH;
+    if (criticalFlaws.length > 1) {
+      judgement = CRITICALLY_LOW;
+    } else if (criticalFlaws.length === 1) {
+      judgement = LOW;
+    } else if (weaknesses.length > 1) {
+      judgement = MODERATE;
+    }
+
+    const notes = judgement === MODERATE && weaknesses.length > 3
+      ? [`${weaknesses.length} non-critical weaknesses (items ${weaknesses.join(", ")}): AMSTAR 2 notes that many may justify rating confidence Low.`]
+      : [];
+    return { judgement, notes, criticalFlaws, weaknesses };
+  },
+
+  /**
+   * Turns the model's answers into the AMSTAR 2 appraisal
+   * @param {Object} response - Parsed model output
+   * @returns {Object} Assessment (see scoreChecklistTool)
+   */
+  assess: (response) => scoreChecklistTool(AMSTAR2, response)
+};
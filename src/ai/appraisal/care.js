@@ -0,0 +1,70 @@
+/**
+ * CARE checklist: reporting guideline for case reports
+ * Items follow the 2013 CARE checklist (Gagnier et al., J Med Case Rep 2013;7:223), with the
+ * Abstract, Patient information, Diagnostic assessment, Therapeutic intervention, Follow-up and
+ * Discussion topics split into their sub-items.
+ */
+
+import { scoreChecklistTool } from "./checklist.js";
+import { REPORTING_CHECKLIST } from "./reporting.js";
+
+const ABSTRACT = "Abstract";
+const PATIENT_INFORMATION = "Patient information";
+const DIAGNOSTIC_ASSESSMENT = "Diagnostic assessment";
+const THERAPEUTIC_INTERVENTION = "Therapeutic intervention";
+const FOLLOW_UP = "Follow-up and outcomes";
+const DISCUSSION = "Discussion";
+
+/**
+ * CARE checklist definition
+ * @constant {Object}
+ */
+export const CARE = {
+  ...REPORTING_CHECKLIST,
+  id: "care",
+  name: "CARE checklist",
+  title: "CARE reporting checklist for case reports",
+  studyTypes: ["Case Report", "Case Series"],
+  scope: "how completely the paper reports each CARE item, wherever in the paper it appears",
+  // The summary's CARE extraction already holds the complaint, history, timeline and consent
+  extractionFields: ["studyDesign", "population", "intervention", "frameworkSpecific"],
+  items: [
+    { id: "1", section: "Title", text: "The diagnosis or intervention of primary focus followed by the words \"case report\"" },
+    { id: "2", section: "Keywords", text: "Two to five keywords that identify diagnoses or interventions in this case report, including \"case report\"" },
+    { id: "3a", section: ABSTRACT, text: "Introduction: what is unique about this case and what does it add to the scientific literature?" },
+    { id: "3b", section: ABSTRACT, text: "Main symptoms and/or important clinical findings" },
+    { id: "3c", section: ABSTRACT, text: "The main diagnoses, therapeutic interventions and outcomes" },
+    { id: "3d", section: ABSTRACT, text: "Conclusion: the main take-away lessons from this case" },
+    { id: "4", section: "Introduction", text: "One or two paragraphs summarizing why this case is unique (may include references)" },
+    { id: "5a", section: PATIENT_INFORMATION, text: "De-identified patient-specific information" },
+    { id: "5b", section: PATIENT_INFORMATION, text: "Primary concerns and symptoms of the patient" },
+    { id: "5c", section: PATIENT_INFORMATION, text: "Medical, family and psycho-social history, including relevant genetic information" },
+    { id: "5d", section: PATIENT_INFORMATION, text: "Relevant past interventions with outcomes" },
+    { id: "6", section: "Clinical findings", text: "Significant physical examination and other important clinical findings" },
+    { id: "7", section: "Timeline", text: "Historical and current information from this episode of care organized as a timeline" },
+    { id: "8a", section: DIAGNOSTIC_ASSESSMENT, text: "Diagnostic testing (such as physical examination, laboratory testing, imaging, surveys)" },
+    { id: "8b", section: DIAGNOSTIC_ASSESSMENT, text: "Diagnostic challenges (such as access to testing, financial or cultural)" },
+    { id: "8c", section: DIAGNOSTIC_ASSESSMENT, text: "Diagnosis, including other diagnoses considered" },
+    { id: "8d", section: DIAGNOSTIC_ASSESSMENT, text: "Prognosis (such as staging in oncology) where applicable" },
+    { id: "9a", section: THERAPEUTIC_INTERVENTION, text: "Types of therapeutic intervention (such as pharmacologic, surgical, preventive, self-care)" },
+    { id: "9b", section: THERAPEUTIC_INTERVENTION, text: "Administration of therapeutic intervention (such as dosage, strength, duration)" },
+    { id: "9c", section: THERAPEUTIC_INTERVENTION, text: "Changes in therapeutic intervention, with rationale" },
+    { id: "10a", section: FOLLOW_UP, text: "Clinician- and patient-assessed outcomes (if available)" },
+    { id: "10b", section: FOLLOW_UP, text: "Important follow-up diagnostic and other test results" },
+    { id: "10c", section: FOLLOW_UP, text: "Intervention adherence and tolerability, and how they were assessed" },
+    { id: "10d", section: FOLLOW_UP, text: "Adverse and unanticipated events" },
+    { id: "11a", section: DISCUSSION, text: "Strengths and limitations in the management of this case" },
+    { id: "11b", section: DISCUSSION, text: "Discussion of the relevant medical literature, with references" },
+    { id: "11c", section: DISCUSSION, text: "The scientific rationale for any conclusions, including assessment of possible causes" },
+    { id: "11d", section: DISCUSSION, text: "The primary take-away lessons of this case report, in a one-paragraph conclusion" },
+    { id: "12", section: "Patient perspective", text: "The patient shares their perspective or experience of the care they received" },
+    { id: "13", section: "Informed consent", text: "Did the patient give informed consent?" }
+  ],
+
+  /**
+   * Turns the model's answers into the CARE compliance report
+   * @param {Object} response - Parsed model output
+   * @returns {Object} Assessment (see scoreChecklistTool)
+   */
+  assess: (response) => scoreChecklistTool(CARE, response)
+};
@@ -0,0 +1,154 @@
+/**
+ * Oxford CEBM 2011 levels of evidence
+ * Follows the OCEBM Levels of Evidence Working Group table (2011): the clinical question
+ * (therapy, harm, diagnosis, prognosis or screening) and the study design give the level, from 1
+ * (systematic review) to 5 (mechanism-based reasoning), and the level "may be graded down on the
+ * basis of study quality". Here it is graded down for the quality problems the methodology
+ * assessment found.
+ */
+
+const THERAPY = "Therapy";
+const HARM = "Harm";
+const DIAGNOSIS = "Diagnosis";
+const PROGNOSIS = "Prognosis";
+const SCREENING = "Screening";
+
+/**
+ * The lowest level on the scale
+ * @constant {number}
+ */
+const LOWEST_LEVEL = 5;
+
+/**
+ * Levels by study design for questions about interventions (treatment benefits, harms and
+ * screening): randomised trials at level 2, non-randomised cohorts at 3, case series, case-control
+ * and historically controlled studies at 4
+ * @constant {Object<string, number>}
+ */
+const INTERVENTION_LEVELS = {
+  "Systematic Review": 1,
+  "Meta-Analysis": 1,
+  "RCT": 2,
+  "Cohort": 3,
+  "Case-Control": 4,
+  "Cross-Sectional": 4,
+  "Case Series": 4,
+  "Case Report": 4,
+  "Basic Science": 5
+};
+
+/**
+ * Levels by study design for each clinical question
+ * Reviews are placed at level 1 on the assumption that they review the studies of level 2.
+ * Cohorts answering a prognostic question are taken as inception cohorts; there is no level 5 for
+ * prognosis.
+ * @constant {Object<string, Object<string, number>>}
+ */
+const BASE_LEVELS = {
+  [THERAPY]: INTERVENTION_LEVELS,
+  [HARM]: INTERVENTION_LEVELS,
+  [SCREENING]: INTERVENTION_LEVELS,
+  [DIAGNOSIS]: {
+    "Systematic Review": 1,
+    "Meta-Analysis": 1,
+    "Diagnostic Accuracy": 2,
+    "Cross-Sectional": 2,
+    "RCT": 2,
+    "Cohort": 3,
+    "Case-Control": 4,
+    "Case Series": 4,
+    "Case Report": 4,
+    "Basic Science": 5
+  },
+  [PROGNOSIS]: {
+    "Systematic Review": 1,
+    "Meta-Analysis": 1,
+    "Cohort": 2,
+    "RCT": 3,
+    "Case-Control": 4,
+    "Cross-Sectional": 4,
+    "Case Series": 4,
+    "Case Report": 4
+  }
+};
+
+/**
+ * Levels an appraisal tool's overall judgement costs, by its level
+ * @constant {Object<string, number>}
+ */
+const TOOL_DOWNGRADES = { high: 1, serious: 1, critical: 2 };
+
+/**
+ * Generic methodology scores below this (out of 100) cost one level
+ * @constant {number}
+ */
+const LOW_QUALITY_SCORE = 50;
+
+/**
+ * Levels to grade down for the methodology assessment, with the reason
+ * Rejected and fallback assessments say nothing about quality, and reporting audits (CARE, CONSORT,
+ * PRISMA) rate the write-up rather than the study, so none of them changes the level.
+ * @param {Object} [methodology] - evaluateMethodology result
+ * @returns {{ levels: number, reason: string }|null} Downgrade, or null when there is none
+ * @private
+ */
+function rateMethodologyDowngrade(methodology) {
+  const data = methodology?.data;
+  if (!data || methodology.source !== "chrome-ai-language-model" || methodology.validation?.isValid === false) {
+    return null;
+  }
+
+  if (Array.isArray(data.outcomes)) {
+    // GRADE: the levels the primary outcomes (all outcomes when none is primary) were rated down
+    const critical = data.outcomes.some((outcome) => outcome.importance === "Primary")
+      ? data.outcomes.filter((outcome) => outcome.importance === "Primary")
+      : data.outcomes;
+    const levels = Math.max(0, ...critical.map((outcome) => (outcome.factors || [])
+      .filter((factor) => factor.direction === "down")
+      .reduce((total, factor) => total + (factor.change || 0), 0)));
+    return levels
+      ? { levels: Math.min(levels, 2), reason: `${data.toolName}: certainty rated down to ${data.overall?.judgement}` }
+      : null;
+  }
+
+  if (data.overall) {
+    const levels = data.overall.completeness ? 0 : TOOL_DOWNGRADES[data.overall.level] || 0;
+    return levels ? { levels, reason: `${data.toolName}: ${data.overall.judgement}` } : null;
+  }
+
+  if (typeof data.overallQualityScore === "number" && data.overallQualityScore < LOW_QUALITY_SCORE) {
+    return { levels: 1, reason: `Methodology quality score ${Math.round(data.overallQualityScore)}/100` };
+  }
+  return null;
+}
+
+/**
+ * Tags a study with its Oxford CEBM (2011) level of evidence
+ * Without a question type (the classifier failed), diagnostic accuracy studies are taken to answer
+ * a diagnostic question and every other design a therapy question.
+ * @param {Object} params - What to rate
+ * @param {string} params.studyType - Study type from detectStudyType (e.g. "RCT")
+ * @param {string} [params.questionType] - Clinical question from detectStudyType (e.g. "Therapy")
+ * @param {Object} [params.methodology] - evaluateMethodology result, for grading down
+ * @returns {Object|null} Level from 1 to 5 with the level before grading down, the question and
+ *   study type it was read from and the reasons for grading down, or null when the table gives no
+ *   level (qualitative studies, other questions and designs)
+ */
+export function rateLevelOfEvidence({ studyType, questionType, methodology }) {
+  const question = questionType || (studyType === "Diagnostic Accuracy" ? DIAGNOSIS : THERAPY);
+  const baseLevel = BASE_LEVELS[question]?.[studyType];
+  if (!baseLevel) {
+    return null;
+  }
+
+  const downgrade = rateMethodologyDowngrade(methodology);
+  // Nothing is graded below the lowest level
+  const levels = Math.min(LOWEST_LEVEL - baseLevel, downgrade?.levels || 0);
+  return {
+    level: baseLevel + levels,
+    baseLevel,
+    questionType: question,
+    studyType,
+    downgrades: levels ? [downgrade.reason] : []
+  };
+}
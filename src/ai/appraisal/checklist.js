@@ -0,0 +1,89 @@
+/**
+ * Shared engine for item-by-item appraisal checklists (AMSTAR 2 and similar)
+ * The model answers each item with a quote and a one-line justification; the overall rating is
+ * computed here from the answers by the tool's own rules.
+ */
+
+import { normalizeSignallingAnswer } from "./signalling.js";
+
+/**
+ * Scores a checklist tool from the model's answers
+ * Items that award points (e.g. Newcastle-Ottawa stars) map each answer to its points.
+ * Answers taken from the structured summary (see prefillChecklistAnswers) keep that origin.
+ * @param {Object} tool - Tool definition with items ({id, text, section?, options?, critical?,
+ *   points?}) and overall(items)
+ * @param {Object} response - Parsed model output: { answers: {id: {answer, quote, justification}} }
+ * @returns {Object} Assessment: tool id, name, render layout and overall label, every item with
+ *   its answer, points, quote, justification and origin, and the overall rating
+ */
+export function scoreChecklistTool(tool, response = {}) {
+  const items = tool.items.map((item) => {
+    const raw = response.answers?.[item.id] || {};
+    const answer = normalizeSignallingAnswer(raw.answer, item.options || tool.answerOptions);
+    return {
+      id: item.id,
+      text: item.text,
+      ...(item.section ? { section: item.section } : {}),
+      critical: Boolean(item.critical),
+      answer,
+      ...(item.points ? { points: item.points[answer] ?? 0, maxPoints: Math.max(...Object.values(item.points)) } : {}),
+      quote: typeof raw.quote === "string" ? raw.quote.trim() : "",
+      justification: typeof raw.justification === "string" ? raw.justification.trim() : "",
+      ...(raw.fromExtraction ? { fromExtraction: true } : {})
+    };
+  });
+
+  const overall = tool.overall(items);
+  return {
+    tool: tool.id,
+    toolName: tool.name,
+    layout: tool.layout,
+    overallLabel: tool.overallLabel,
+    items,
+    overall: {
+      ...overall,
+      level: tool.levels[overall.judgement]
+    }
+  };
+}
+
+/**
+ * Answers the items a structured summary already settles, so they are not asked again
+ * Items opt in with fromExtraction(extraction), which returns { answer, justification, fields }
+ * or null; the quote is the summary's own supporting quote for one of those fields. A hint
+ * ({ hint }) answers nothing (see hintChecklistItems).
+ * @param {Object} tool - Checklist tool definition
+ * @param {Object} [extraction] - Structured summary data
+ * @param {Array<Object>} [sources=[]] - The summary's grounded quotes ({field, quote, start})
+ * @returns {Object<string, Object>} Answers by item id, in the shape the model returns them
+ */
+export function prefillChecklistAnswers(tool, extraction, sources = []) {
+  if (!extraction) {
+    return {};
+  }
+  return Object.fromEntries(tool.items
+    .map((item) => [item, item.fromExtraction?.(extraction)])
+    .filter(([, prefill]) => prefill?.answer)
+    .map(([item, { answer, justification, fields }]) => {
+      const source = sources.find((candidate) => fields.includes(candidate.field) && candidate.start !== null);
+      return [item.id, { answer, quote: source?.quote || "", justification, fromExtraction: true }];
+    }));
+}
+
+/**
+ * Adds to each item what the structured summary found towards it, for items the summary covers
+ * only in part (PRISMA databases without the date each was searched, …)
+ * Items opt in with fromExtraction(extraction) returning { hint }; the model still answers them.
+ * @param {Object} tool - Checklist tool definition
+ * @param {Object} [extraction] - Structured summary data
+ * @returns {Array<Object>} The tool's items, with a hint on those the summary covers in part
+ */
+export function hintChecklistItems(tool, extraction) {
+  if (!extraction) {
+    return tool.items;
+  }
+  return tool.items.map((item) => {
+    const hint = item.fromExtraction?.(extraction)?.hint;
+    return hint ? { ...item, hint } : item;
+  });
+}
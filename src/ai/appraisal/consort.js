@@ -0,0 +1,77 @@
+/**
+ * CONSORT 2010: reporting guideline for parallel-group randomised trials
+ * Items follow the CONSORT 2010 checklist (Schulz et al., BMJ 2010;340:c332), 25 items split
+ * into 37 sub-items. Items the checklist asks for only "when applicable", "if done" or "if
+ * relevant" may be answered Not applicable.
+ */
+
+import { scoreChecklistTool } from "./checklist.js";
+import { IF_APPLICABLE, REPORTING_CHECKLIST } from "./reporting.js";
+
+const TITLE_ABSTRACT = "Title and abstract";
+const INTRODUCTION = "Introduction";
+const METHODS = "Methods";
+const RESULTS = "Results";
+const DISCUSSION = "Discussion";
+const OTHER = "Other information";
+
+/**
+ * CONSORT 2010 checklist definition
+ * @constant {Object}
+ */
+export const CONSORT = {
+  ...REPORTING_CHECKLIST,
+  id: "consort",
+  name: "CONSORT 2010",
+  title: "CONSORT 2010 checklist for reporting a randomised trial",
+  studyTypes: ["RCT"],
+  scope: "how completely the paper reports each CONSORT item, wherever in the paper it appears",
+  // The summary's PICO extraction already holds the registration, sample sizes and arms
+  extractionFields: ["studyDesign", "population", "intervention", "comparison"],
+  items: [
+    { id: "1a", section: TITLE_ABSTRACT, text: "Identification as a randomised trial in the title" },
+    { id: "1b", section: TITLE_ABSTRACT, text: "Structured summary of trial design, methods, results and conclusions" },
+    { id: "2a", section: INTRODUCTION, text: "Background: scientific background and explanation of rationale" },
+    { id: "2b", section: INTRODUCTION, text: "Objectives: specific objectives or hypotheses" },
+    { id: "3a", section: METHODS, text: "Trial design: description of trial design (such as parallel, factorial), including allocation ratio" },
+    { id: "3b", section: METHODS, text: "Trial design: important changes to methods after trial commencement (such as eligibility criteria), with reasons", options: IF_APPLICABLE },
+    { id: "4a", section: METHODS, text: "Participants: eligibility criteria for participants" },
+    { id: "4b", section: METHODS, text: "Participants: settings and locations where the data were collected" },
+    { id: "5", section: METHODS, text: "Interventions: the interventions for each group with sufficient details to allow replication, including how and when they were actually administered" },
+    { id: "6a", section: METHODS, text: "Outcomes: completely defined pre-specified primary and secondary outcome measures, including how and when they were assessed" },
+    { id: "6b", section: METHODS, text: "Outcomes: any changes to trial outcomes after the trial commenced, with reasons", options: IF_APPLICABLE },
+    { id: "7a", section: METHODS, text: "Sample size: how sample size was determined" },
+    { id: "7b", section: METHODS, text: "Sample size: when applicable, explanation of any interim analyses and stopping guidelines", options: IF_APPLICABLE },
+    { id: "8a", section: METHODS, text: "Sequence generation: method used to generate the random allocation sequence" },
+    { id: "8b", section: METHODS, text: "Sequence generation: type of randomisation; details of any restriction (such as blocking and block size)" },
+    { id: "9", section: METHODS, text: "Allocation concealment: mechanism used to implement the random allocation sequence (such as sequentially numbered containers), describing any steps taken to conceal the sequence until interventions were assigned" },
+    { id: "10", section: METHODS, text: "Implementation: who generated the random allocation sequence, who enrolled participants, and who assigned participants to interventions" },
+    { id: "11a", section: METHODS, text: "Blinding: if done, who was blinded after assignment to interventions (for example participants, care providers, those assessing outcomes) and how", options: IF_APPLICABLE },
+    { id: "11b", section: METHODS, text: "Blinding: if relevant, description of the similarity of interventions", options: IF_APPLICABLE },
+    { id: "12a", section: METHODS, text: "Statistical methods: statistical methods used to compare groups for primary and secondary outcomes" },
+    { id: "12b", section: METHODS, text: "Statistical methods: methods for additional analyses, such as subgroup analyses and adjusted analyses", options: IF_APPLICABLE },
+    { id: "13a", section: RESULTS, text: "Participant flow: for each group, the numbers of participants who were randomly assigned, received intended treatment, and were analysed for the primary outcome" },
+    { id: "13b", section: RESULTS, text: "Participant flow: for each group, losses and exclusions after randomisation, together with reasons" },
+    { id: "14a", section: RESULTS, text: "Recruitment: dates defining the periods of recruitment and follow-up" },
+    { id: "14b", section: RESULTS, text: "Recruitment: why the trial ended or was stopped" },
+    { id: "15", section: RESULTS, text: "Baseline data: a table showing baseline demographic and clinical characteristics for each group" },
+    { id: "16", section: RESULTS, text: "Numbers analysed: for each group, number of participants (denominator) included in each analysis and whether the analysis was by original assigned groups" },
+    { id: "17a", section: RESULTS, text: "Outcomes and estimation: for each primary and secondary outcome, results for each group, and the estimated effect size and its precision (such as 95% confidence interval)" },
+    { id: "17b", section: RESULTS, text: "Outcomes and estimation: for binary outcomes, presentation of both absolute and relative effect sizes", options: IF_APPLICABLE },
+    { id: "18", section: RESULTS, text: "Ancillary analyses: results of any other analyses performed, including subgroup analyses and adjusted analyses, distinguishing pre-specified from exploratory", options: IF_APPLICABLE },
+    { id: "19", section: RESULTS, text: "Harms: all important harms or unintended effects in each group" },
+    { id: "20", section: DISCUSSION, text: "Limitations: trial limitations, addressing sources of potential bias, imprecision, and, if relevant, multiplicity of analyses" },
+    { id: "21", section: DISCUSSION, text: "Generalisability: generalisability (external validity, applicability) of the trial findings" },
+    { id: "22", section: DISCUSSION, text: "Interpretation: interpretation consistent with results, balancing benefits and harms, and considering other relevant evidence" },
+    { id: "23", section: OTHER, text: "Registration: registration number and name of trial registry" },
+    { id: "24", section: OTHER, text: "Protocol: where the full trial protocol can be accessed, if available", options: IF_APPLICABLE },
+    { id: "25", section: OTHER, text: "Funding: sources of funding and other support (such as supply of drugs), role of funders" }
+  ],
+
+  /**
+   * Turns the model's answers into the CONSORT audit
+   * @param {Object} response - Parsed model output
+   * @returns {Object} Assessment (see scoreChecklistTool)
+   */
+  assess: (response) => scoreChecklistTool(CONSORT, response)
+};
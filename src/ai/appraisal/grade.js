@@ -0,0 +1,197 @@
+/**
+ * GRADE: certainty of the evidence for each outcome
+ * Follows the GRADE Handbook (Schünemann et al., 2013): evidence from randomised trials starts
+ * High and from observational studies Low; it is rated down one level for each serious concern
+ * (two for very serious) about risk of bias, inconsistency, indirectness or imprecision, and one
+ * level when publication bias is strongly suspected. Observational evidence that was not rated
+ * down may be rated up for a large effect or a dose-response gradient.
+ * The outcomes are those of the structured summary; the model judges each factor with a reason
+ * and the rating is computed here.
+ */
+
+const HIGH = "High";
+const MODERATE = "Moderate";
+const LOW = "Low";
+const VERY_LOW = "Very low";
+
+const RANDOMISED = "Randomised trials";
+const OBSERVATIONAL = "Observational studies";
+
+/**
+ * Certainty levels from lowest to highest; the index is the number of levels above Very low
+ * @constant {string[]}
+ */
+const CERTAINTY_SCALE = [VERY_LOW, LOW, MODERATE, HIGH];
+
+/**
+ * Study types whose evidence starts as randomised when the model gives no design
+ * @constant {string[]}
+ */
+const RANDOMISED_STUDY_TYPES = ["RCT", "Systematic Review", "Meta-Analysis"];
+
+/**
+ * Answers to the four rating-down factors judged by seriousness, and the levels each costs
+ * @constant {Object}
+ */
+const SERIOUSNESS = {
+  options: ["Very serious", "Serious", "Not serious"],
+  changes: { "Very serious": 2, "Serious": 1 }
+};
+
+/**
+ * A Summary of Findings table lists at most seven outcomes
+ * @constant {number}
+ */
+const MAX_OUTCOMES = 7;
+
+/**
+ * Outcomes to rate, from the structured summary: the primary outcome and then the secondary ones,
+ * up to the seven a Summary of Findings table holds
+ * @param {Object} [extraction] - Structured summary data
+ * @returns {{ outcomes: Array<{ id: string, name: string, importance: string, effect: string }>, omitted: string[] }}
+ *   Outcomes with the effect the summary reports for each (empty when none), and the names of the
+ *   outcomes past the seventh, which are not rated
+ */
+export function listGradeOutcomes(extraction) {
+  const { primary, secondary } = extraction?.outcomes || {};
+  const text = (value) => (typeof value === "string" && !/^(n\/a|not reported)?$/i.test(value.trim()) ? value.trim() : "");
+  const outcomes = [];
+  if (text(primary?.measure)) {
+    outcomes.push({
+      name: text(primary.measure),
+      importance: "Primary",
+      effect: [text(primary.effectSize) || text(primary.interventionResult), text(primary.confidenceInterval)].filter(Boolean).join(", ")
+    });
+  }
+  (Array.isArray(secondary) ? secondary : [])
+    .filter((outcome) => text(outcome?.measure))
+    .forEach((outcome) => outcomes.push({ name: text(outcome.measure), importance: "Secondary", effect: text(outcome.result) }));
+  return {
+    outcomes: outcomes.slice(0, MAX_OUTCOMES).map((outcome, index) => ({ id: `O${index + 1}`, ...outcome })),
+    omitted: outcomes.slice(MAX_OUTCOMES).map((outcome) => outcome.name)
+  };
+}
+
+/**
+ * Maps an answer onto a factor's options; the last option (no concern) is used otherwise
+ * @param {*} value - Raw answer
+ * @param {string[]} options - Factor options
+ * @returns {string} Option
+ * @private
+ */
+function normalizeOption(value, options) {
+  const text = String(value ?? "").trim().toLowerCase();
+  return options.find((option) => option.toLowerCase() === text) || options[options.length - 1];
+}
+
+/**
+ * Rates one outcome from the factor answers
+ * @param {Object} outcome - Outcome from listGradeOutcomes
+ * @param {Object} raw - Model output for the outcome
+ * @param {string} defaultDesign - Design used when the model gives none
+ * @returns {Object} Rated outcome: design, starting level, every factor with its answer, change
+ *   and reason, the certainty and the reasons for it
+ * @private
+ */
+function rateOutcome(outcome, raw = {}, defaultDesign) {
+  const design = [RANDOMISED, OBSERVATIONAL].find((option) => option.toLowerCase() === String(raw.design ?? "").trim().toLowerCase()) || defaultDesign;
+  const start = design === RANDOMISED ? CERTAINTY_SCALE.indexOf(HIGH) : CERTAINTY_SCALE.indexOf(LOW);
+
+  const factors = GRADE.factors.map((factor) => {
+    const answer = normalizeOption(raw[factor.id]?.answer, factor.options);
+    return {
+      id: factor.id,
+      name: factor.name,
+      direction: factor.direction,
+      answer,
+      change: factor.changes[answer] || 0,
+      reason: typeof raw[factor.id]?.reason === "string" ? raw[factor.id].reason.trim() : ""
+    };
+  });
+
+  const downgrades = factors.filter((factor) => factor.direction === "down" && factor.change);
+  const down = downgrades.reduce((total, factor) => total + factor.change, 0);
+  // Rating up is reserved for observational evidence with no reason to rate it down
+  const upgrades = design === OBSERVATIONAL && down === 0 ? factors.filter((factor) => factor.direction === "up" && factor.change) : [];
+  const up = upgrades.reduce((total, factor) => total + factor.change, 0);
+  const certainty = CERTAINTY_SCALE[Math.min(CERTAINTY_SCALE.length - 1, Math.max(0, start - down + up))];
+
+  const levels = (change) => (change === 1 ? "one level" : "two levels");
+  const reasons = [
+    ...downgrades.map((factor) => `Rated down ${levels(factor.change)} for ${factor.name.toLowerCase()}${factor.reason ? `: ${factor.reason}` : ""}`),
+    ...upgrades.map((factor) => `Rated up ${levels(factor.change)} for ${factor.name.toLowerCase()}${factor.reason ? `: ${factor.reason}` : ""}`)
+  ];
+
+  return {
+    ...outcome,
+    participants: typeof raw.participants === "string" ? raw.participants.trim() : "",
+    design,
+    start: CERTAINTY_SCALE[start],
+    factors,
+    judgement: certainty,
+    level: GRADE.levels[certainty],
+    reasons
+  };
+}
+
+/**
+ * GRADE tool definition
+ * @constant {Object}
+ */
+export const GRADE = {
+  id: "grade",
+  name: "GRADE",
+  title: "GRADE approach to rating the certainty of evidence",
+  layout: "grade",
+  // Rates outcomes rather than a study design, so it is only used when chosen
+  studyTypes: [],
+  // Rates the summary's outcomes against the whole paper, so it runs without a methods selection
+  wholePaper: true,
+  designs: [RANDOMISED, OBSERVATIONAL],
+  judgements: [HIGH, MODERATE, LOW, VERY_LOW],
+  levels: { [HIGH]: "low", [MODERATE]: "some", [LOW]: "high", [VERY_LOW]: "critical" },
+  // Options run from the largest change to none, so an unusable answer changes nothing
+  factors: [
+    { id: "riskOfBias", name: "Risk of bias", direction: "down", ...SERIOUSNESS },
+    { id: "inconsistency", name: "Inconsistency", direction: "down", ...SERIOUSNESS },
+    { id: "indirectness", name: "Indirectness", direction: "down", ...SERIOUSNESS },
+    { id: "imprecision", name: "Imprecision", direction: "down", ...SERIOUSNESS },
+    { id: "publicationBias", name: "Publication bias", direction: "down", options: ["Strongly suspected", "Undetected"], changes: { "Strongly suspected": 1 } },
+    { id: "largeEffect", name: "Large effect", direction: "up", options: ["Very large", "Large", "No"], changes: { "Very large": 2, "Large": 1 } },
+    { id: "doseResponse", name: "Dose-response gradient", direction: "up", options: ["Yes", "No"], changes: { "Yes": 1 } }
+  ],
+
+  /**
+   * Turns the model's factor judgements into a certainty rating per outcome
+   * The overall certainty is the lowest among the primary outcomes (all outcomes when none is
+   * primary), as GRADE rates a body of evidence by its critical outcomes.
+   * @param {Object} response - Parsed model output: { outcomes: {id: {design, participants, <factor>: {answer, reason}}} }
+   * @param {Object} context - What was rated
+   * @param {Array<Object>} context.outcomes - Outcomes from listGradeOutcomes
+   * @param {string[]} [context.omitted=[]] - Outcomes listGradeOutcomes left out, named in a note
+   * @param {string} [context.studyType] - Classified study type, for the default design
+   * @returns {Object} Assessment: tool id, name and layout, every outcome with its certainty and
+   *   reasons, and the overall certainty
+   */
+  assess: (response, { outcomes, omitted = [], studyType }) => {
+    const defaultDesign = RANDOMISED_STUDY_TYPES.includes(studyType) ? RANDOMISED : OBSERVATIONAL;
+    const rated = outcomes.map((outcome) => rateOutcome(outcome, response?.outcomes?.[outcome.id], defaultDesign));
+    const critical = rated.some((outcome) => outcome.importance === "Primary") ? rated.filter((outcome) => outcome.importance === "Primary") : rated;
+    const judgement = CERTAINTY_SCALE[Math.min(...critical.map((outcome) => CERTAINTY_SCALE.indexOf(outcome.judgement)))];
+
+    return {
+      tool: GRADE.id,
+      toolName: GRADE.name,
+      layout: GRADE.layout,
+      overallLabel: "Overall certainty",
+      outcomes: rated,
+      overall: {
+        judgement,
+        notes: omitted.length
+          ? [`Not rated: ${omitted.join(", ")}. A Summary of Findings table holds the first ${MAX_OUTCOMES} outcomes of the summary.`]
+          : [],
+        level: GRADE.levels[judgement]
+      }
+    };
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Appraisal tools, each chosen automatically from the study classification
+ */
+
+import { AMSTAR2 } from "./amstar2.js";
+import { CARE } from "./care.js";
+import { CONSORT } from "./consort.js";
+import { GRADE } from "./grade.js";
+import { JBI_QUALITATIVE } from "./jbiQualitative.js";
+import { NOS_CASE_CONTROL, NOS_COHORT } from "./nos.js";
+import { PRISMA } from "./prisma.js";
+import { QUADAS2 } from "./quadas2.js";
+import { ROB2 } from "./rob2.js";
+import { ROBINS_I } from "./robinsI.js";
+
+/**
+ * Every appraisal tool, in the order they are matched against a study type
+ * The Newcastle-Ottawa Scale comes after ROBINS-I, and the CONSORT and PRISMA audits after RoB 2
+ * and AMSTAR 2, so they are only used when asked for, as is GRADE, which matches no study type.
+ * @constant {Object[]}
+ */
+export const APPRAISAL_TOOLS = [ROB2, ROBINS_I, QUADAS2, AMSTAR2, JBI_QUALITATIVE, CARE, NOS_COHORT, NOS_CASE_CONTROL, CONSORT, PRISMA, GRADE];
+
+/**
+ * Picks the appraisal tool for a classified study type
+ * Automatically, RCTs get RoB 2; cohort, case-control and cross-sectional studies get ROBINS-I;
+ * diagnostic accuracy studies get QUADAS-2; systematic reviews and meta-analyses get AMSTAR 2;
+ * qualitative studies get the JBI qualitative checklist; case reports and case series get the CARE
+ * reporting checklist.
+ * @param {string} studyType - Study type from detectStudyType (e.g. "RCT")
+ * @param {string} [mode="auto"] - "auto", "generic" for the generic quality rubric, or a tool's
+ *   mode (its id, or "nos" for either Newcastle-Ottawa variant)
+ * @returns {Object|null} Tool definition, or null when the generic methodology assessment applies
+ */
+export function selectAppraisalTool(studyType, mode = "auto") {
+  if (mode === "generic") {
+    return null;
+  }
+  if (mode === "auto") {
+    return APPRAISAL_TOOLS.find((tool) => tool.studyTypes.includes(studyType)) || null;
+  }
+  // A chosen tool applies whatever the classification; the study type only picks the variant
+  const candidates = APPRAISAL_TOOLS.filter((tool) => (tool.mode || tool.id) === mode);
+  return candidates.find((tool) => tool.studyTypes.includes(studyType)) || candidates[0] || null;
+}
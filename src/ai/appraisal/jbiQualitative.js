@@ -0,0 +1,85 @@
+/**
+ * JBI Critical Appraisal Checklist for Qualitative Research
+ * Items follow Lockwood, Munn and Porritt, Int J Evid Based Healthc 2015;13:179-87, answered
+ * Yes / No / Can't tell (the checklist's "Unclear", as worded in the CASP checklists). The
+ * overall rating is the ConQual dependability score (Munn et al., BMC Med Res Methodol 2014),
+ * which JBI derives from items 2, 3, 4, 6 and 7.
+ */
+
+import { scoreChecklistTool } from "./checklist.js";
+
+const YES = "Yes";
+
+const HIGH = "High";
+const MODERATE = "Moderate";
+const LOW = "Low";
+
+/**
+ * Items ConQual uses to rate dependability
+ * @constant {string[]}
+ */
+const DEPENDABILITY_ITEMS = ["2", "3", "4", "6", "7"];
+
+const CONGRUENCE = "Methodological congruence";
+const REFLEXIVITY = "Researcher reflexivity";
+
+/**
+ * JBI qualitative checklist definition
+ * @constant {Object}
+ */
+export const JBI_QUALITATIVE = {
+  id: "jbi-qualitative",
+  name: "JBI Qualitative Checklist",
+  title: "JBI Critical Appraisal Checklist for Qualitative Research",
+  layout: "checklist",
+  overallLabel: "Dependability (ConQual)",
+  studyTypes: ["Qualitative"],
+  answerOptions: [YES, "No", "Can't tell"],
+  scope: "the study's methodology, the researchers' position and influence, how participants are represented, its ethics and how its conclusions follow from the data",
+  // The summary's COREQ extraction already holds paradigm, approach, sampling and reflexivity
+  extractionFields: ["studyDesign", "population", "frameworkSpecific"],
+  judgements: [HIGH, MODERATE, LOW],
+  levels: { [HIGH]: "low", [MODERATE]: "moderate", [LOW]: "serious" },
+  items: [
+    { id: "1", section: CONGRUENCE, text: "Is there congruity between the stated philosophical perspective and the research methodology?" },
+    { id: "2", section: CONGRUENCE, text: "Is there congruity between the research methodology and the research question or objectives?" },
+    { id: "3", section: CONGRUENCE, text: "Is there congruity between the research methodology and the methods used to collect data?" },
+    { id: "4", section: CONGRUENCE, text: "Is there congruity between the research methodology and the representation and analysis of data?" },
+    { id: "5", section: CONGRUENCE, text: "Is there congruity between the research methodology and the interpretation of results?" },
+    { id: "6", section: REFLEXIVITY, text: "Is there a statement locating the researcher culturally or theoretically?" },
+    { id: "7", section: REFLEXIVITY, text: "Is the influence of the researcher on the research, and vice-versa, addressed?" },
+    { id: "8", section: "Participant voice", text: "Are participants, and their voices, adequately represented?" },
+    { id: "9", section: "Ethics", text: "Is the research ethical according to current criteria or, for recent studies, is there evidence of ethical approval by an appropriate body?" },
+    { id: "10", section: "Conclusions", text: "Do the conclusions drawn in the research report flow from the analysis, or interpretation, of the data?" }
+  ],
+
+  /**
+   * Dependability: High with 4-5 Yes answers on items 2, 3, 4, 6 and 7, Moderate with 2-3
+   * (downgraded one level) and Low with 0-1 (downgraded two levels)
+   * @param {Array<Object>} items - Answered items
+   * @returns {{ judgement: string, notes: string[], score: Object }} Dependability and the number of
+   *   Yes answers across all items
+   */
+  overall: (items) => {
+    const dependable = items.filter((item) => DEPENDABILITY_ITEMS.includes(item.id) && item.answer === YES).length;
+    let judgement = LOW;
+    if (dependable >= 4) {
+      judgement = HIGH;
+    } else if (dependable >= 2) {
+      judgement = MODERATE;
+    }
+
+    return {
+      judgement,
+      notes: [`Dependability rests on items ${DEPENDABILITY_ITEMS.join(", ")}: ${dependable} of ${DEPENDABILITY_ITEMS.length} answered Yes.`],
+      score: { value: items.filter((item) => item.answer === YES).length, max: items.length, unit: "items answered Yes" }
+    };
+  },
+
+  /**
+   * Turns the model's answers into the JBI appraisal
+   * @param {Object} response - Parsed model output
+   * @returns {Object} Assessment (see scoreChecklistTool)
+   */
+  assess: (response) => scoreChecklistTool(JBI_QUALITATIVE, response)
+};
@@ -0,0 +1,216 @@
+/**
+ * Newcastle-Ottawa Scale (NOS) for cohort and case-control studies
+ * Items and star allocations follow the NOS coding manuals (Wells et al.): up to 4 stars for
+ * Selection, 2 for Comparability and 3 for Outcome (cohort) or Exposure (case-control), 9 in
+ * total. NOS has no official cut-offs; the Good/Fair/Poor rating uses the AHRQ conversion.
+ */
+
+import { scoreChecklistTool } from "./checklist.js";
+
+const GOOD = "Good";
+const FAIR = "Fair";
+const POOR = "Poor";
+
+const SELECTION = "Selection";
+const COMPARABILITY = "Comparability";
+
+/**
+ * Comparability is scored the same way in both variants: a star for controlling the most
+ * important factor and a star for any additional factor
+ * @constant {Array<[string, number]>}
+ */
+const COMPARABILITY_CHOICES = [
+  ["Controls for the most important factor and for additional factors", 2],
+  ["Controls for the most important factor only", 1],
+  ["Controls for additional factors but not the most important one", 1],
+  ["No control for confounding by design or analysis", 0]
+];
+
+/**
+ * Builds a star-rated item; the last choice must be the one for missing information
+ * @param {string} id - Item number
+ * @param {string} section - NOS category
+ * @param {string} text - Item text
+ * @param {Array<[string, number]>} choices - Answer options with the stars each one earns
+ * @returns {Object} Checklist item
+ * @private
+ */
+function starItem(id, section, text, choices) {
+  return {
+    id,
+    section,
+    text,
+    options: choices.map(([label]) => label),
+    points: Object.fromEntries(choices)
+  };
+}
+
+/**
+ * Builds the overall rating from the stars per category
+ * @param {string} thirdCategory - "Outcome" (cohort) or "Exposure" (case-control)
+ * @returns {Function} overall(items) for the tool definition
+ * @private
+ */
+function createOverall(thirdCategory) {
+  const categories = [[SELECTION, 4], [COMPARABILITY, 2], [thirdCategory, 3]];
+
+  /**
+   * Total stars out of 9 with the category subtotals, rated Good when Selection has 3-4 stars,
+   * Comparability 1-2 and the third category 2-3; Fair when Selection has 2 and the others as
+   * for Good; otherwise Poor
+   * @param {Array<Object>} items - Answered items
+   * @returns {{ judgement: string, notes: string[], score: Object, subscores: Array<Object> }}
+   */
+  return (items) => {
+    const subscores = categories.map(([name, max]) => ({
+      name,
+      value: items.filter((item) => item.section === name).reduce((total, item) => total + item.points, 0),
+      max
+    }));
+    const [selection, comparability, third] = subscores.map((subscore) => subscore.value);
+
+    let judgement = POOR;
+    if (comparability >= 1 && third >= 2) {
+      if (selection >= 3) {
+        judgement = GOOD;
+      } else if (selection === 2) {
+        judgement = FAIR;
+      }
+    }
+
+    return {
+      judgement,
+      notes: [],
+      score: { value: selection + comparability + third, max: 9, unit: "stars" },
+      subscores
+    };
+  };
+}
+
+const shared = {
+  layout: "checklist",
+  overallLabel: "Quality (AHRQ conversion)",
+  mode: "nos",
+  scope: "the study's selection of participants, comparability of groups and ascertainment of outcome or exposure",
+  // The summary's STROBE extraction already holds exposure, outcome and the confounders adjusted for
+  extractionFields: ["studyDesign", "population", "frameworkSpecific"],
+  judgements: [GOOD, FAIR, POOR],
+  levels: { [GOOD]: "low", [FAIR]: "moderate", [POOR]: "serious" }
+};
+
+/**
+ * NOS for cohort studies
+ * @constant {Object}
+ */
+export const NOS_COHORT = {
+  ...shared,
+  id: "nos-cohort",
+  name: "Newcastle-Ottawa Scale (cohort)",
+  title: "Newcastle-Ottawa Scale for cohort studies",
+  studyTypes: ["Cohort"],
+  items: [
+    starItem("1", SELECTION, "Representativeness of the exposed cohort", [
+      ["Truly representative of the average person in the community", 1],
+      ["Somewhat representative of the average person in the community", 1],
+      ["Selected group of users (e.g. nurses, volunteers)", 0],
+      ["No description of the derivation of the cohort", 0]
+    ]),
+    starItem("2", SELECTION, "Selection of the non-exposed cohort", [
+      ["Drawn from the same community as the exposed cohort", 1],
+      ["Drawn from a different source", 0],
+      ["No description of the derivation of the non-exposed cohort", 0]
+    ]),
+    starItem("3", SELECTION, "Ascertainment of exposure", [
+      ["Secure record (e.g. surgical records)", 1],
+      ["Structured interview", 1],
+      ["Written self report", 0],
+      ["No description", 0]
+    ]),
+    starItem("4", SELECTION, "Demonstration that the outcome of interest was not present at start of study", [
+      ["Yes", 1],
+      ["No", 0]
+    ]),
+    starItem("5", COMPARABILITY, "Comparability of cohorts on the basis of the design or analysis", COMPARABILITY_CHOICES),
+    starItem("6", "Outcome", "Assessment of outcome", [
+      ["Independent blind assessment", 1],
+      ["Record linkage", 1],
+      ["Self report", 0],
+      ["No description", 0]
+    ]),
+    starItem("7", "Outcome", "Was follow-up long enough for outcomes to occur?", [
+      ["Yes", 1],
+      ["No", 0]
+    ]),
+    starItem("8", "Outcome", "Adequacy of follow-up of cohorts", [
+      ["Complete follow-up: all subjects accounted for", 1],
+      ["Subjects lost to follow-up unlikely to introduce bias (small number lost, or description of those lost)", 1],
+      ["Follow-up rate low and no description of those lost", 0],
+      ["No statement", 0]
+    ])
+  ],
+  overall: createOverall("Outcome"),
+
+  /**
+   * Turns the model's answers into the NOS rating
+   * @param {Object} response - Parsed model output
+   * @returns {Object} Assessment (see scoreChecklistTool)
+   */
+  assess: (response) => scoreChecklistTool(NOS_COHORT, response)
+};
+
+/**
+ * NOS for case-control studies
+ * @constant {Object}
+ */
+export const NOS_CASE_CONTROL = {
+  ...shared,
+  id: "nos-case-control",
+  name: "Newcastle-Ottawa Scale (case-control)",
+  title: "Newcastle-Ottawa Scale for case-control studies",
+  studyTypes: ["Case-Control"],
+  items: [
+    starItem("1", SELECTION, "Is the case definition adequate?", [
+      ["Yes, with independent validation", 1],
+      ["Yes, e.g. record linkage or based on self reports", 0],
+      ["No description", 0]
+    ]),
+    starItem("2", SELECTION, "Representativeness of the cases", [
+      ["Consecutive or obviously representative series of cases", 1],
+      ["Potential for selection biases or not stated", 0]
+    ]),
+    starItem("3", SELECTION, "Selection of controls", [
+      ["Community controls", 1],
+      ["Hospital controls", 0],
+      ["No description", 0]
+    ]),
+    starItem("4", SELECTION, "Definition of controls", [
+      ["No history of disease (endpoint)", 1],
+      ["No description of source", 0]
+    ]),
+    starItem("5", COMPARABILITY, "Comparability of cases and controls on the basis of the design or analysis", COMPARABILITY_CHOICES),
+    starItem("6", "Exposure", "Ascertainment of exposure", [
+      ["Secure record (e.g. surgical records)", 1],
+      ["Structured interview where blind to case/control status", 1],
+      ["Interview not blinded to case/control status", 0],
+      ["Written self report or medical record only", 0],
+      ["No description", 0]
+    ]),
+    starItem("7", "Exposure", "Same method of ascertainment for cases and controls", [
+      ["Yes", 1],
+      ["No", 0]
+    ]),
+    starItem("8", "Exposure", "Non-response rate", [
+      ["Same rate for both groups", 1],
+      ["Non-respondents described", 0],
+      ["Rate different and no designation", 0]
+    ])
+  ],
+  overall: createOverall("Exposure"),
+
+  /**
+   * Turns the model's answers into the NOS rating
+   * @param {Object} response - Parsed model output
+   * @returns {Object} Assessment (see scoreChecklistTool)
+   */
+  assess: (response) => scoreChecklistTool(NOS_CASE_CONTROL, response)
+};
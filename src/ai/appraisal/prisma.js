@@ -0,0 +1,224 @@
+/**
+ * PRISMA 2020: reporting guideline for systematic reviews
+ * Items follow the PRISMA 2020 checklist (Page et al., BMJ 2021;372:n71), 27 items split into
+ * their sub-items, with item 2 (Abstract) expanded into the PRISMA 2020 for Abstracts checklist
+ * (its first item, the title, is item 1). Items the PRISMA extraction of the structured summary
+ * already settles are answered from it; items it covers in part are asked with what it found.
+ */
+
+import { scoreChecklistTool } from "./checklist.js";
+import { IF_APPLICABLE, REPORTED, REPORTING_CHECKLIST } from "./reporting.js";
+
+const TITLE = "Title";
+const ABSTRACT = "Abstract";
+const INTRODUCTION = "Introduction";
+const METHODS = "Methods";
+const RESULTS = "Results";
+const DISCUSSION = "Discussion";
+const OTHER = "Other information";
+
+/**
+ * Whether an extracted value holds something other than an empty or placeholder answer
+ * @param {*} value - Extracted value
+ * @returns {boolean} True for a non-empty string or list
+ * @private
+ */
+function isExtracted(value) {
+  if (Array.isArray(value)) {
+    return value.some(isExtracted);
+  }
+  return typeof value === "string" && value.trim() !== "" && !/^(n\/a|not reported|unknown|none)$/i.test(value.trim());
+}
+
+/**
+ * Whether an extracted count holds a number of studies or participants
+ * @param {*} value - Extracted value
+ * @returns {boolean} True for a positive number
+ * @private
+ */
+function isCounted(value) {
+  return typeof value === "number" && value > 0;
+}
+
+/**
+ * Hint for the risk-of-bias items (11 and A5), from the method the summary recorded
+ * @param {Object} frameworkSpecific - The summary's PRISMA fields
+ * @returns {{ hint: string }|null} Hint, or null when the summary recorded no method
+ * @private
+ */
+function hintRiskOfBiasMethod({ riskOfBiasMethod }) {
+  return isExtracted(riskOfBiasMethod) ? { hint: `risk of bias assessed with ${riskOfBiasMethod}.` } : null;
+}
+
+/**
+ * Hint for the included studies items (16a and A7), from the counts the summary recorded
+ * @param {Object} frameworkSpecific - The summary's PRISMA fields
+ * @returns {{ hint: string }|null} Hint, or null when the summary recorded no count
+ * @private
+ */
+function hintIncludedStudies({ numberOfStudies, totalParticipants }) {
+  const counts = [
+    isCounted(numberOfStudies) ? `${numberOfStudies} included studies` : "",
+    isCounted(totalParticipants) ? `${totalParticipants} participants` : ""
+  ].filter(Boolean);
+  return counts.length ? { hint: `${counts.join(" with ")}.` } : null;
+}
+
+/**
+ * Heterogeneity the summary recorded, as I² or in words
+ * @param {Object} frameworkSpecific - The summary's PRISMA fields
+ * @returns {string} I² (e.g. "I² = 45%"), the summary's notes, or an empty string
+ * @private
+ */
+function describeHeterogeneity({ I2, heterogeneityNotes }) {
+  if (typeof I2 === "number") {
+    return `I² = ${I2}%`;
+  }
+  return isExtracted(heterogeneityNotes) ? heterogeneityNotes.trim() : "";
+}
+
+/**
+ * PRISMA 2020 checklist definition
+ * @constant {Object}
+ */
+export const PRISMA = {
+  ...REPORTING_CHECKLIST,
+  id: "prisma",
+  name: "PRISMA 2020",
+  title: "PRISMA 2020 checklist for reporting a systematic review",
+  studyTypes: ["Systematic Review", "Meta-Analysis"],
+  scope: "how completely the paper reports each PRISMA item, wherever in the paper it appears",
+  // The summary's PRISMA extraction already holds databases, dates, risk-of-bias tool and registration
+  extractionFields: ["studyDesign", "population", "frameworkSpecific"],
+  items: [
+    { id: "1", section: TITLE, text: "Identify the report as a systematic review" },
+    { id: "A2", section: ABSTRACT, text: "Objectives: an explicit statement of the main objective(s) or question(s) the review addresses" },
+    { id: "A3", section: ABSTRACT, text: "Eligibility criteria: the inclusion and exclusion criteria for the review" },
+    { id: "A4", section: ABSTRACT, text: "Information sources: the information sources (e.g. databases, registers) used to identify studies and the date when each was last searched" },
+    {
+      id: "A5",
+      section: ABSTRACT,
+      text: "Risk of bias: the methods used to assess risk of bias in the included studies",
+      fromExtraction: ({ frameworkSpecific = {} }) => hintRiskOfBiasMethod(frameworkSpecific)
+    },
+    { id: "A6", section: ABSTRACT, text: "Synthesis of results: the methods used to present and synthesise results" },
+    {
+      id: "A7",
+      section: ABSTRACT,
+      text: "Included studies: the total number of included studies and participants and a summary of relevant study characteristics",
+      fromExtraction: ({ frameworkSpecific = {} }) => hintIncludedStudies(frameworkSpecific)
+    },
+    { id: "A8", section: ABSTRACT, text: "Synthesis of results: results for main outcomes, with the number of studies and participants for each, the summary estimate and its confidence/credible interval if meta-analysis was done, and the direction of the effect" },
+    { id: "A9", section: ABSTRACT, text: "Limitations of evidence: a brief summary of the limitations of the evidence included in the review (e.g. risk of bias, inconsistency, imprecision)" },
+    { id: "A10", section: ABSTRACT, text: "Interpretation: a general interpretation of the results and important implications" },
+    { id: "A11", section: ABSTRACT, text: "Funding: the primary source of funding for the review" },
+    { id: "A12", section: ABSTRACT, text: "Registration: the register name and registration number" },
+    { id: "3", section: INTRODUCTION, text: "Rationale: the rationale for the review in the context of existing knowledge" },
+    { id: "4", section: INTRODUCTION, text: "Objectives: an explicit statement of the objective(s) or question(s) the review addresses" },
+    { id: "5", section: METHODS, text: "Eligibility criteria: the inclusion and exclusion criteria for the review and how studies were grouped for the syntheses" },
+    {
+      id: "6",
+      section: METHODS,
+      text: "Information sources: all databases, registers, websites, organisations, reference lists and other sources searched or consulted, with the date each was last searched or consulted",
+      // The summary holds one date range for the search, not the date each source was last
+      // searched, so the model decides how much of the item the paper reports
+      fromExtraction: ({ frameworkSpecific = {} }) => (isExtracted(frameworkSpecific.databasesSearched)
+        ? {
+          hint: `sources searched: ${frameworkSpecific.databasesSearched.filter(isExtracted).join(", ")}${isExtracted(frameworkSpecific.dateRange) ? `; search dates: ${frameworkSpecific.dateRange}` : ""}.`
+        }
+        : null)
+    },
+    { id: "7", section: METHODS, text: "Search strategy: the full search strategies for all databases, registers and websites, including any filters and limits used" },
+    { id: "8", section: METHODS, text: "Selection process: how studies were screened, including how many reviewers screened each record and report, whether they worked independently, and any automation tools used" },
+    { id: "9", section: METHODS, text: "Data collection process: how data were collected from reports, including how many reviewers collected data, whether they worked independently, any processes for obtaining or confirming data from investigators, and any automation tools used" },
+    { id: "10a", section: METHODS, text: "Data items: all outcomes for which data were sought, and whether all compatible results were sought or how results were chosen" },
+    { id: "10b", section: METHODS, text: "Data items: all other variables for which data were sought (e.g. participant and intervention characteristics, funding sources), and any assumptions about missing or unclear information" },
+    {
+      id: "11",
+      section: METHODS,
+      text: "Study risk of bias assessment: the methods used, including the tool(s), how many reviewers assessed each study and whether they worked independently, and any automation tools used",
+      fromExtraction: ({ frameworkSpecific = {} }) => hintRiskOfBiasMethod(frameworkSpecific)
+    },
+    { id: "12", section: METHODS, text: "Effect measures: for each outcome, the effect measure(s) (e.g. risk ratio, mean difference) used in the synthesis or presentation of results" },
+    { id: "13a", section: METHODS, text: "Synthesis methods: the processes used to decide which studies were eligible for each synthesis" },
+    { id: "13b", section: METHODS, text: "Synthesis methods: any methods required to prepare the data for presentation or synthesis, such as handling of missing summary statistics or data conversions" },
+    { id: "13c", section: METHODS, text: "Synthesis methods: any methods used to tabulate or visually display results of individual studies and syntheses" },
+    {
+      id: "13d",
+      section: METHODS,
+      text: "Synthesis methods: the methods used to synthesise results and their rationale; for meta-analysis, the model(s), the methods to identify statistical heterogeneity, and the software used",
+      fromExtraction: ({ frameworkSpecific = {} }) => {
+        const { metaAnalysisModel } = frameworkSpecific;
+        if (metaAnalysisModel === "none") {
+          return { hint: "no meta-analysis." };
+        }
+        const heterogeneity = describeHeterogeneity(frameworkSpecific);
+        return metaAnalysisModel === "fixed" || metaAnalysisModel === "random"
+          ? { hint: `${metaAnalysisModel}-effects meta-analysis${heterogeneity ? `; heterogeneity: ${heterogeneity}` : ""}.` }
+          : null;
+      }
+    },
+    { id: "13e", section: METHODS, text: "Synthesis methods: any methods used to explore possible causes of heterogeneity (e.g. subgroup analysis, meta-regression)", options: IF_APPLICABLE },
+    { id: "13f", section: METHODS, text: "Synthesis methods: any sensitivity analyses conducted to assess robustness of the synthesised results", options: IF_APPLICABLE },
+    { id: "14", section: METHODS, text: "Reporting bias assessment: any methods used to assess risk of bias due to missing results in a synthesis (arising from reporting biases)" },
+    { id: "15", section: METHODS, text: "Certainty assessment: any methods used to assess certainty (or confidence) in the body of evidence for an outcome (e.g. GRADE)" },
+    {
+      id: "16a",
+      section: RESULTS,
+      text: "Study selection: the results of the search and selection process, from the number of records identified to the number of studies included, ideally with a flow diagram",
+      fromExtraction: ({ frameworkSpecific = {} }) => hintIncludedStudies(frameworkSpecific)
+    },
+    { id: "16b", section: RESULTS, text: "Study selection: studies that might appear to meet the inclusion criteria but were excluded, with the reasons" },
+    { id: "17", section: RESULTS, text: "Study characteristics: each included study cited with its characteristics" },
+    { id: "18", section: RESULTS, text: "Risk of bias in studies: risk of bias assessments for each included study" },
+    { id: "19", section: RESULTS, text: "Results of individual studies: for all outcomes, summary statistics for each group and an effect estimate with its precision for each study, ideally in tables or plots" },
+    { id: "20a", section: RESULTS, text: "Results of syntheses: for each synthesis, the characteristics and risk of bias among contributing studies" },
+    {
+      id: "20b",
+      section: RESULTS,
+      text: "Results of syntheses: results of all statistical syntheses; for meta-analysis, the summary estimate with its precision and measures of statistical heterogeneity, and the direction of the effect",
+      fromExtraction: ({ frameworkSpecific = {} }) => {
+        const { pooledEffectMeasure, pooledEffectValue } = frameworkSpecific;
+        const heterogeneity = describeHeterogeneity(frameworkSpecific);
+        const estimate = isExtracted(pooledEffectValue)
+          ? `pooled ${isExtracted(pooledEffectMeasure) ? `${pooledEffectMeasure} ` : "effect "}${pooledEffectValue}`
+          : "";
+        const found = [estimate, heterogeneity ? `heterogeneity: ${heterogeneity}` : ""].filter(Boolean);
+        return found.length ? { hint: `${found.join("; ")}.` } : null;
+      }
+    },
+    { id: "20c", section: RESULTS, text: "Results of syntheses: results of all investigations of possible causes of heterogeneity", options: IF_APPLICABLE },
+    { id: "20d", section: RESULTS, text: "Results of syntheses: results of all sensitivity analyses", options: IF_APPLICABLE },
+    { id: "21", section: RESULTS, text: "Reporting biases: assessments of risk of bias due to missing results for each synthesis assessed" },
+    { id: "22", section: RESULTS, text: "Certainty of evidence: assessments of certainty (or confidence) in the body of evidence for each outcome assessed" },
+    { id: "23a", section: DISCUSSION, text: "A general interpretation of the results in the context of other evidence" },
+    { id: "23b", section: DISCUSSION, text: "Limitations of the evidence included in the review" },
+    { id: "23c", section: DISCUSSION, text: "Limitations of the review processes used" },
+    { id: "23d", section: DISCUSSION, text: "Implications of the results for practice, policy and future research" },
+    {
+      id: "24a",
+      section: OTHER,
+      text: "Registration and protocol: registration information for the review, including register name and registration number, or a statement that the review was not registered",
+      // "Not registered" may only mean the summary found no registration, so it is left to the model
+      fromExtraction: ({ frameworkSpecific = {} }) => (isExtracted(frameworkSpecific.registration) && !/not registered/i.test(frameworkSpecific.registration)
+        ? {
+          answer: REPORTED,
+          justification: `The summary records the registration ${frameworkSpecific.registration}.`,
+          fields: ["frameworkSpecific.registration", "studyDesign.registrationID"]
+        }
+        : null)
+    },
+    { id: "24b", section: OTHER, text: "Registration and protocol: where the review protocol can be accessed, or a statement that a protocol was not prepared" },
+    { id: "24c", section: OTHER, text: "Registration and protocol: any amendments to information provided at registration or in the protocol, with explanations", options: IF_APPLICABLE },
+    { id: "25", section: OTHER, text: "Support: sources of financial or non-financial support for the review, and the role of the funders or sponsors" },
+    { id: "26", section: OTHER, text: "Competing interests: any competing interests of review authors" },
+    { id: "27", section: OTHER, text: "Availability of data, code and other materials: which of the data collection forms, extracted data, analysis data, analytic code and other materials are publicly available, and where" }
+  ],
+
+  /**
+   * Turns the model's answers, and those taken from the summary, into the PRISMA audit
+   * @param {Object} response - Parsed model output merged with the prefilled answers
+   * @returns {Object} Assessment (see scoreChecklistTool)
+   */
+  assess: (response) => scoreChecklistTool(PRISMA, response)
+};
@@ -0,0 +1,149 @@
+/**
+ * QUADAS-2: quality assessment of diagnostic accuracy studies
+ * Four domains, each judged for risk of bias and the first three also for concerns about
+ * applicability. Questions follow Whiting et al., Ann Intern Med 2011;155:529-36.
+ * QUADAS-2 leaves the step from signalling answers to a judgement to the reviewer; the usual
+ * reading is applied here: all Yes is Low, any No is High, otherwise Unclear.
+ */
+
+import { scoreSignallingTool } from "./signalling.js";
+
+const LOW = "Low";
+const HIGH = "High";
+const UNCLEAR = "Unclear";
+
+const YES = "Yes";
+const NO = "No";
+
+/**
+ * Answers to an applicability question: the level of concern itself
+ * @constant {string[]}
+ */
+const CONCERN_OPTIONS = [LOW, HIGH, UNCLEAR];
+
+/**
+ * Risk of bias from a domain's signalling answers
+ * @param {string[]} answers - Yes/No/Unclear answers
+ * @returns {string} Low, High or Unclear
+ * @private
+ */
+function judgeRisk(answers) {
+  if (answers.includes(NO)) {
+    return HIGH;
+  }
+  return answers.every((answer) => answer === YES) ? LOW : UNCLEAR;
+}
+
+/**
+ * Worst of several judgements
+ * @param {string[]} judgements - Domain judgements
+ * @returns {string} High over Unclear over Low
+ * @private
+ */
+function worstOf(judgements) {
+  if (judgements.includes(HIGH)) {
+    return HIGH;
+  }
+  return judgements.includes(UNCLEAR) ? UNCLEAR : LOW;
+}
+
+/**
+ * QUADAS-2 tool definition
+ * @constant {Object}
+ */
+export const QUADAS2 = {
+  id: "quadas-2",
+  name: "QUADAS-2",
+  title: "Quality Assessment of Diagnostic Accuracy Studies tool (QUADAS-2)",
+  layout: "quadas",
+  studyTypes: ["Diagnostic Accuracy"],
+  answerOptions: [YES, NO, UNCLEAR],
+  answerGuide: "Yes, No, Unclear (not enough information)",
+  scope: "the accuracy of the index test against the reference standard; judge applicability against the paper's own stated question (patients, setting, target condition)",
+  judgements: [LOW, HIGH, UNCLEAR],
+  levels: { [LOW]: "low", [HIGH]: "high", [UNCLEAR]: "unknown" },
+  domains: [
+    {
+      id: "D1",
+      name: "Patient selection",
+      questions: [
+        { id: "1.1", text: "Was a consecutive or random sample of patients enrolled?" },
+        { id: "1.2", text: "Was a case-control design avoided?" },
+        { id: "1.3", text: "Did the study avoid inappropriate exclusions?" },
+        {
+          id: "1.A",
+          text: "Applicability: is there concern that the included patients do not match the review question?",
+          options: CONCERN_OPTIONS
+        }
+      ],
+      judge: (a) => judgeRisk([a["1.1"], a["1.2"], a["1.3"]]),
+      applicability: (a) => a["1.A"]
+    },
+    {
+      id: "D2",
+      name: "Index test",
+      questions: [
+        { id: "2.1", text: "Were the index test results interpreted without knowledge of the results of the reference standard?" },
+        { id: "2.2", text: "If a threshold was used, was it pre-specified?" },
+        {
+          id: "2.A",
+          text: "Applicability: is there concern that the index test, its conduct, or interpretation differ from the review question?",
+          options: CONCERN_OPTIONS
+        }
+      ],
+      judge: (a) => judgeRisk([a["2.1"], a["2.2"]]),
+      applicability: (a) => a["2.A"]
+    },
+    {
+      id: "D3",
+      name: "Reference standard",
+      questions: [
+        { id: "3.1", text: "Is the reference standard likely to correctly classify the target condition?" },
+        { id: "3.2", text: "Were the reference standard results interpreted without knowledge of the results of the index test?" },
+        {
+          id: "3.A",
+          text: "Applicability: is there concern that the target condition as defined by the reference standard does not match the review question?",
+          options: CONCERN_OPTIONS
+        }
+      ],
+      judge: (a) => judgeRisk([a["3.1"], a["3.2"]]),
+      applicability: (a) => a["3.A"]
+    },
+    {
+      id: "D4",
+      name: "Flow and timing",
+      questions: [
+        { id: "4.1", text: "Was there an appropriate interval between index test(s) and reference standard?" },
+        { id: "4.2", text: "Did all patients receive a reference standard?" },
+        { id: "4.3", text: "Did patients receive the same reference standard?" },
+        { id: "4.4", text: "Were all patients included in the analysis?" }
+      ],
+      judge: (a) => judgeRisk([a["4.1"], a["4.2"], a["4.3"], a["4.4"]])
+    }
+  ],
+
+  /**
+   * Overall: Low only when every domain is Low, as QUADAS-2 recommends for summarizing a study;
+   * risk of bias and applicability are summarized separately
+   * @param {Array<Object>} domains - Judged domains
+   * @returns {{ judgement: string, notes: string[], applicability: string }} Overall judgements
+   */
+  overall: (domains) => {
+    const judgement = worstOf(domains.map((domain) => domain.judgement));
+    const flagged = domains.filter((domain) => domain.judgement === HIGH);
+    return {
+      judgement,
+      notes: flagged.length
+        ? [`A No answer in ${flagged.map((domain) => domain.id).join(", ")} flags potential bias; QUADAS-2 asks the reviewer to confirm it is High.`]
+        : [],
+      applicability: worstOf(domains.filter((domain) => domain.applicability).map((domain) => domain.applicability.judgement))
+    };
+  },
+
+  /**
+   * Turns the model's answers into the QUADAS-2 assessment
+   * @param {Object} response - Parsed model output
+   * @returns {Object} Assessment (see scoreSignallingTool)
+   */
+  assess: (response) => scoreSignallingTool(QUADAS2, response)
+};
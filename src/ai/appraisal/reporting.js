@@ -0,0 +1,89 @@
+/**
+ * Shared pieces of reporting-guideline checklists (CARE and similar)
+ * These audit what a paper reports rather than how well the study was done: each item is
+ * Reported, Partially reported or Not reported (or Not applicable, for items the guideline makes
+ * conditional), and the overall rating is the share of the checklist the paper covers.
+ */
+
+import { REPORTING_SECTIONS } from "../promptTemplates.js";
+
+/**
+ * Answer for an item the paper reports in full
+ * @constant {string}
+ */
+export const REPORTED = "Reported";
+const PARTIALLY_REPORTED = "Partially reported";
+const NOT_APPLICABLE = "Not applicable";
+const NOT_REPORTED = "Not reported";
+
+const COMPLETE = "Complete";
+const MOSTLY_COMPLETE = "Mostly complete";
+const INCOMPLETE = "Incomplete";
+const POORLY_REPORTED = "Poorly reported";
+
+/**
+ * Credit each answer earns towards completeness
+ * @constant {Object<string, number>}
+ */
+const ANSWER_CREDIT = { [REPORTED]: 1, [PARTIALLY_REPORTED]: 0.5, [NOT_REPORTED]: 0 };
+
+/**
+ * Answers for items the guideline asks for only when relevant ("if done", "when applicable");
+ * Not applicable items are left out of the completeness percentage
+ * @constant {string[]}
+ */
+export const IF_APPLICABLE = [REPORTED, PARTIALLY_REPORTED, NOT_APPLICABLE, NOT_REPORTED];
+
+/**
+ * Fields every reporting checklist shares; a tool adds its id, names, study types, items and assess
+ * @constant {Object}
+ */
+export const REPORTING_CHECKLIST = {
+  layout: "checklist",
+  overallLabel: "Reporting completeness",
+  answerOptions: [REPORTED, PARTIALLY_REPORTED, NOT_REPORTED],
+  // Reporting items cover the whole paper, from the title to the declarations, so the audit runs
+  // without a methods selection
+  sectionKeys: REPORTING_SECTIONS,
+  wholePaper: true,
+  judgements: [COMPLETE, MOSTLY_COMPLETE, INCOMPLETE, POORLY_REPORTED],
+  levels: { [COMPLETE]: "low", [MOSTLY_COMPLETE]: "some", [INCOMPLETE]: "high", [POORLY_REPORTED]: "critical" },
+
+  /**
+   * Completeness: a full point per item reported and half a point per item partially reported,
+   * as a percentage of the items that apply. The guidelines set no cut-offs; the bands used here are
+   * Complete at 100%, Mostly complete from 75%, Incomplete from 50% and Poorly reported below
+   * @param {Array<Object>} items - Answered items
+   * @returns {{ judgement: string, notes: string[], completeness: Object }} Rating, a note listing
+   *   the items not reported, and the percentage with the count of items per answer
+   */
+  overall: (items) => {
+    const applicable = items.filter((item) => item.answer !== NOT_APPLICABLE);
+    const credit = applicable.reduce((total, item) => total + ANSWER_CREDIT[item.answer], 0);
+    const percent = applicable.length ? Math.round((credit / applicable.length) * 100) : 0;
+
+    let judgement = POORLY_REPORTED;
+    if (percent === 100) {
+      judgement = COMPLETE;
+    } else if (percent >= 75) {
+      judgement = MOSTLY_COMPLETE;
+    } else if (percent >= 50) {
+      judgement = INCOMPLETE;
+    }
+
+    const count = (answer) => items.filter((item) => item.answer === answer).length;
+    const missing = items.filter((item) => item.answer === NOT_REPORTED).map((item) => item.id);
+    return {
+      judgement,
+      notes: missing.length ? [`Not reported: item${missing.length === 1 ? "" : "s"} ${missing.join(", ")}.`] : [],
+      completeness: {
+        percent,
+        reported: count(REPORTED),
+        partial: count(PARTIALLY_REPORTED),
+        notReported: count(NOT_REPORTED),
+        notApplicable: count(NOT_APPLICABLE),
+        total: items.length
+      }
+    };
+  }
+};
@@ -0,0 +1,224 @@
+/**
+ * Cochrane RoB 2: revised risk-of-bias tool for individually randomized, parallel-group trials
+ * Assesses the effect of assignment to intervention (intention-to-treat) for one result.
+ * Questions and judgement algorithms follow Sterne et al., BMJ 2019;366:l4898 and the RoB 2
+ * guidance of 22 August 2019.
+ */
+
+import { isNo, isYes, scoreSignallingTool, SIGNALLING_ANSWERS, SIGNALLING_ANSWER_GUIDE } from "./signalling.js";
+
+const LOW = "Low";
+const SOME_CONCERNS = "Some concerns";
+const HIGH = "High";
+
+/**
+ * Worst of several judgements
+ * @param {string[]} judgements - Domain or part judgements
+ * @returns {string} High over Some concerns over Low
+ * @private
+ */
+function worstOf(judgements) {
+  if (judgements.includes(HIGH)) {
+    return HIGH;
+  }
+  return judgements.includes(SOME_CONCERNS) ? SOME_CONCERNS : LOW;
+}
+
+/**
+ * RoB 2 tool definition
+ * @constant {Object}
+ */
+export const ROB2 = {
+  id: "rob2",
+  name: "RoB 2",
+  title: "Cochrane risk-of-bias tool for randomized trials (RoB 2)",
+  layout: "traffic-light",
+  studyTypes: ["RCT"],
+  answerOptions: SIGNALLING_ANSWERS,
+  answerGuide: SIGNALLING_ANSWER_GUIDE,
+  scope: "the effect of assignment to intervention (intention-to-treat) on the primary outcome",
+  judgements: [LOW, SOME_CONCERNS, HIGH],
+  levels: { [LOW]: "low", [SOME_CONCERNS]: "some", [HIGH]: "high" },
+  domains: [
+    {
+      id: "D1",
+      name: "Randomization process",
+      questions: [
+        { id: "1.1", text: "Was the allocation sequence random?" },
+        { id: "1.2", text: "Was the allocation sequence concealed until participants were enrolled and assigned to interventions?" },
+        { id: "1.3", text: "Did baseline differences between intervention groups suggest a problem with the randomization process?" }
+      ],
+      judge: (a) => {
+        if (isNo(a["1.2"]) || (a["1.2"] === "NI" && isYes(a["1.3"]))) {
+          return HIGH;
+        }
+        if (isYes(a["1.2"]) && !isNo(a["1.1"]) && !isYes(a["1.3"])) {
+          return LOW;
+        }
+        return SOME_CONCERNS;
+      }
+    },
+    {
+      id: "D2",
+      name: "Deviations from intended interventions",
+      questions: [
+        { id: "2.1", text: "Were participants aware of their assigned intervention during the trial?" },
+        { id: "2.2", text: "Were carers and people delivering the interventions aware of participants' assigned intervention during the trial?" },
+        {
+          id: "2.3",
+          text: "Were there deviations from the intended intervention that arose because of the trial context?",
+          condition: "only if 2.1 or 2.2 is Y, PY or NI",
+          appliesWhen: (a) => !isNo(a["2.1"]) || !isNo(a["2.2"])
+        },
+        {
+          id: "2.4",
+          text: "Were these deviations likely to have affected the outcome?",
+          condition: "only if 2.3 is Y or PY",
+          appliesWhen: (a) => isYes(a["2.3"])
+        },
+        {
+          id: "2.5",
+          text: "Were these deviations from intended intervention balanced between groups?",
+          condition: "only if 2.4 is Y, PY or NI",
+          appliesWhen: (a) => isYes(a["2.4"]) || a["2.4"] === "NI"
+        },
+        { id: "2.6", text: "Was an appropriate analysis used to estimate the effect of assignment to intervention?" },
+        {
+          id: "2.7",
+          text: "Was there potential for a substantial impact (on the result) of the failure to analyse participants in the group to which they were randomized?",
+          condition: "only if 2.6 is N, PN or NI",
+          appliesWhen: (a) => !isYes(a["2.6"])
+        }
+      ],
+      judge: (a) => {
+        // Part 1: deviations from intended interventions; part 2: the analysis
+        let part1 = LOW;
+        if (a["2.3"] === "NI") {
+          part1 = SOME_CONCERNS;
+        } else if (isYes(a["2.3"])) {
+          if (isNo(a["2.4"])) {
+            part1 = SOME_CONCERNS;
+          } else {
+            part1 = isYes(a["2.5"]) ? SOME_CONCERNS : HIGH;
+          }
+        }
+
+        let part2 = LOW;
+        if (!isYes(a["2.6"])) {
+          part2 = isNo(a["2.7"]) ? SOME_CONCERNS : HIGH;
+        }
+        return worstOf([part1, part2]);
+      }
+    },
+    {
+      id: "D3",
+      name: "Missing outcome data",
+      questions: [
+        { id: "3.1", text: "Were data for this outcome available for all, or nearly all, participants randomized?" },
+        {
+          id: "3.2",
+          text: "Is there evidence that the result was not biased by missing outcome data?",
+          condition: "only if 3.1 is N, PN or NI",
+          appliesWhen: (a) => !isYes(a["3.1"])
+        },
+        {
+          id: "3.3",
+          text: "Could missingness in the outcome depend on its true value?",
+          condition: "only if 3.2 is N, PN or NI",
+          appliesWhen: (a) => isNo(a["3.2"]) || a["3.2"] === "NI"
+        },
+        {
+          id: "3.4",
+          text: "Is it likely that missingness in the outcome depended on its true value?",
+          condition: "only if 3.3 is Y, PY or NI",
+          appliesWhen: (a) => isYes(a["3.3"]) || a["3.3"] === "NI"
+        }
+      ],
+      judge: (a) => {
+        if (isYes(a["3.1"]) || isYes(a["3.2"]) || isNo(a["3.3"])) {
+          return LOW;
+        }
+        return isNo(a["3.4"]) ? SOME_CONCERNS : HIGH;
+      }
+    },
+    {
+      id: "D4",
+      name: "Measurement of the outcome",
+      questions: [
+        { id: "4.1", text: "Was the method of measuring the outcome inappropriate?" },
+        { id: "4.2", text: "Could measurement or ascertainment of the outcome have differed between intervention groups?" },
+        {
+          id: "4.3",
+          text: "Were outcome assessors aware of the intervention received by study participants?",
+          condition: "only if 4.1 and 4.2 are both N, PN or NI",
+          appliesWhen: (a) => !isYes(a["4.1"]) && !isYes(a["4.2"])
+        },
+        {
+          id: "4.4",
+          text: "Could assessment of the outcome have been influenced by knowledge of intervention received?",
+          condition: "only if 4.3 is Y, PY or NI",
+          appliesWhen: (a) => isYes(a["4.3"]) || a["4.3"] === "NI"
+        },
+        {
+          id: "4.5",
+          text: "Is it likely that assessment of the outcome was influenced by knowledge of intervention received?",
+          condition: "only if 4.4 is Y, PY or NI",
+          appliesWhen: (a) => isYes(a["4.4"]) || a["4.4"] === "NI"
+        }
+      ],
+      judge: (a) => {
+        if (isYes(a["4.1"]) || isYes(a["4.2"])) {
+          return HIGH;
+        }
+        // With no information on 4.2, the best a domain can reach is Some concerns
+        const ceiling = a["4.2"] === "NI" ? SOME_CONCERNS : LOW;
+        if (isNo(a["4.3"]) || isNo(a["4.4"])) {
+          return ceiling;
+        }
+        return isNo(a["4.5"]) ? SOME_CONCERNS : HIGH;
+      }
+    },
+    {
+      id: "D5",
+      name: "Selection of the reported result",
+      questions: [
+        { id: "5.1", text: "Were the data that produced this result analysed in accordance with a pre-specified analysis plan that was finalized before unblinded outcome data were available for analysis?" },
+        { id: "5.2", text: "Is the numerical result being assessed likely to have been selected, on the basis of the results, from multiple eligible outcome measurements (e.g. scales, definitions, time points) within the outcome domain?" },
+        { id: "5.3", text: "Is the numerical result being assessed likely to have been selected, on the basis of the results, from multiple eligible analyses of the data?" }
+      ],
+      judge: (a) => {
+        if (isYes(a["5.2"]) || isYes(a["5.3"])) {
+          return HIGH;
+        }
+        if (isNo(a["5.2"]) && isNo(a["5.3"]) && isYes(a["5.1"])) {
+          return LOW;
+        }
+        return SOME_CONCERNS;
+      }
+    }
+  ],
+
+  /**
+   * Overall risk of bias: Low when every domain is Low, High when any domain is High,
+   * otherwise Some concerns
+   * RoB 2 also allows High when several domains have some concerns that together substantially
+   * lower confidence in the result; that call is left to the reviewer and flagged in the notes.
+   * @param {Array<{judgement: string}>} domains - Judged domains
+   * @returns {{ judgement: string, notes: string[] }} Overall judgement
+   */
+  overall: (domains) => {
+    const judgement = worstOf(domains.map((domain) => domain.judgement));
+    const concerns = domains.filter((domain) => domain.judgement === SOME_CONCERNS);
+    const notes = judgement === SOME_CONCERNS && concerns.length > 1
+      ? [`Some concerns in ${concerns.length} domains (${concerns.map((domain) => domain.id).join(", ")}): consider whether together they justify an overall High risk of bias.`]
+      : [];
+    return { judgement, notes };
+  },
+
+  /**
+   * Turns the model's answers into the RoB 2 assessment
+   * @param {Object} response - Parsed model output
+   * @returns {Object} Assessment (see scoreSignallingTool)
+   */
+  assess: (response) => scoreSignallingTool(ROB2, response)
+};
@@ -0,0 +1,287 @@
+/**
+ * ROBINS-I: Risk Of Bias In Non-randomised Studies - of Interventions
+ * Assesses the effect of starting an intervention, against a hypothetical target trial, for one
+ * result. Questions follow Sterne et al., BMJ 2016;355:i4919 and the ROBINS-I detailed guidance
+ * (20 October 2016). The guidance describes each judgement in prose rather than as an algorithm;
+ * the mappings below follow those descriptions, and a definite N where the guidance calls the
+ * problem uncontrollable is judged Critical.
+ */
+
+import { isNo, isYes, scoreSignallingTool, SIGNALLING_ANSWERS, SIGNALLING_ANSWER_GUIDE } from "./signalling.js";
+
+const LOW = "Low";
+const MODERATE = "Moderate";
+const SERIOUS = "Serious";
+const CRITICAL = "Critical";
+const NO_INFORMATION = "No information";
+
+/**
+ * ROBINS-I tool definition
+ * @constant {Object}
+ */
+export const ROBINS_I = {
+  id: "robins-i",
+  name: "ROBINS-I",
+  title: "Risk Of Bias In Non-randomised Studies - of Interventions (ROBINS-I)",
+  layout: "traffic-light",
+  studyTypes: ["Cohort", "Case-Control", "Cross-Sectional"],
+  answerOptions: SIGNALLING_ANSWERS,
+  answerGuide: SIGNALLING_ANSWER_GUIDE,
+  scope: "the effect of starting the intervention on the primary outcome, compared with a hypothetical randomized trial of the same question",
+  judgements: [LOW, MODERATE, SERIOUS, CRITICAL, NO_INFORMATION],
+  levels: {
+    [LOW]: "low",
+    [MODERATE]: "moderate",
+    [SERIOUS]: "serious",
+    [CRITICAL]: "critical",
+    [NO_INFORMATION]: "unknown"
+  },
+  domains: [
+    {
+      id: "D1",
+      name: "Confounding",
+      questions: [
+        { id: "1.1", text: "Is there potential for confounding of the effect of intervention in this study?" },
+        {
+          id: "1.2",
+          text: "Was the analysis based on splitting participants' follow up time according to intervention received?",
+          condition: "only if 1.1 is Y, PY or NI",
+          appliesWhen: (a) => !isNo(a["1.1"])
+        },
+        {
+          id: "1.3",
+          text: "Were intervention discontinuations or switches likely to be related to factors that are prognostic for the outcome?",
+          condition: "only if 1.2 is Y or PY",
+          appliesWhen: (a) => isYes(a["1.2"])
+        },
+        {
+          id: "1.4",
+          text: "Did the authors use an appropriate analysis method that controlled for all the important confounding domains?",
+          condition: "only if 1.1 is Y, PY or NI, and 1.3 was not answered Y or PY",
+          appliesWhen: (a) => !isNo(a["1.1"]) && !isYes(a["1.3"])
+        },
+        {
+          id: "1.5",
+          text: "Were confounding domains that were controlled for measured validly and reliably by the variables available in this study?",
+          condition: "only if 1.4 is Y or PY",
+          appliesWhen: (a) => isYes(a["1.4"])
+        },
+        {
+          id: "1.6",
+          text: "Did the authors control for any post-intervention variables that could have been affected by the intervention?",
+          condition: "only if 1.4 was asked",
+          appliesWhen: (a) => !isNo(a["1.1"]) && !isYes(a["1.3"])
+        },
+        {
+          id: "1.7",
+          text: "Did the authors use an appropriate analysis method that adjusted for all the important confounding domains and for time-varying confounding?",
+          condition: "only if 1.3 is Y or PY",
+          appliesWhen: (a) => isYes(a["1.3"])
+        },
+        {
+          id: "1.8",
+          text: "Were confounding domains that were adjusted for measured validly and reliably by the variables available in this study?",
+          condition: "only if 1.7 is Y or PY",
+          appliesWhen: (a) => isYes(a["1.7"])
+        }
+      ],
+      judge: (a) => {
+        if (isNo(a["1.1"])) {
+          return LOW;
+        }
+        // Time-varying confounding (1.7/1.8) or baseline confounding only (1.4-1.6)
+        const timeVarying = isYes(a["1.3"]);
+        const controlled = timeVarying ? a["1.7"] : a["1.4"];
+        const measured = timeVarying ? a["1.8"] : a["1.5"];
+        if (controlled === "N") {
+          return CRITICAL;
+        }
+        if (isNo(controlled) || isNo(measured) || (!timeVarying && isYes(a["1.6"]))) {
+          return SERIOUS;
+        }
+        return isYes(controlled) ? MODERATE : NO_INFORMATION;
+      }
+    },
+    {
+      id: "D2",
+      name: "Selection of participants into the study",
+      questions: [
+        { id: "2.1", text: "Was selection of participants into the study (or into the analysis) based on participant characteristics observed after the start of intervention?" },
+        {
+          id: "2.2",
+          text: "Were the post-intervention variables that influenced selection likely to be associated with intervention?",
+          condition: "only if 2.1 is Y or PY",
+          appliesWhen: (a) => isYes(a["2.1"])
+        },
+        {
+          id: "2.3",
+          text: "Were the post-intervention variables that influenced selection likely to be influenced by the outcome or a cause of the outcome?",
+          condition: "only if 2.2 is Y or PY",
+          appliesWhen: (a) => isYes(a["2.2"])
+        },
+        { id: "2.4", text: "Do start of follow-up and start of intervention coincide for most participants?" },
+        {
+          id: "2.5",
+          text: "Were adjustment techniques used that are likely to correct for the presence of selection biases?",
+          condition: "only if 2.2 and 2.3 are Y or PY, or 2.4 is N or PN",
+          appliesWhen: (a) => (isYes(a["2.2"]) && isYes(a["2.3"])) || isNo(a["2.4"])
+        }
+      ],
+      judge: (a) => {
+        const relatedToOutcome = isYes(a["2.2"]) && isYes(a["2.3"]);
+        if (relatedToOutcome || isNo(a["2.4"])) {
+          if (isYes(a["2.5"])) {
+            return MODERATE;
+          }
+          // Selection definitely driven by both intervention and outcome, with no correction
+          if (a["2.2"] === "Y" && a["2.3"] === "Y" && a["2.5"] === "N") {
+            return CRITICAL;
+          }
+          return SERIOUS;
+        }
+        if (a["2.1"] === "NI" || a["2.2"] === "NI" || a["2.3"] === "NI" || a["2.4"] === "NI") {
+          return NO_INFORMATION;
+        }
+        return LOW;
+      }
+    },
+    {
+      id: "D3",
+      name: "Classification of interventions",
+      questions: [
+        { id: "3.1", text: "Were intervention groups clearly defined?" },
+        { id: "3.2", text: "Was the information used to define intervention groups recorded at the start of the intervention?" },
+        { id: "3.3", text: "Could classification of intervention status have been affected by knowledge of the outcome or risk of the outcome?" }
+      ],
+      judge: (a) => {
+        // Differential misclassification, or groups too loosely defined to classify
+        if (isYes(a["3.3"]) || isNo(a["3.1"])) {
+          return SERIOUS;
+        }
+        if (isYes(a["3.1"]) && isYes(a["3.2"]) && isNo(a["3.3"])) {
+          return LOW;
+        }
+        // Non-differential misclassification is possible when status was recorded later
+        return isNo(a["3.2"]) && isNo(a["3.3"]) ? MODERATE : NO_INFORMATION;
+      }
+    },
+    {
+      id: "D4",
+      name: "Deviations from intended interventions",
+      questions: [
+        { id: "4.1", text: "Were there deviations from the intended intervention beyond what would be expected in usual practice?" },
+        {
+          id: "4.2",
+          text: "Were these deviations from intended intervention unbalanced between groups and likely to have affected the outcome?",
+          condition: "only if 4.1 is Y or PY",
+          appliesWhen: (a) => isYes(a["4.1"])
+        }
+      ],
+      judge: (a) => {
+        if (isNo(a["4.1"])) {
+          return LOW;
+        }
+        if (isYes(a["4.1"])) {
+          if (isNo(a["4.2"])) {
+            return MODERATE;
+          }
+          return isYes(a["4.2"]) ? SERIOUS : NO_INFORMATION;
+        }
+        return NO_INFORMATION;
+      }
+    },
+    {
+      id: "D5",
+      name: "Missing data",
+      questions: [
+        { id: "5.1", text: "Were outcome data available for all, or nearly all, participants?" },
+        { id: "5.2", text: "Were participants excluded due to missing data on intervention status?" },
+        { id: "5.3", text: "Were participants excluded due to missing data on other variables needed for the analysis?" },
+        {
+          id: "5.4",
+          text: "Are the proportion of participants and reasons for missing data similar across interventions?",
+          condition: "only if 5.1 is N or PN, or 5.2 or 5.3 is Y or PY",
+          appliesWhen: (a) => isNo(a["5.1"]) || isYes(a["5.2"]) || isYes(a["5.3"])
+        },
+        {
+          id: "5.5",
+          text: "Is there evidence that results were robust to the presence of missing data?",
+          condition: "only if 5.1 is N or PN, or 5.2 or 5.3 is Y or PY",
+          appliesWhen: (a) => isNo(a["5.1"]) || isYes(a["5.2"]) || isYes(a["5.3"])
+        }
+      ],
+      judge: (a) => {
+        const missing = isNo(a["5.1"]) || isYes(a["5.2"]) || isYes(a["5.3"]);
+        if (!missing) {
+          return isYes(a["5.1"]) && isNo(a["5.2"]) && isNo(a["5.3"]) ? LOW : NO_INFORMATION;
+        }
+        // An analysis shown to be robust removes the concern; similar missingness only reduces it
+        if (isYes(a["5.5"])) {
+          return LOW;
+        }
+        if (isYes(a["5.4"])) {
+          return MODERATE;
+        }
+        return isNo(a["5.4"]) ? SERIOUS : NO_INFORMATION;
+      }
+    },
+    {
+      id: "D6",
+      name: "Measurement of outcomes",
+      questions: [
+        { id: "6.1", text: "Could the outcome measure have been influenced by knowledge of the intervention received?" },
+        { id: "6.2", text: "Were outcome assessors aware of the intervention received by study participants?" },
+        { id: "6.3", text: "Were the methods of outcome assessment comparable across intervention groups?" },
+        { id: "6.4", text: "Were any systematic errors in measurement of the outcome related to intervention received?" }
+      ],
+      judge: (a) => {
+        if (isNo(a["6.3"]) || isYes(a["6.4"]) || (isYes(a["6.1"]) && isYes(a["6.2"]))) {
+          return SERIOUS;
+        }
+        if (isYes(a["6.3"]) && isNo(a["6.4"])) {
+          return isNo(a["6.1"]) || isNo(a["6.2"]) ? LOW : MODERATE;
+        }
+        return NO_INFORMATION;
+      }
+    },
+    {
+      id: "D7",
+      name: "Selection of the reported result",
+      questions: [
+        { id: "7.1", text: "Is the reported effect estimate likely to be selected, on the basis of the results, from multiple outcome measurements within the outcome domain?" },
+        { id: "7.2", text: "Is the reported effect estimate likely to be selected, on the basis of the results, from multiple analyses of the intervention-outcome relationship?" },
+        { id: "7.3", text: "Is the reported effect estimate likely to be selected, on the basis of the results, from different subgroups?" }
+      ],
+      judge: (a) => {
+        const answers = [a["7.1"], a["7.2"], a["7.3"]];
+        if (answers.some(isYes)) {
+          return SERIOUS;
+        }
+        return answers.every(isNo) ? LOW : NO_INFORMATION;
+      }
+    }
+  ],
+
+  /**
+   * Overall risk of bias: the worst domain, except that missing information only decides the
+   * overall judgement when no domain is at serious or critical risk
+   * @param {Array<{judgement: string}>} domains - Judged domains
+   * @returns {{ judgement: string, notes: string[] }} Overall judgement
+   */
+  overall: (domains) => {
+    const judgements = domains.map((domain) => domain.judgement);
+    const judgement = [CRITICAL, SERIOUS, NO_INFORMATION, MODERATE].find((level) => judgements.includes(level)) || LOW;
+    const unknown = domains.filter((domain) => domain.judgement === NO_INFORMATION);
+    const notes = unknown.length && judgement !== NO_INFORMATION
+      ? [`No information in ${unknown.map((domain) => domain.id).join(", ")}; the overall judgement rests on the other domains.`]
+      : [];
+    return { judgement, notes };
+  },
+
+  /**
+   * Turns the model's answers into the ROBINS-I assessment
+   * @param {Object} response - Parsed model output
+   * @returns {Object} Assessment (see scoreSignallingTool)
+   */
+  assess: (response) => scoreSignallingTool(ROBINS_I, response)
+};
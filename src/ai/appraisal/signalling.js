@@ -0,0 +1,135 @@
+/**
+ * Shared engine for domain-based appraisal tools driven by signalling questions
+ * The model only answers the questions and quotes its evidence; whether a question applies and
+ * every domain and overall judgement are computed here from the tool's published algorithm, so
+ * the same answers always give the same judgements.
+ */
+
+/**
+ * Signalling question answers used by the Cochrane tools
+ * Y = yes, PY = probably yes, PN = probably no, N = no, NI = no information
+ * @constant {string[]}
+ */
+export const SIGNALLING_ANSWERS = ["Y", "PY", "PN", "N", "NI"];
+
+/**
+ * What each signalling answer code means, for prompts
+ * @constant {string}
+ */
+export const SIGNALLING_ANSWER_GUIDE = "Y = yes, PY = probably yes, PN = probably no, N = no, NI = no information";
+
+/**
+ * Written-out and shortened answers the model sometimes returns instead of the options, each with
+ * the options it may stand for; the first one the tool offers is used
+ * @constant {Object<string, string[]>}
+ */
+const ANSWER_ALIASES = {
+  "yes": ["Y"],
+  "y": ["Yes"],
+  "probably yes": ["PY"],
+  "probably no": ["PN"],
+  "no": ["N"],
+  "n": ["No"],
+  "no information": ["NI"],
+  "not reported": ["NI"],
+  "unclear": ["NI", "Can't tell"],
+  "cannot tell": ["Can't tell", "Unclear", "NI"],
+  "partially yes": ["Partial Yes"],
+  "partial": ["Partial Yes", "Partially reported"],
+  "partially": ["Partial Yes", "Partially reported"],
+  "partly reported": ["Partially reported"],
+  "n/a": ["Not applicable"],
+  "na": ["Not applicable"],
+  "no meta-analysis conducted": ["No meta-analysis"]
+};
+
+/**
+ * Whether an answer is Y or PY
+ * @param {string} answer - Signalling answer code
+ * @returns {boolean} True for yes and probably yes
+ */
+export function isYes(answer) {
+  return answer === "Y" || answer === "PY";
+}
+
+/**
+ * Whether an answer is N or PN
+ * @param {string} answer - Signalling answer code
+ * @returns {boolean} True for no and probably no
+ */
+export function isNo(answer) {
+  return answer === "N" || answer === "PN";
+}
+
+/**
+ * Maps a model answer onto one of the tool's answer options, exactly or through ANSWER_ALIASES
+ * @param {*} value - Raw answer
+ * @param {string[]} [options=SIGNALLING_ANSWERS] - The tool's answer options; the last is used when
+ *   the value matches none of them (NI, "Unclear", "Can't tell")
+ * @returns {string} Answer option
+ */
+export function normalizeSignallingAnswer(value, options = SIGNALLING_ANSWERS) {
+  const text = String(value ?? "").trim();
+  const exact = options.find((option) => option.toLowerCase() === text.toLowerCase());
+  if (exact) {
+    return exact;
+  }
+  const alias = ANSWER_ALIASES[text.toLowerCase()]?.find((candidate) => options.includes(candidate));
+  return alias || options[options.length - 1];
+}
+
+/**
+ * Scores a tool from the model's answers
+ * Questions whose condition is not met are marked not applicable and their answers ignored.
+ * A question may list its own answer options (e.g. QUADAS-2 applicability: Low/High/Unclear), and
+ * a domain may add an applicability judgement next to its risk of bias.
+ * @param {Object} tool - Tool definition (e.g. ROB2)
+ * @param {Object} response - Parsed model output: { outcome, answers: {id: {answer, quote}}, rationales: {domainId: text} }
+ * @returns {Object} Assessment: tool id, name and render layout, outcome, domains with their questions
+ *   and judgement, and the overall judgement
+ */
+export function scoreSignallingTool(tool, response = {}) {
+  const options = tool.answerOptions || SIGNALLING_ANSWERS;
+  const answers = {};
+  const domains = tool.domains.map((domain) => {
+    const questions = domain.questions.map((question) => {
+      const raw = response.answers?.[question.id] || {};
+      const applicable = !question.appliesWhen || question.appliesWhen(answers);
+      const answer = applicable ? normalizeSignallingAnswer(raw.answer, question.options || options) : "NA";
+      answers[question.id] = answer;
+      return {
+        id: question.id,
+        text: question.text,
+        answer,
+        applicable,
+        quote: applicable && typeof raw.quote === "string" ? raw.quote.trim() : ""
+      };
+    });
+
+    const judgement = domain.judge(answers);
+    const applicability = domain.applicability?.(answers);
+    return {
+      id: domain.id,
+      name: domain.name,
+      judgement,
+      level: tool.levels[judgement],
+      ...(applicability ? { applicability: { judgement: applicability, level: tool.levels[applicability] } } : {}),
+      rationale: typeof response.rationales?.[domain.id] === "string" ? response.rationales[domain.id] : "",
+      questions
+    };
+  });
+
+  const { applicability, ...overall } = tool.overall(domains);
+  return {
+    tool: tool.id,
+    toolName: tool.name,
+    layout: tool.layout,
+    outcome: typeof response.outcome === "string" ? response.outcome : "",
+    domains,
+    overall: {
+      ...overall,
+      level: tool.levels[overall.judgement],
+      ...(applicability ? { applicability: { judgement: applicability, level: tool.levels[applicability] } } : {})
+    }
+  };
+}
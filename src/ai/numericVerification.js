@@ -0,0 +1,114 @@
+/**
+ * Checks the numbers in model output against the paper text
+ * Every number the model returns (sample sizes, p-values, CIs, effect sizes, NNT, percentages)
+ * should appear in the text it read. Numbers are compared by value, so "0·72" matches "0.72",
+ * "1,204" matches "1204" and "−0.5" matches "-0.5"; a number that is nowhere in the source is
+ * reported as unverified. Derived figures (a total the model added up, a computed NNT) are
+ * reported too: unverified means "check this", not "wrong".
+ */
+
+/**
+ * Numbers: digit groups with thousands separators (comma, thin space), decimals (also written
+ * with a middle dot or without the leading zero) and plain integers
+ * @constant {RegExp}
+ */
+const NUMBER_PATTERN = /\d{1,3}(?:[,\u2009\u202f]\d{3})+(?![\d,])(?:[.·]\d+)?|\d*[.·]\d+|\d+/g;
+
+/**
+ * Output keys holding the model's own judgements rather than figures taken from the paper
+ * @constant {Set<string>}
+ */
+const JUDGEMENT_KEYS = new Set([
+  "studyType",
+  "framework",
+  "contentValidation",
+  "confidence",
+  "score",
+  "overallQualityScore",
+  "sources"
+]);
+
+/**
+ * Single-digit integers are not checked: they appear in almost every paper, so finding one proves nothing
+ * @constant {number}
+ */
+const MIN_CHECKED_INTEGER = 10;
+
+/**
+ * Verifies that every number in a result's data appears in the source text
+ * @param {Object} data - Parsed model output (result.data)
+ * @param {Array<string>|string} sourceTexts - Texts the numbers may come from: the paper text,
+ *   its sections, and any note the extension itself added to the output
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.keys] - Only check fields with these names (appraisal results, where
+ *   the other fields come from the tool definition rather than the model)
+ * @returns {{ checked: number, verified: number, unverified: Array<{path: string, number: string, value: string}> }}
+ *   How many numbers were checked and found, and every number that was not found, with the field
+ *   path and the full value it appeared in
+ */
+export function verifyNumbers(data, sourceTexts, { keys } = {}) {
+  const known = new Set(
+    [].concat(sourceTexts || [])
+      .filter((text) => typeof text === "string")
+      .flatMap((text) => extractNumbers(text, true).map(({ key }) => key))
+  );
+
+  const report = { checked: 0, verified: 0, unverified: [] };
+  visit(data, "", (path, value) => {
+    if (keys && !keys.includes(path.replace(/\[\d+\]$/, "").split(".").pop())) {
+      return;
+    }
+    extractNumbers(String(value), typeof value === "number").forEach(({ raw, key }) => {
+      report.checked += 1;
+      if (known.has(key)) {
+        report.verified += 1;
+      } else {
+        report.unverified.push({ path, number: raw, value: String(value) });
+      }
+    });
+  });
+  return report;
+}
+
+function visit(value, path, onLeaf) {
+  if (value === null || value === undefined || typeof value === "boolean") {
+    return;
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => visit(item, `${path}[${index}]`, onLeaf));
+    return;
+  }
+  if (typeof value === "object") {
+    Object.entries(value).forEach(([key, child]) => {
+      if (!JUDGEMENT_KEYS.has(key)) {
+        visit(child, path ? `${path}.${key}` : key, onLeaf);
+      }
+    });
+    return;
+  }
+  onLeaf(path, value);
+}
+
+/**
+ * Finds the numbers in a text, keyed by their value
+ * @param {string} text - Text to scan
+ * @param {boolean} [includeSmallIntegers=false] - Keep single-digit integers (source text, and
+ *   the values of numeric fields)
+ * @returns {Array<{raw: string, key: string}>} Each number as written and its normalized value
+ * @private
+ */
+function extractNumbers(text, includeSmallIntegers = false) {
+  const numbers = [];
+  for (const match of text.matchAll(NUMBER_PATTERN)) {
+    const value = Number(match[0].replace(/[,\u2009\u202f]/g, "").replace("·", "."));
+    if (!Number.isFinite(value)) {
+      continue;
+    }
+    if (!includeSmallIntegers && Number.isInteger(value) && value < MIN_CHECKED_INTEGER && !/[.·]/.test(match[0])) {
+      continue;
+    }
+    // Signs are ignored: dashes in ranges ("0.61–0.85") read like minus signs
+    numbers.push({ raw: match[0], key: String(value) });
+  }
+  return numbers;
+}
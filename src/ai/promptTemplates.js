@@ -1,8 +1,75 @@
+import { formatAuthorList } from "../shared/citation.js";
+import { serializeTable, serializeTables } from "../shared/tables.js";
+
+/**
+ * Maximum prompt length in characters before truncation, used when the session reports no quota
+ * @constant {number}
+ */
+export const MAX_PROMPT_LENGTH = 12000;
+
+/**
+ * Article sections fed to classification prompts, in priority order
+ * @constant {string[]}
+ */
+export const CLASSIFICATION_SECTIONS = ["title", "abstract", "methods"];
+
+/**
+ * Article sections fed to extraction prompts, in priority order
+ * "tables" is the serialized form of article.tables, kept next to the results it reports.
+ * References and acknowledgements are deliberately excluded.
+ * @constant {string[]}
+ */
+export const EXTRACTION_SECTIONS = ["title", "abstract", "methods", "results", "tables", "conclusions", "discussion", "introduction"];
+
 /**
- * Maximum prompt length in characters before truncation
+ * Maximum number of excerpts a paper is split into for map-reduce summarization
+ * Each excerpt costs one model call; whatever does not fit is dropped, lowest priority first.
  * @constant {number}
  */
-const MAX_PROMPT_LENGTH = 12000;
+const MAX_SUMMARY_CHUNKS = 6;
+
+/**
+ * Smallest space worth filling with part of a section before starting a new excerpt
+ * @constant {number}
+ */
+const MIN_CHUNK_FILL = 1000;
+
+/**
+ * Article sections fed to methodology prompts as paper context
+ * @constant {string[]}
+ */
+export const METHODOLOGY_SECTIONS = ["abstract", "methods"];
+
+/**
+ * Article sections fed to appraisal-tool prompts, highest priority first
+ * Risk-of-bias questions about missing data and selective reporting are answered from the Results.
+ * @constant {string[]}
+ */
+export const APPRAISAL_SECTIONS = ["methods", "results", "tables", "abstract"];
+
+/**
+ * Article sections fed to reporting-checklist prompts (CARE and similar), in paper order
+ * Reporting items run from the title to the consent and funding statements, so every section counts.
+ * @constant {string[]}
+ */
+export const REPORTING_SECTIONS = ["title", "abstract", "introduction", "methods", "results", "tables", "discussion", "conclusions", "acknowledgements"];
+
+/**
+ * "sources" entry appended to every structured summary schema
+ * @constant {string}
+ */
+const SOURCES_SCHEMA_FIELD = `"sources": [{"field": "outcomes.primary.effectSize", "quote": "verbatim sentence from the paper"}]`;
+
+/**
+ * Instructions for the supporting quotes, shared by every structured summary template
+ * @constant {string}
+ */
+const SOURCE_QUOTE_RULES = `
+Supporting quotes ("sources"):
+- For each field you fill from the paper, add one entry with the field's path (e.g. "population.sampleSize.total", "outcomes.primary.pValue", "frameworkSpecific.I2") and the quote that supports its value.
+- Copy each quote character for character from PAPER TEXT: one sentence or table row, under 300 characters. Never paraphrase, shorten numbers or join sentences.
+- Leave out fields that have no supporting passage.
+`.trim();
 
 /**
  * Builds a study type classification prompt for Chrome AI to identify study design and reporting framework
@@ -13,7 +80,7 @@ const MAX_PROMPT_LENGTH = 12000;
  */
 export function buildStudyTypePrompt(documentSnapshot) {
   const { meta = {}, article = {} } = documentSnapshot ?? {};
-  const context = createContextBlock(article.textContent);
+  const context = createArticleContext(article, CLASSIFICATION_SECTIONS);
   const metadataBlock = createMetadataBlock(meta);
   return `
 You are a medical methodology classifier. Read the paper and identify the primary study type and the most appropriate reporting/assessment framework.
@@ -27,13 +94,23 @@ Respond ONLY with valid JSON using EXACT values from the enums below:
 {
   "studyType": "[value from enum]",
   "framework": "[value from enum]",
+  "questionType": "[value from enum]",
   "confidence": [0.0 to 1.0 based on evidence],
   "reasons": ["evidence-based reason 1", "evidence-based reason 2"]
 }
 
-IMPORTANT: Both studyType AND framework MUST be filled with enum values from these lists:
+IMPORTANT: studyType, framework AND questionType MUST be filled with enum values from these lists:
 - studyType: RCT, Cohort, Case-Control, Cross-Sectional, Systematic Review, Meta-Analysis, Diagnostic Accuracy, Case Report, Case Series, Qualitative, Basic Science, Other
 - framework: CONSORT, STROBE, PRISMA, STARD, CARE, COREQ, PICO, None
+- questionType: Therapy, Harm, Diagnosis, Prognosis, Screening, Other
+
+questionType is the clinical question the paper answers, whatever its design:
+- Therapy: does an intervention help? (benefits of a treatment or prevention)
+- Harm: does an exposure or intervention cause adverse effects or disease? (side effects, risk factors, aetiology)
+- Diagnosis: how accurate is a test at detecting a condition?
+- Prognosis: what happens to patients with a condition? (outcomes, survival, predictors)
+- Screening: is early detection in people without symptoms worthwhile?
+- Other: none of the above (e.g. prevalence, experiences, mechanisms)
 
 ⚠️ ANTI-HALLUCINATION RULES:
 1. Check the TITLE and ABSTRACT first - they explicitly state the study type
@@ -104,7 +181,7 @@ Keyword indicators (use as secondary evidence only):
  */
 export function buildStructuredSummaryPrompt(documentSnapshot) {
   const { meta = {}, article = {} } = documentSnapshot ?? {};
-  const context = createContextBlock(article.textContent);
+  const context = createArticleContext(article, EXTRACTION_SECTIONS);
   const metadataBlock = createMetadataBlock(meta);
 
   return `
@@ -162,7 +239,8 @@ REQUIRED JSON SCHEMA:
     "limitations": ["limitation 1", "limitation 2"],
     "applicability": "clinical applicability"
   },
-  "frameworkSpecific": {}
+  "frameworkSpecific": {},
+  ${SOURCES_SCHEMA_FIELD}
 }
 
 IMPORTANT INSTRUCTIONS:
@@ -173,6 +251,8 @@ IMPORTANT INSTRUCTIONS:
 - For numeric fields, use actual numbers or omit the field entirely if not available.
 - Extract actual values from the paper, not placeholder text.
 
+${SOURCE_QUOTE_RULES}
+
 ONLY return valid JSON. No Markdown, no explanations.
 `.trim();
 }
@@ -184,7 +264,7 @@ ONLY return valid JSON. No Markdown, no explanations.
  */
 export function buildSystematicReviewPrompt(documentSnapshot) {
   const { meta = {}, article = {} } = documentSnapshot ?? {};
-  const context = createContextBlock(article.textContent);
+  const context = createArticleContext(article, EXTRACTION_SECTIONS);
   const metadataBlock = createMetadataBlock(meta);
   return `
 You are extracting a PRISMA-aligned summary for a Systematic Review/Meta-Analysis. Return ONLY JSON.
@@ -216,13 +296,16 @@ SCHEMA:
     "I2": null,
     "heterogeneityNotes": "",
     "registration": "PROSPERO ID or 'Not registered'"
-  }
+  },
+  ${SOURCES_SCHEMA_FIELD}
 }
 
 Rules:
 - Set counts only if explicitly reported; otherwise use null or 0 appropriately.
 - If no meta-analysis, set metaAnalysisModel to "none" and pooled fields to "N/A".
 - Use actual names of databases and report inclusion/exclusion criteria if provided.
+
+${SOURCE_QUOTE_RULES}
 `.trim();
 }
 
@@ -233,7 +316,7 @@ Rules:
  */
 export function buildDiagnosticAccuracyPrompt(documentSnapshot) {
   const { meta = {}, article = {} } = documentSnapshot ?? {};
-  const context = createContextBlock(article.textContent);
+  const context = createArticleContext(article, EXTRACTION_SECTIONS);
   const metadataBlock = createMetadataBlock(meta);
   return `
 You are extracting a STARD-aligned summary for a Diagnostic Accuracy study. Return ONLY JSON.
@@ -264,12 +347,15 @@ SCHEMA:
     "auc": null,
     "cutoffs": "",
     "prevalence": null
-  }
+  },
+  ${SOURCES_SCHEMA_FIELD}
 }
 
 Rules:
 - Use numeric fields for sensitivity/specificity/auc if reported; else null.
 - Clearly name index test and reference standard.
+
+${SOURCE_QUOTE_RULES}
 `.trim();
 }
 
@@ -280,7 +366,7 @@ Rules:
  */
 export function buildObservationalPrompt(documentSnapshot) {
   const { meta = {}, article = {} } = documentSnapshot ?? {};
-  const context = createContextBlock(article.textContent);
+  const context = createArticleContext(article, EXTRACTION_SECTIONS);
   const metadataBlock = createMetadataBlock(meta);
   return `
 You are extracting a STROBE-aligned summary for an observational study (cohort, case-control, cross-sectional). Return ONLY JSON.
@@ -308,12 +394,15 @@ SCHEMA:
     "biasConsiderations": [""],
     "statisticalMethods": [""],
     "missingDataHandling": ""
-  }
+  },
+  ${SOURCES_SCHEMA_FIELD}
 }
 
 Rules:
 - Use effect measures only if explicitly reported.
 - List key confounders adjusted for.
+
+${SOURCE_QUOTE_RULES}
 `.trim();
 }
 
@@ -324,7 +413,7 @@ Rules:
  */
 export function buildCaseReportPrompt(documentSnapshot) {
   const { meta = {}, article = {} } = documentSnapshot ?? {};
-  const context = createContextBlock(article.textContent);
+  const context = createArticleContext(article, EXTRACTION_SECTIONS);
   const metadataBlock = createMetadataBlock(meta);
   return `
 You are extracting a CARE-aligned summary for a Case Report or Case Series. Return ONLY JSON.
@@ -354,13 +443,16 @@ SCHEMA:
     "patientPerspective": "",
     "informedConsentObtained": null,
     "keyLearningPoints": [""]
-  }
+  },
+  ${SOURCES_SCHEMA_FIELD}
 }
 
 Rules:
 - Set total to the number of cases (1 for case report, N for case series).
 - Capture patient perspective if mentioned.
 - Include key learning points for clinical education.
+
+${SOURCE_QUOTE_RULES}
 `.trim();
 }
 
@@ -371,7 +463,7 @@ Rules:
  */
 export function buildQualitativePrompt(documentSnapshot) {
   const { meta = {}, article = {} } = documentSnapshot ?? {};
-  const context = createContextBlock(article.textContent);
+  const context = createArticleContext(article, EXTRACTION_SECTIONS);
   const metadataBlock = createMetadataBlock(meta);
   return `
 You are extracting a COREQ-aligned summary for Qualitative Research. Return ONLY JSON.
@@ -403,13 +495,16 @@ SCHEMA:
     "memberChecking": null,
     "reflexivity": "",
     "saturation": ""
-  }
+  },
+  ${SOURCES_SCHEMA_FIELD}
 }
 
 Rules:
 - Identify major themes from findings.
 - Capture qualitative rigor elements (triangulation, member checking, reflexivity).
 - Note if data saturation was achieved.
+
+${SOURCE_QUOTE_RULES}
 `.trim();
 }
 
@@ -420,7 +515,7 @@ Rules:
  */
 export function buildBasicSciencePrompt(documentSnapshot) {
   const { meta = {}, article = {} } = documentSnapshot ?? {};
-  const context = createContextBlock(article.textContent);
+  const context = createArticleContext(article, EXTRACTION_SECTIONS);
   const metadataBlock = createMetadataBlock(meta);
   return `
 You are extracting a general summary for Basic Science or Bench Research. Return ONLY JSON.
@@ -449,7 +544,8 @@ SCHEMA:
     "mechanisticInsights": "",
     "novelty": "",
     "replicationDetails": ""
-  }
+  },
+  ${SOURCES_SCHEMA_FIELD}
 }
 
 Rules:
@@ -457,6 +553,8 @@ Rules:
 - List key techniques (Western blot, PCR, imaging, etc.).
 - Emphasize mechanistic insights and novelty.
 - Note if replication details are sufficient.
+
+${SOURCE_QUOTE_RULES}
 `.trim();
 }
 
@@ -465,11 +563,13 @@ Rules:
  * @param {Object} params - Parameters object
  * @param {string} params.methodsText - The methods section text to assess
  * @param {string} params.fullText - Full paper text for additional context
+ * @param {Object} [params.sections] - Segmented article sections; abstract and methods are preferred over fullText
+ * @param {number} [params.contextBudget] - Character budget for each context block (token budgeting)
  * @returns {string} Formatted prompt for methodology quality assessment
  */
-export function buildMethodologyPrompt({ methodsText, fullText }) {
-  const methodsContext = createContextBlock(methodsText);
-  const fullPaperContext = createContextBlock(fullText);
+export function buildMethodologyPrompt({ methodsText, fullText, sections, contextBudget }) {
+  const methodsContext = createContextBlock(methodsText, contextBudget);
+  const fullPaperContext = createArticleContext({ textContent: fullText, sections, contextBudget }, METHODOLOGY_SECTIONS);
 
   return `
 You are a clinical trial methodologist applying the Cochrane Risk of Bias framework.
@@ -555,13 +655,213 @@ ONLY JSON, no comments.
 `.trim();
 }
 
+/**
+ * Builds a prompt that asks the model to answer an appraisal tool's signalling questions
+ * The model only answers and quotes; domain and overall judgements are computed from the answers
+ * by the tool's algorithm (see ai/appraisal).
+ * @param {Object} tool - Tool definition (e.g. ROB2)
+ * @param {Object} params - Parameters object
+ * @param {string} params.methodsText - The selected methods text
+ * @param {string} params.fullText - The full paper text for context
+ * @param {Object} [params.sections] - Segmented article sections
+ * @param {Array<Object>} [params.tables] - Extracted tables
+ * @param {number} [params.contextBudget] - Character budget for the paper text (token budgeting)
+ * @returns {string} Formatted appraisal prompt
+ */
+export function buildAppraisalPrompt(tool, { methodsText, fullText, sections, tables, contextBudget }) {
+  const methodsContext = createContextBlock(methodsText, contextBudget);
+  const paperContext = createArticleContext({ textContent: fullText, sections, tables, contextBudget }, tool.sectionKeys || APPRAISAL_SECTIONS);
+  const questionList = tool.domains
+    .map((domain) => [
+      `${domain.id}. ${domain.name}`,
+      ...domain.questions.map((question) => `  ${question.id} ${question.text}${question.condition ? ` [${question.condition}]` : ""}${question.options ? ` [answer ${question.options.join(", ")}]` : ""}`)
+    ].join("\n"))
+    .join("\n\n");
+  const ownOptionsRule = tool.domains.some((domain) => domain.questions.some((question) => question.options))
+    ? " Questions marked [answer ...] take the answers listed with them instead."
+    : "";
+  const answerKeys = tool.domains
+    .flatMap((domain) => domain.questions)
+    .slice(0, 2)
+    .map((question) => `    "${question.id}": {"answer": "${tool.answerOptions.join("|")}", "quote": "verbatim supporting text"}`)
+    .join(",\n");
+
+  return `
+You are a systematic reviewer applying the ${tool.title}.
+Assess ${tool.scope}.
+
+SELECTED METHODS TEXT:
+${methodsContext}
+
+PAPER TEXT:
+${paperContext}
+
+SIGNALLING QUESTIONS:
+${questionList}
+
+Return ONLY JSON with this exact structure:
+{
+  "outcome": "the result being assessed",
+  "answers": {
+${answerKeys},
+    ...one entry for every question above
+  },
+  "rationales": {
+    "${tool.domains[0].id}": "one or two sentences explaining the answers for this domain",
+    ...one entry for every domain above
+  }
+}
+
+RULES:
+- Answer every question with one of: ${tool.answerGuide}.${ownOptionsRule}
+- Questions marked [only if ...] depend on earlier answers; when the condition is not met, answer ${tool.answerOptions[tool.answerOptions.length - 1]} with an empty quote.
+- Base each answer on PAPER TEXT only. Use ${tool.answerOptions[tool.answerOptions.length - 1]} when the paper does not report what the question asks.
+- Copy each quote character for character from PAPER TEXT: one sentence or table row, under 300 characters. Leave the quote empty when nothing supports the answer.
+- Do not judge the domains yourself; only answer the questions.
+
+ONLY JSON, no comments.
+`.trim();
+}
+
+/**
+ * Builds a prompt that asks the model to answer an appraisal checklist item by item
+ * The overall rating is computed from the answers by the tool's rules (see ai/appraisal).
+ * @param {Object} tool - Checklist tool definition (e.g. AMSTAR2); its sectionKeys, when set,
+ *   replace APPRAISAL_SECTIONS, and its items may carry a hint from the summary (see
+ *   hintChecklistItems)
+ * @param {Object} params - Parameters object
+ * @param {string} params.methodsText - The selected methods text
+ * @param {string} params.fullText - The full paper text for context
+ * @param {Object} [params.sections] - Segmented article sections
+ * @param {Array<Object>} [params.tables] - Extracted tables
+ * @param {Object} [params.extraction] - Fields already extracted by the structured summary, offered
+ *   as a starting point
+ * @param {number} [params.contextBudget] - Character budget for the paper text (token budgeting)
+ * @returns {string} Formatted checklist prompt
+ */
+export function buildChecklistPrompt(tool, { methodsText, fullText, sections, tables, extraction, contextBudget }) {
+  const methodsContext = createContextBlock(methodsText, contextBudget);
+  const paperContext = createArticleContext({ textContent: fullText, sections, tables, contextBudget }, tool.sectionKeys || APPRAISAL_SECTIONS);
+  const extractionBlock = extraction && Object.keys(extraction).length
+    ? `\nALREADY EXTRACTED FROM THIS PAPER (check against PAPER TEXT before relying on it):\n${JSON.stringify(extraction, null, 2)}\n`
+    : "";
+  // Items are listed under their section heading (e.g. NOS Selection/Comparability/Outcome)
+  const itemList = tool.items
+    .map((item, index) => [
+      item.section && item.section !== tool.items[index - 1]?.section ? `${item.section.toUpperCase()}:` : "",
+      `  ${item.id}. ${item.text}${item.critical ? " (critical)" : ""} [answer ${(item.options || tool.answerOptions).join(", ")}]`,
+      item.hint ? `      From the summary: ${item.hint}` : ""
+    ].filter(Boolean).join("\n"))
+    .join("\n");
+  const hintRule = tool.items.some((item) => item.hint)
+    ? "\n- An item's \"From the summary\" note is what the structured summary found towards it. Find it in PAPER TEXT before relying on it, quote the paper, and check the rest of the item too."
+    : "";
+
+  return `
+You are a systematic reviewer applying the ${tool.title}.
+Assess ${tool.scope}.
+
+SELECTED METHODS TEXT:
+${methodsContext}
+
+PAPER TEXT:
+${paperContext}
+${extractionBlock}
+CHECKLIST ITEMS:
+${itemList}
+
+Return ONLY JSON with this exact structure:
+{
+  "answers": {
+    "${tool.items[0].id}": {"answer": "${(tool.items[0].options || tool.answerOptions).join("|")}", "quote": "verbatim supporting text", "justification": "one sentence explaining the answer"},
+    ...one entry for every item above
+  }
+}
+
+RULES:
+- Answer each item with one of the answers listed with it.
+- Base each answer on PAPER TEXT only. An item the paper does not report is answered with its last listed answer.${hintRule}
+- Copy each quote character for character from PAPER TEXT: one sentence or table row, under 300 characters. Leave the quote empty when nothing supports the answer.
+- In the justification, say what was done, and for anything short of the first listed answer, what is missing.
+- Do not rate the paper overall; only answer the items.
+
+ONLY JSON, no comments.
+`.trim();
+}
+
+/**
+ * Builds a prompt that asks the model to judge the GRADE factors for each outcome
+ * The certainty of each outcome is computed from the judgements by the tool (see ai/appraisal/grade.js).
+ * @param {Object} tool - The GRADE tool definition
+ * @param {Object} params - Parameters object
+ * @param {string} params.methodsText - The selected methods text
+ * @param {string} params.fullText - The full paper text for context
+ * @param {Object} [params.sections] - Segmented article sections
+ * @param {Array<Object>} [params.tables] - Extracted tables
+ * @param {Array<Object>} params.outcomes - Outcomes to rate ({id, name, importance, effect})
+ * @param {string} [params.studyType] - Classified study type
+ * @param {number} [params.contextBudget] - Character budget for the paper text (token budgeting)
+ * @returns {string} Formatted GRADE prompt
+ */
+export function buildGradePrompt(tool, { methodsText, fullText, sections, tables, outcomes, studyType, contextBudget }) {
+  const methodsContext = createContextBlock(methodsText, contextBudget);
+  const paperContext = createArticleContext({ textContent: fullText, sections, tables, contextBudget }, APPRAISAL_SECTIONS);
+  const outcomeList = outcomes
+    .map((outcome) => `  ${outcome.id}. ${outcome.name} (${outcome.importance.toLowerCase()})${outcome.effect ? ` — reported effect: ${outcome.effect}` : ""}`)
+    .join("\n");
+  const factorList = tool.factors
+    .map((factor) => `  ${factor.id} (${factor.name}) [answer ${factor.options.join(", ")}]`)
+    .join("\n");
+
+  return `
+You are a guideline methodologist applying the ${tool.title}.
+Judge the certainty of the evidence this ${studyType || "study"} provides for each outcome below.
+
+SELECTED METHODS TEXT:
+${methodsContext}
+
+PAPER TEXT:
+${paperContext}
+
+OUTCOMES:
+${outcomeList}
+
+FACTORS:
+${factorList}
+
+Return ONLY JSON with this exact structure:
+{
+  "outcomes": {
+    "${outcomes[0].id}": {
+      "design": "${tool.designs.join("|")}",
+      "participants": "number of participants (studies), e.g. 1200 (3 RCTs)",
+      "${tool.factors[0].id}": {"answer": "${tool.factors[0].options.join("|")}", "reason": "one sentence"},
+      ...one entry for every factor above
+    },
+    ...one entry for every outcome above
+  }
+}
+
+RULES:
+- design is the design of the studies behind the outcome: ${tool.designs.join(" or ")}.
+- Answer every factor with one of the answers listed with it, and give the reason in one sentence from PAPER TEXT.
+- Rate down only for a concern the paper shows: risk of bias from the study's conduct, inconsistency from unexplained heterogeneity between studies, indirectness from a population, intervention or outcome that differs from the question, imprecision from wide confidence intervals or few events or participants, publication bias when small or industry-funded studies may be missing.
+- A single study cannot show inconsistency: answer Not serious and say so.
+- largeEffect is Large for a relative risk above 2 (or below 0.5) and Very large above 5 (or below 0.2).
+- Do not rate the certainty yourself; only judge the factors.
+
+ONLY JSON, no comments.
+`.trim();
+}
+
 /**
  * Builds a text simplification prompt for medical jargon
  * @param {string} text - The complex medical text to simplify
+ * @param {number} [contextBudget] - Character budget for the text (token budgeting)
  * @returns {string} Formatted prompt for plain English simplification
  */
-export function buildSimplificationPrompt(text) {
-  const context = createContextBlock(text);
+export function buildSimplificationPrompt(text, contextBudget) {
+  const context = createContextBlock(text, contextBudget);
 
   return `
 You are a medical educator. Rewrite the excerpt in plain English while preserving clinical accuracy.
@@ -589,11 +889,12 @@ IMPORTANT:
  * Builds a key points extraction prompt for systematic review exports
  * @param {string} summaryMarkdown - The summary in Markdown format
  * @param {string} fullText - Full paper text for comprehensive analysis
+ * @param {number} [contextBudget] - Character budget for the paper text (token budgeting)
  * @returns {string} Formatted prompt for key points extraction
  */
-export function buildKeyPointsPrompt(summaryMarkdown, fullText) {
+export function buildKeyPointsPrompt(summaryMarkdown, fullText, contextBudget) {
   const summaryContext = createContextBlock(summaryMarkdown);
-  const fullTextContext = createContextBlock(fullText);
+  const fullTextContext = createContextBlock(fullText, contextBudget);
 
   return `
 You are organizing key study points for systematic review exports.
@@ -620,28 +921,295 @@ IMPORTANT:
 `.trim();
 }
 
+/**
+ * Builds a follow-up prompt asking the model to correct only the fields that failed schema validation
+ * Without context the prompt relies on the session having the paper and the answer in its history.
+ * An answer merged from excerpts was never seen whole by any session, so it is sent along with the
+ * paper text its invalid fields came from.
+ * @param {Array<{path: string, value: *, expected: string}>} fields - Invalid fields from validateAgainstSchema
+ * @param {Object} [context] - Context for a session that has not seen the answer
+ * @param {Object} [context.answer] - The answer being repaired
+ * @param {string} [context.excerpt] - Paper text the invalid fields came from
+ * @param {number} [context.contextBudget] - Character budget for the excerpt
+ * @returns {string} Formatted repair prompt
+ */
+export function buildRepairPrompt(fields, { answer, excerpt, contextBudget } = {}) {
+  const fieldLines = fields
+    .map(({ path, value, expected }) => `- "${path}": you returned ${JSON.stringify(value)}; expected ${expected}`)
+    .join("\n");
+
+  const opening = answer
+    ? `Below is a JSON answer merged from summaries of separate excerpts of a paper, and the paper text its invalid values came from. Some values in it do not have the required type or range.
+
+JSON ANSWER:
+${JSON.stringify(answer)}
+
+PAPER TEXT:
+${createContextBlock(excerpt, contextBudget)}`
+    : "Some values in your previous JSON answer do not have the required type or range.";
+
+  return `
+${opening}
+
+FIELDS TO FIX:
+${fieldLines}
+
+Return ONLY a JSON object whose keys are exactly the field paths above, each with a corrected value.
+- Numbers must be plain numbers: 0.03, not "0.03 (significant)"; 300, not "about 300".
+- Use null where the paper does not report the value and null is allowed.
+- Keep scores within the stated range.
+- Do not include any other field.
+`.trim();
+}
+
+/**
+ * Splits an article into excerpts that each fit the prompt budget, for map-reduce summarization
+ * Sections are packed in extraction priority order; a section longer than the budget is split at
+ * paragraph or sentence boundaries and each table stays whole. Every excerpt repeats the title.
+ * @param {Object} [article={}] - Article content (textContent, sections, tables)
+ * @param {number} [budget=MAX_PROMPT_LENGTH] - Characters of paper text per excerpt
+ * @returns {{ chunks: Array<{index: number, sections: string[], characters: number, article: Object}>,
+ *   dropped: { sections: string[], text: string } }} Excerpts in order (a single entry holding the
+ *   original article when everything fits), and the text left out beyond MAX_SUMMARY_CHUNKS
+ */
+export function splitArticleIntoChunks(article = {}, budget = MAX_PROMPT_LENGTH) {
+  const sections = article.sections || {};
+  const title = (sections.title || "").replace(/\s+/g, " ").trim();
+
+  const pieces = [];
+  EXTRACTION_SECTIONS.filter((key) => key !== "title").forEach((key) => {
+    if (key === "tables") {
+      (article.tables || []).forEach((table) => {
+        const text = serializeTable(table);
+        if (text) {
+          pieces.push({ key, text, table });
+        }
+      });
+      return;
+    }
+    const text = (sections[key] || "").replace(/\s+/g, " ").trim();
+    if (text) {
+      pieces.push({ key, text });
+    }
+  });
+
+  // Nothing segmented: split the flat text instead
+  if (!pieces.length) {
+    const text = (article.textContent || "").replace(/\s+/g, " ").trim();
+    if (text) {
+      pieces.push({ key: "text", text });
+    }
+  }
+
+  const totalLength = title.length + pieces.reduce((sum, piece) => sum + piece.text.length, 0);
+  if (totalLength <= budget) {
+    return {
+      chunks: [{ index: 0, sections: pieces.map((piece) => piece.key), characters: totalLength, article }],
+      dropped: { sections: [], text: "" }
+    };
+  }
+
+  // Greedy packing; the label overhead per section is small enough to ignore
+  const excerptBudget = Math.max(budget - title.length, MIN_CHUNK_FILL);
+  const groups = [];
+  let group = null;
+  pieces.forEach((piece) => {
+    let remaining = piece.text;
+    while (remaining) {
+      const space = group ? excerptBudget - group.length : 0;
+      // Start a new excerpt rather than splitting a table or leaving a sliver of a section
+      const fits = remaining.length <= space;
+      if (!fits && (space < MIN_CHUNK_FILL || (piece.table && remaining.length <= excerptBudget))) {
+        group = { length: 0, pieces: [] };
+        groups.push(group);
+        continue;
+      }
+      const cut = fits ? remaining.length : findBreak(remaining, space, piece.table ? "\n" : ". ");
+      group.pieces.push({ ...piece, text: remaining.slice(0, cut).trim() });
+      group.length += cut;
+      remaining = remaining.slice(cut).trim();
+    }
+  });
+
+  const kept = groups.slice(0, MAX_SUMMARY_CHUNKS);
+  const droppedPieces = groups.slice(MAX_SUMMARY_CHUNKS).flatMap((current) => current.pieces);
+  const keptKeys = new Set(kept.flatMap((current) => current.pieces.map((piece) => piece.key)));
+
+  const chunks = kept.map((current, index) => {
+    const chunkSections = title ? { title } : {};
+    const tables = [];
+    current.pieces.forEach((piece) => {
+      if (piece.key === "tables") {
+        tables.push(piece.table);
+      } else if (piece.key !== "text") {
+        chunkSections[piece.key] = chunkSections[piece.key] ? `${chunkSections[piece.key]} ${piece.text}` : piece.text;
+      }
+    });
+
+    return {
+      index,
+      sections: [...new Set(current.pieces.map((piece) => piece.key))],
+      characters: current.length,
+      article: {
+        textContent: current.pieces.map((piece) => piece.text).join("\n\n"),
+        sections: chunkSections,
+        sectionOrder: Object.keys(chunkSections),
+        tables,
+        chunk: { index, count: kept.length }
+      }
+    };
+  });
+
+  return {
+    chunks,
+    dropped: {
+      sections: [...new Set(droppedPieces.map((piece) => piece.key))].filter((key) => !keptKeys.has(key)),
+      text: droppedPieces.map((piece) => piece.text).join("\n\n")
+    }
+  };
+}
+
+/**
+ * Finds where to cut text so the first part fits the space, preferring the given separator
+ * @param {string} text - Text to cut
+ * @param {number} space - Maximum length of the first part
+ * @param {string} separator - Preferred boundary (". " for prose, "\n" for table rows)
+ * @returns {number} Cut position
+ * @private
+ */
+function findBreak(text, space, separator) {
+  const boundary = text.lastIndexOf(separator, space - separator.length);
+  return boundary > space / 2 ? boundary + separator.length : space;
+}
+
 /**
  * Creates a context block from raw text with whitespace normalization
  * @param {string} [rawText=""] - The raw text to process
+ * @param {number} [budget=MAX_PROMPT_LENGTH] - Maximum length in characters
  * @returns {string} Processed and truncated context block
  * @private
  */
-function createContextBlock(rawText = "") {
+function createContextBlock(rawText = "", budget = MAX_PROMPT_LENGTH) {
   if (!rawText) {
     return "[No additional context supplied]";
   }
-  return truncateText(rawText.replace(/\s+/g, " ").trim());
+  return truncateText(rawText.replace(/\s+/g, " ").trim(), budget);
+}
+
+/**
+ * Creates a context block from the segmented article sections, falling back to the flat text
+ * The prompt budget is shared between the requested sections so that a long Methods
+ * section cannot crowd out the Results.
+ * @param {Object} [article={}] - Article content (textContent, sections, tables)
+ * @param {string[]} sectionKeys - Section keys to include, in output order
+ * @returns {string} Labelled, budgeted context block
+ * @private
+ */
+function createArticleContext(article = {}, sectionKeys) {
+  const { flat, blocks } = selectArticleContext(article, sectionKeys);
+
+  // Excerpt of a longer paper (map-reduce summarization): the other parts are summarized separately
+  const excerptNote = article.chunk
+    ? `[EXCERPT ${article.chunk.index + 1} OF ${article.chunk.count}: only part of the paper is shown. Fill in what this excerpt reports and leave other fields empty.]\n\n`
+    : "";
+
+  if (flat) {
+    return `${excerptNote}${createContextBlock(article.textContent, article.contextBudget)}`;
+  }
+
+  return excerptNote + blocks
+    .map(({ key, text }) => `[${key.toUpperCase()}]\n${text}`)
+    .join("\n\n");
+}
+
+/**
+ * Measures how much of an article a context block built with the same inputs would include
+ * @param {Object} [article={}] - Article content (textContent, sections, tables, contextBudget)
+ * @param {string[]} sectionKeys - Section keys the prompt uses
+ * @returns {{ includedCharacters: number, totalCharacters: number }} Characters kept and available
+ */
+export function getContextCoverage(article = {}, sectionKeys = []) {
+  const { flat, blocks } = selectArticleContext(article, sectionKeys);
+  if (flat) {
+    const totalCharacters = (article.textContent || "").replace(/\s+/g, " ").trim().length;
+    return {
+      includedCharacters: Math.min(totalCharacters, article.contextBudget ?? MAX_PROMPT_LENGTH),
+      totalCharacters
+    };
+  }
+
+  return blocks.reduce((coverage, block) => ({
+    includedCharacters: coverage.includedCharacters + block.includedCharacters,
+    totalCharacters: coverage.totalCharacters + block.totalCharacters
+  }), { includedCharacters: 0, totalCharacters: 0 });
+}
+
+/**
+ * Picks the sections for a context block and clips them to the character budget
+ * (article.contextBudget, MAX_PROMPT_LENGTH by default)
+ * @param {Object} article - Article content
+ * @param {string[]} sectionKeys - Section keys to include, in output order
+ * @returns {{ flat: boolean, blocks: Array<Object> }} flat is true when only the flat text is usable
+ * @private
+ */
+function selectArticleContext(article, sectionKeys) {
+  const sections = article.sections || {};
+  const available = sectionKeys
+    .map((key) => ({
+      key,
+      // Tables keep their line breaks: one line per row
+      text: key === "tables"
+        ? serializeTables(article.tables)
+        : (sections[key] || "").replace(/\s+/g, " ").trim()
+    }))
+    .filter(({ text }) => text.length > 0);
+
+  // Only the title (or nothing) was detected: the flat text is more useful
+  if (!available.some(({ key }) => key !== "title" && key !== "tables")) {
+    return { flat: true, blocks: [] };
+  }
+
+  // Water-fill the budget: short sections keep everything, the rest share what remains
+  const budgets = {};
+  let remaining = article.contextBudget ?? MAX_PROMPT_LENGTH;
+  [...available]
+    .sort((a, b) => a.text.length - b.text.length)
+    .forEach(({ key, text }, index, sorted) => {
+      const share = Math.floor(remaining / (sorted.length - index));
+      budgets[key] = Math.min(text.length, share);
+      remaining -= budgets[key];
+    });
+
+  const blocks = available.map(({ key, text }) => {
+    if (text.length <= budgets[key]) {
+      return { key, text, includedCharacters: text.length, totalCharacters: text.length };
+    }
+    // Tables are cut at a row boundary so no row is left half-read
+    const rowEnd = key === "tables" ? text.lastIndexOf("\n", budgets[key]) : -1;
+    const cut = rowEnd > 0 ? rowEnd : budgets[key];
+    return { key, text: `${text.slice(0, cut)}…`, includedCharacters: cut, totalCharacters: text.length };
+  });
+
+  return { flat: false, blocks };
 }
 
 /**
  * Creates a metadata block from document metadata
- * @param {Object} [meta={}] - Metadata object containing title, URL, description
+ * Bibliographic fields from meta.citation take precedence over the page title.
+ * @param {Object} [meta={}] - Metadata object containing title, URL, description and citation
  * @returns {string} Formatted metadata block for prompts
  * @private
  */
 function createMetadataBlock(meta = {}) {
+  const citation = meta.citation || {};
+  const authors = formatAuthorList(citation.authors);
   const items = [
-    meta.title ? `Title: ${meta.title}` : "",
+    citation.title || meta.title ? `Title: ${citation.title || meta.title}` : "",
+    authors ? `Authors: ${authors}` : "",
+    citation.journal ? `Journal: ${citation.journal}` : "",
+    citation.year ? `Year: ${citation.year}` : "",
+    citation.doi ? `DOI: ${citation.doi}` : "",
+    citation.pmid ? `PMID: ${citation.pmid}` : "",
     meta.url ? `URL: ${meta.url}` : "",
     meta.metaDescription ? `Meta Description: ${meta.metaDescription}` : ""
   ].filter(Boolean);
@@ -656,12 +1224,13 @@ function createMetadataBlock(meta = {}) {
 /**
  * Truncates text to maximum prompt length
  * @param {string} text - The text to truncate
+ * @param {number} [limit=MAX_PROMPT_LENGTH] - Maximum length in characters
  * @returns {string} Truncated text with ellipsis if needed
  * @private
  */
-function truncateText(text) {
-  if (text.length <= MAX_PROMPT_LENGTH) {
+function truncateText(text, limit = MAX_PROMPT_LENGTH) {
+  if (text.length <= limit) {
     return text;
   }
-  return `${text.slice(0, MAX_PROMPT_LENGTH)}…`;
+  return `${text.slice(0, limit)}…`;
 }
@@ -0,0 +1,370 @@
+/**
+ * JSON Schemas for every structured model output
+ * Passed to the Prompt API as `responseConstraint` so the model can only produce JSON of this
+ * shape. They mirror the prose schemas in promptTemplates.js, which stay in the prompts for
+ * Chrome builds without constrained output.
+ */
+
+const STRING = { type: "string" };
+const STRING_LIST = { type: "array", items: STRING };
+const NULLABLE_NUMBER = { type: ["number", "null"] };
+// Templates ask for "N/A" where a number does not apply (e.g. NNT outside trials)
+const NUMBER_OR_TEXT = { type: ["number", "string", "null"] };
+const NULLABLE_BOOLEAN = { type: ["boolean", "null"] };
+
+/**
+ * Study types the classifier may return (normalizeStudyType maps variants onto these)
+ * @constant {string[]}
+ */
+export const STUDY_TYPES = [
+  "RCT",
+  "Cohort",
+  "Case-Control",
+  "Cross-Sectional",
+  "Systematic Review",
+  "Meta-Analysis",
+  "Diagnostic Accuracy",
+  "Case Report",
+  "Case Series",
+  "Qualitative",
+  "Basic Science",
+  "Other"
+];
+
+/**
+ * Reporting frameworks the classifier may return
+ * @constant {string[]}
+ */
+export const FRAMEWORKS = ["CONSORT", "STROBE", "PRISMA", "STARD", "CARE", "COREQ", "PICO", "None"];
+
+/**
+ * Clinical questions the classifier may return, as the Oxford CEBM levels of evidence group them
+ * @constant {string[]}
+ */
+export const QUESTION_TYPES = ["Therapy", "Harm", "Diagnosis", "Prognosis", "Screening", "Other"];
+
+/**
+ * Object schema whose listed properties are all required
+ * @param {Object<string, Object>} properties - Property schemas
+ * @returns {Object} JSON Schema
+ * @private
+ */
+function objectOf(properties) {
+  return {
+    type: "object",
+    properties,
+    required: Object.keys(properties)
+  };
+}
+
+/**
+ * Study type classification (buildStudyTypePrompt)
+ * @constant {Object}
+ */
+export const CLASSIFICATION_SCHEMA = objectOf({
+  studyType: { type: "string", enum: STUDY_TYPES },
+  framework: { type: "string", enum: FRAMEWORKS },
+  questionType: { type: "string", enum: QUESTION_TYPES },
+  confidence: { type: "number", minimum: 0, maximum: 1 },
+  reasons: STRING_LIST
+});
+
+/**
+ * Builds the structured summary schema shared by every template, with its frameworkSpecific block
+ * @param {Object<string, Object>|null} frameworkSpecific - Property schemas of frameworkSpecific,
+ *   or null for the PICO template, which leaves it as a free-form object
+ * @returns {Object} JSON Schema
+ * @private
+ */
+function createSummarySchema(frameworkSpecific) {
+  return objectOf({
+    studyType: STRING,
+    framework: STRING,
+    studyDesign: objectOf({
+      type: STRING,
+      setting: STRING,
+      studyPeriod: STRING,
+      registrationID: STRING
+    }),
+    population: objectOf({
+      sampleSize: objectOf({
+        intervention: NULLABLE_NUMBER,
+        control: NULLABLE_NUMBER,
+        total: NULLABLE_NUMBER
+      }),
+      demographics: objectOf({
+        age: STRING,
+        gender: STRING,
+        ethnicity: STRING
+      }),
+      inclusionCriteria: STRING_LIST,
+      exclusionCriteria: STRING_LIST
+    }),
+    intervention: objectOf({
+      description: STRING,
+      dosage: STRING,
+      duration: STRING
+    }),
+    comparison: objectOf({
+      controlType: STRING,
+      description: STRING
+    }),
+    outcomes: objectOf({
+      primary: objectOf({
+        measure: STRING,
+        interventionResult: STRING,
+        controlResult: STRING,
+        pValue: NULLABLE_NUMBER,
+        confidenceInterval: STRING,
+        effectSize: STRING
+      }),
+      secondary: {
+        type: "array",
+        items: objectOf({
+          measure: STRING,
+          result: STRING
+        })
+      }
+    }),
+    interpretation: objectOf({
+      NNT: NUMBER_OR_TEXT,
+      interpretation: STRING,
+      limitations: STRING_LIST,
+      applicability: STRING
+    }),
+    frameworkSpecific: frameworkSpecific ? objectOf(frameworkSpecific) : { type: "object" },
+    // Verbatim supporting quotes, located in the page by sourceGrounding.js
+    sources: {
+      type: "array",
+      items: objectOf({
+        field: STRING,
+        quote: STRING
+      })
+    }
+  });
+}
+
+/**
+ * Structured summary schemas, keyed by the template they belong to
+ * @constant {Object<string, Object>}
+ */
+export const SUMMARY_SCHEMAS = {
+  PICO: createSummarySchema(null),
+  PRISMA: createSummarySchema({
+    databasesSearched: STRING_LIST,
+    dateRange: STRING,
+    numberOfStudies: NULLABLE_NUMBER,
+    totalParticipants: NULLABLE_NUMBER,
+    riskOfBiasMethod: STRING,
+    metaAnalysisModel: { type: "string", enum: ["fixed", "random", "none"] },
+    pooledEffectMeasure: STRING,
+    pooledEffectValue: STRING,
+    I2: NULLABLE_NUMBER,
+    heterogeneityNotes: STRING,
+    registration: STRING
+  }),
+  STARD: createSummarySchema({
+    indexTest: STRING,
+    referenceStandard: STRING,
+    targetCondition: STRING,
+    sensitivity: NULLABLE_NUMBER,
+    specificity: NULLABLE_NUMBER,
+    ppv: NULLABLE_NUMBER,
+    npv: NULLABLE_NUMBER,
+    auc: NULLABLE_NUMBER,
+    cutoffs: STRING,
+    prevalence: NULLABLE_NUMBER
+  }),
+  STROBE: createSummarySchema({
+    exposure: STRING,
+    outcome: STRING,
+    effectMeasure: STRING,
+    confoundersAdjusted: STRING_LIST,
+    biasConsiderations: STRING_LIST,
+    statisticalMethods: STRING_LIST,
+    missingDataHandling: STRING
+  }),
+  CARE: createSummarySchema({
+    presentingComplaint: STRING,
+    clinicalHistory: STRING,
+    diagnosticAssessment: STRING_LIST,
+    therapeuticIntervention: STRING,
+    followUp: STRING,
+    outcomeDescription: STRING,
+    patientPerspective: STRING,
+    informedConsentObtained: NULLABLE_BOOLEAN,
+    keyLearningPoints: STRING_LIST
+  }),
+  COREQ: createSummarySchema({
+    researchParadigm: STRING,
+    methodologyApproach: STRING,
+    samplingStrategy: STRING,
+    dataCollectionMethod: STRING,
+    numberOfParticipants: NULLABLE_NUMBER,
+    dataAnalysisMethod: STRING,
+    themesIdentified: STRING_LIST,
+    triangulation: STRING,
+    memberChecking: NULLABLE_BOOLEAN,
+    reflexivity: STRING,
+    saturation: STRING
+  }),
+  BASIC_SCIENCE: createSummarySchema({
+    researchQuestion: STRING,
+    model: STRING,
+    organism: STRING,
+    keyTechniques: STRING_LIST,
+    mainFindings: STRING_LIST,
+    mechanisticInsights: STRING,
+    novelty: STRING,
+    replicationDetails: STRING
+  })
+};
+
+const SCORE = { type: "integer", minimum: 1, maximum: 5 };
+
+/**
+ * Methodology assessment (buildMethodologyPrompt)
+ * @constant {Object}
+ */
+export const METHODOLOGY_SCHEMA = objectOf({
+  contentValidation: objectOf({
+    isMethodology: { type: "boolean" },
+    confidence: { type: "number", minimum: 0, maximum: 100 },
+    rationale: STRING
+  }),
+  researchQuestionClarity: objectOf({
+    score: SCORE,
+    strengths: STRING_LIST,
+    concerns: STRING_LIST
+  }),
+  sampleSizePower: objectOf({
+    score: SCORE,
+    calculated: NULLABLE_NUMBER,
+    actual: NULLABLE_NUMBER,
+    assessment: STRING
+  }),
+  randomization: objectOf({
+    score: SCORE,
+    method: STRING,
+    concerns: STRING_LIST
+  }),
+  blinding: objectOf({
+    participants: { type: "boolean" },
+    assessors: { type: "boolean" },
+    analysts: { type: "boolean" },
+    concerns: STRING_LIST
+  }),
+  statisticalApproach: objectOf({
+    score: SCORE,
+    methods: STRING_LIST,
+    strengths: STRING_LIST,
+    concerns: STRING_LIST
+  }),
+  overallQualityScore: { type: "number", minimum: 0, maximum: 100 },
+  keyLimitations: STRING_LIST,
+  recommendation: STRING
+});
+
+/**
+ * Builds the schema for an appraisal tool's answers (buildAppraisalPrompt)
+ * @param {Object} tool - Tool definition (e.g. ROB2)
+ * @returns {Object} JSON Schema: the outcome assessed, an answer and quote for every signalling
+ *   question, and a rationale for every domain
+ */
+export function createAppraisalSchema(tool) {
+  const answer = (options) => objectOf({
+    answer: { type: "string", enum: options },
+    quote: STRING
+  });
+  return objectOf({
+    outcome: STRING,
+    answers: objectOf(Object.fromEntries(
+      tool.domains
+        .flatMap((domain) => domain.questions)
+        .map((question) => [question.id, answer(question.options || tool.answerOptions)])
+    )),
+    rationales: objectOf(Object.fromEntries(tool.domains.map((domain) => [domain.id, STRING])))
+  });
+}
+
+/**
+ * Builds the schema for a checklist tool's answers (buildChecklistPrompt)
+ * @param {Object} tool - Checklist tool definition (e.g. AMSTAR2)
+ * @returns {Object} JSON Schema: an answer, quote and justification for every item
+ */
+export function createChecklistSchema(tool) {
+  return objectOf({
+    answers: objectOf(Object.fromEntries(tool.items.map((item) => [item.id, objectOf({
+      answer: { type: "string", enum: item.options || tool.answerOptions },
+      quote: STRING,
+      justification: STRING
+    })])))
+  });
+}
+
+/**
+ * Builds the schema for GRADE factor judgements (buildGradePrompt)
+ * @param {Object} tool - The GRADE tool definition
+ * @param {Array<Object>} outcomes - Outcomes being rated ({id, ...})
+ * @returns {Object} JSON Schema: the evidence design, participants and a judgement with its reason
+ *   for every factor, per outcome
+ */
+export function createGradeSchema(tool, outcomes) {
+  const outcome = objectOf({
+    design: { type: "string", enum: tool.designs },
+    participants: STRING,
+    ...Object.fromEntries(tool.factors.map((factor) => [factor.id, objectOf({
+      answer: { type: "string", enum: factor.options },
+      reason: STRING
+    })]))
+  });
+  return objectOf({
+    outcomes: objectOf(Object.fromEntries(outcomes.map(({ id }) => [id, outcome])))
+  });
+}
+
+/**
+ * Plain-language rewrite (buildSimplificationPrompt)
+ * @constant {Object}
+ */
+export const SIMPLIFICATION_SCHEMA = objectOf({
+  plainEnglish: STRING,
+  keyTerms: {
+    type: "array",
+    items: objectOf({
+      term: STRING,
+      definition: STRING
+    })
+  },
+  statisticsNotes: STRING_LIST
+});
+
+/**
+ * Language model translation fallback
+ * @constant {Object}
+ */
+export const TRANSLATION_SCHEMA = objectOf({
+  translatedText: STRING,
+  notes: STRING_LIST
+});
+
+/**
+ * Key points for exports (buildKeyPointsPrompt)
+ * @constant {Object}
+ */
+export const KEY_POINTS_SCHEMA = objectOf({
+  keyHypothesis: STRING_LIST,
+  criticalFindings: STRING_LIST,
+  studyLimitations: STRING_LIST,
+  implications: STRING_LIST,
+  futureResearch: STRING_LIST
+});
+
+/**
+ * Builds the schema for a repair re-prompt: one property per invalid field, keyed by its path
+ * @param {Array<{path: string, schema: Object}>} fields - Invalid fields from validateAgainstSchema
+ * @returns {Object} JSON Schema
+ */
+export function createRepairSchema(fields) {
+  return objectOf(Object.fromEntries(fields.map(({ path, schema }) => [path, schema])));
+}
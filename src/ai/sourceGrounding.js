@@ -0,0 +1,179 @@
+/**
+ * Locates the model's supporting quotes in the snapshot text
+ * Quotes are matched word by word, so whitespace, punctuation and table separators ("|") that
+ * differ between the prompt text and the page do not matter, and a few changed words still match.
+ */
+
+/**
+ * Words per shingle used to vote for a quote's position
+ * @constant {number}
+ */
+const SHINGLE_SIZE = 3;
+
+/**
+ * Shingles found more often than this in the text are too common to place a quote
+ * @constant {number}
+ */
+const MAX_SHINGLE_OCCURRENCES = 25;
+
+/**
+ * How far (in words) votes may drift and still count for the same position, so an inserted
+ * or dropped word does not split the vote
+ * @constant {number}
+ */
+const POSITION_TOLERANCE = 3;
+
+/**
+ * Share of a quote's shingles that must be found in place for the quote to count as located
+ * @constant {number}
+ */
+const MIN_MATCH_SCORE = 0.6;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Matches supporting quotes against the snapshot text and records where each one is
+ * @param {Array<{field: string, quote: string}>} sources - Quotes returned with the summary
+ * @param {string} text - Snapshot text the offsets refer to (article.textContent)
+ * @returns {{ textLength: number, sources: Array<Object> }} One entry per field (the best
+ *   located quote wins): field, quote, start/end character offsets and the matched passage,
+ *   or null offsets when the quote could not be found, and a 0–1 match score
+ */
+export function groundSourceQuotes(sources, text = "") {
+  const index = createWordIndex(text || "");
+  const byField = new Map();
+
+  (Array.isArray(sources) ? sources : []).forEach((source) => {
+    const field = normalizeFieldPath(source?.field);
+    const quote = typeof source?.quote === "string" ? source.quote.trim() : "";
+    if (!field || !quote) {
+      return;
+    }
+
+    const match = locateQuote(index, quote);
+    const grounded = {
+      field,
+      quote,
+      start: match ? match.start : null,
+      end: match ? match.end : null,
+      passage: match ? text.slice(match.start, match.end) : null,
+      score: match ? match.score : 0
+    };
+
+    const existing = byField.get(field);
+    if (!existing || grounded.score > existing.score) {
+      byField.set(field, grounded);
+    }
+  });
+
+  return {
+    textLength: (text || "").length,
+    sources: [...byField.values()]
+  };
+}
+
+function createWordIndex(text) {
+  const words = [];
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    words.push({ token: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return { text, words, shingles: new Map() };
+}
+
+function getShingles(index, size) {
+  if (!index.shingles.has(size)) {
+    const map = new Map();
+    for (let i = 0; i + size <= index.words.length; i += 1) {
+      const key = index.words.slice(i, i + size).map((word) => word.token).join(" ");
+      const positions = map.get(key);
+      if (positions) {
+        positions.push(i);
+      } else {
+        map.set(key, [i]);
+      }
+    }
+    index.shingles.set(size, map);
+  }
+  return index.shingles.get(size);
+}
+
+function locateQuote(index, quote) {
+  const tokens = (quote.match(WORD_PATTERN) || []).map((token) => token.toLowerCase());
+  if (!tokens.length || !index.words.length) {
+    return null;
+  }
+
+  const size = Math.min(SHINGLE_SIZE, tokens.length);
+  const shingles = getShingles(index, size);
+  const shingleCount = tokens.length - size + 1;
+
+  // Each shingle found in the text votes for where the quote would start
+  const votes = new Map();
+  for (let i = 0; i < shingleCount; i += 1) {
+    const positions = shingles.get(tokens.slice(i, i + size).join(" ")) || [];
+    if (positions.length > MAX_SHINGLE_OCCURRENCES) {
+      continue;
+    }
+    positions.forEach((position) => {
+      const offset = position - i;
+      const vote = votes.get(offset) || { count: 0, first: Infinity, last: -Infinity };
+      vote.count += 1;
+      vote.first = Math.min(vote.first, position);
+      vote.last = Math.max(vote.last, position + size - 1);
+      votes.set(offset, vote);
+    });
+  }
+
+  // Votes a few words apart count together; the window with the most votes wins
+  const offsets = [...votes.entries()].sort(([a], [b]) => a - b);
+  let best = null;
+  let low = 0;
+  let high = 0;
+  offsets.forEach(([offset]) => {
+    while (offsets[low][0] < offset - POSITION_TOLERANCE) {
+      low += 1;
+    }
+    while (high < offsets.length && offsets[high][0] <= offset + POSITION_TOLERANCE) {
+      high += 1;
+    }
+    const nearby = offsets.slice(low, high).map(([, vote]) => vote);
+    const count = nearby.reduce((total, vote) => total + vote.count, 0);
+    if (!best || count > best.count) {
+      best = {
+        offset,
+        count,
+        first: Math.min(...nearby.map((vote) => vote.first)),
+        last: Math.max(...nearby.map((vote) => vote.last))
+      };
+    }
+  });
+
+  const score = best ? Math.min(1, best.count / shingleCount) : 0;
+  if (score < MIN_MATCH_SCORE) {
+    return null;
+  }
+
+  // A changed first or last word leaves no shingle at that end; stretch to the quote's length
+  const first = Math.max(0, best.first - (SHINGLE_SIZE - 1), Math.min(best.first, best.offset));
+  const last = Math.min(index.words.length - 1, best.last + (SHINGLE_SIZE - 1), Math.max(best.last, best.offset + tokens.length - 1));
+
+  // Keep closing brackets and percent signs that end the passage, e.g. "(95% CI 0.61–0.85)"
+  let end = index.words[last].end;
+  while (/[)\]%]/.test(index.text[end] || "")) {
+    end += 1;
+  }
+
+  return {
+    start: index.words[first].start,
+    end,
+    score: Math.round(score * 100) / 100
+  };
+}
+
+function normalizeFieldPath(field) {
+  if (typeof field !== "string") {
+    return "";
+  }
+  // "outcomes.secondary.0.result" and "outcomes.secondary[0].result" name the same field
+  return field.trim().replace(/^data\./, "").replace(/\.(\d+)(?=\.|$)/g, "[$1]");
+}
@@ -0,0 +1,241 @@
+import { getContextCoverage, MAX_PROMPT_LENGTH } from "./promptTemplates.js";
+
+/**
+ * Tokens kept free in the session for the model's reply
+ * @constant {number}
+ */
+const RESPONSE_TOKEN_RESERVE = 1024;
+
+/**
+ * Characters per token, only used when the session cannot measure its input
+ * @constant {number}
+ */
+const CHARS_PER_TOKEN_ESTIMATE = 4;
+
+/**
+ * Clipping passes after dropping sections; each pass rescales the text by the measured overshoot
+ * @constant {number}
+ */
+const MAX_CLIP_ATTEMPTS = 3;
+
+/**
+ * Share of the computed character budget actually used when clipping or splitting, so section
+ * labels and excerpt notes rarely push a prompt over the quota
+ * @constant {number}
+ */
+const CLIP_SAFETY_MARGIN = 0.95;
+
+/**
+ * Reads the token budget of a session (Prompt API, Rewriter or Translator)
+ * @param {Object} session - AI session
+ * @returns {{ quota: number|null, used: number, available: number|null }} Quota, tokens already
+ *   used (system prompt), and tokens left for the next prompt after reserving room for the reply;
+ *   quota and available are null when the session does not report a quota
+ */
+export function getSessionBudget(session) {
+  const quota = Number.isFinite(session?.inputQuota) ? session.inputQuota : null;
+  const used = Number.isFinite(session?.inputUsage) ? session.inputUsage : 0;
+  return {
+    quota,
+    used,
+    available: quota === null ? null : Math.max(0, quota - used - RESPONSE_TOKEN_RESERVE)
+  };
+}
+
+/**
+ * Counts the tokens a text would use in a session
+ * Uses measureInputUsage(), or countPromptTokens() on older Chrome builds, and only estimates
+ * from the character count when neither exists.
+ * @param {Object} session - AI session
+ * @param {string} text - Prompt text
+ * @returns {Promise<{ tokens: number, estimated: boolean }>} Token count and whether it was estimated
+ */
+export async function measureTokens(session, text) {
+  try {
+    if (typeof session?.measureInputUsage === "function") {
+      return { tokens: await session.measureInputUsage(text), estimated: false };
+    }
+    if (typeof session?.countPromptTokens === "function") {
+      return { tokens: await session.countPromptTokens(text), estimated: false };
+    }
+  } catch (error) {
+    console.debug("MedLit: token measurement failed, estimating instead", error);
+  }
+  return { tokens: Math.ceil((text || "").length / CHARS_PER_TOKEN_ESTIMATE), estimated: true };
+}
+
+/**
+ * Builds the largest prompt that fits the session's input quota
+ * The prompt is first built from the whole article. If it is over budget, sections are dropped
+ * from the end of sectionKeys (lowest priority first, always keeping the top section), then the
+ * remaining text is clipped using the measured overshoot.
+ * @param {Object} session - Prompt API session the prompt is for
+ * @param {Object} params - Parameters object
+ * @param {Object} params.article - Article content (textContent, sections, tables)
+ * @param {string[]} params.sectionKeys - Sections the template reads, highest priority first
+ * @param {Function} params.buildPrompt - Builds the prompt from an article; must honor article.contextBudget
+ * @param {string} [params.scope="paper"] - What the article is ("paper" or "selection"), for reporting
+ * @returns {Promise<{ prompt: string, usage: Object, capacityCharacters: number }>} The prompt,
+ *   its token usage report, and roughly how many characters of paper text fit in one prompt (the
+ *   templates' default character limit when the session reports no quota; 0 when not even the
+ *   instructions fit)
+ */
+export async function fitPromptToSession(session, { article = {}, sectionKeys = [], buildPrompt, scope = "paper" }) {
+  const budget = getSessionBudget(session);
+
+  // No quota to fit against: keep the templates' default character limits
+  if (budget.available === null) {
+    const prompt = buildPrompt(article);
+    const measured = await measureTokens(session, prompt);
+    return {
+      prompt,
+      capacityCharacters: MAX_PROMPT_LENGTH,
+      usage: createUsage({ budget, measured, fullTokens: measured.tokens, article, sectionKeys, scope, droppedSections: [] })
+    };
+  }
+
+  const fullArticle = { ...article, contextBudget: Infinity };
+  const fullPrompt = buildPrompt(fullArticle);
+  const full = await measureTokens(session, fullPrompt);
+  const totalCharacters = getContextCoverage(fullArticle, sectionKeys).totalCharacters;
+
+  // Instructions, schema and metadata cost the same whatever text is included
+  const overhead = await measureTokens(session, buildPrompt({
+    ...article,
+    sections: article.sections?.title ? { title: article.sections.title } : {},
+    tables: [],
+    textContent: "",
+    contextBudget: 0
+  }));
+  const charsPerToken = totalCharacters / Math.max(1, full.tokens - overhead.tokens);
+  const capacityCharacters = Math.max(0, Math.floor((budget.available - overhead.tokens) * charsPerToken * CLIP_SAFETY_MARGIN));
+
+  let candidate = fullArticle;
+  let prompt = fullPrompt;
+  let measured = full;
+  const droppedSections = [];
+
+  // 1) Drop whole sections, lowest priority first
+  const present = sectionKeys.filter((key) => key !== "title" && hasSectionContent(article, key));
+  while (measured.tokens > budget.available && present.length - droppedSections.length > 1) {
+    droppedSections.push(present[present.length - 1 - droppedSections.length]);
+    candidate = { ...withoutSections(article, droppedSections), contextBudget: Infinity };
+    prompt = buildPrompt(candidate);
+    measured = await measureTokens(session, prompt);
+  }
+
+  // 2) Clip what is left in proportion to the overshoot
+  for (let attempt = 0; attempt < MAX_CLIP_ATTEMPTS && measured.tokens > budget.available; attempt += 1) {
+    const { includedCharacters } = getContextCoverage(candidate, sectionKeys);
+    const ratio = (budget.available - overhead.tokens) / Math.max(1, measured.tokens - overhead.tokens);
+    candidate = { ...candidate, contextBudget: Math.max(0, Math.floor(includedCharacters * ratio * CLIP_SAFETY_MARGIN)) };
+    prompt = buildPrompt(candidate);
+    measured = await measureTokens(session, prompt);
+  }
+
+  return {
+    prompt,
+    capacityCharacters,
+    usage: createUsage({
+      budget,
+      measured: { ...measured, estimated: measured.estimated || full.estimated },
+      fullTokens: full.tokens,
+      article: candidate,
+      sectionKeys,
+      scope,
+      droppedSections,
+      totalCharacters
+    })
+  };
+}
+
+/**
+ * Reports token usage for a single text sent as-is (Rewriter, Translator)
+ * @param {Object} session - AI session
+ * @param {string} text - The input text
+ * @param {string} [scope="selection"] - What the text is, for reporting
+ * @returns {Promise<Object>} Usage report
+ */
+export async function measureTextUsage(session, text, scope = "selection") {
+  const budget = getSessionBudget(session);
+  const measured = await measureTokens(session, text);
+  return createUsage({
+    budget,
+    measured,
+    fullTokens: measured.tokens,
+    article: { textContent: text, contextBudget: Infinity },
+    sectionKeys: [],
+    scope,
+    droppedSections: []
+  });
+}
+
+/**
+ * Adds up the usage reports of several calls made for one result
+ * @param {Array<Object>} usages - Usage reports (falsy entries are ignored)
+ * @param {Object} [coverage] - Overrides for the paper coverage of the combined result
+ * @param {number} [coverage.includedCharacters] - Paper characters analyzed
+ * @param {number} [coverage.totalCharacters] - Paper characters available
+ * @param {number} [coverage.droppedTokens=0] - Tokens left out on top of the calls' own
+ * @param {string[]} [coverage.droppedSections=[]] - Sections left out on top of the calls' own
+ * @returns {Object|null} Combined usage report, or null without any report
+ */
+export function combineUsage(usages, coverage = {}) {
+  const calls = usages.filter(Boolean);
+  if (!calls.length) {
+    return null;
+  }
+
+  const sum = (field) => calls.reduce((total, usage) => total + (usage[field] || 0), 0);
+  const includedCharacters = coverage.includedCharacters ?? sum("includedCharacters");
+  const totalCharacters = coverage.totalCharacters ?? sum("totalCharacters");
+
+  return {
+    usedTokens: sum("usedTokens"),
+    quotaTokens: calls.every((usage) => usage.quotaTokens !== null) ? sum("quotaTokens") : null,
+    droppedTokens: sum("droppedTokens") + (coverage.droppedTokens || 0),
+    droppedSections: [...new Set([...calls.flatMap((usage) => usage.droppedSections), ...(coverage.droppedSections || [])])],
+    includedCharacters,
+    totalCharacters,
+    analyzedPercent: totalCharacters ? Math.min(100, Math.round((includedCharacters / totalCharacters) * 100)) : 100,
+    calls: sum("calls"),
+    estimated: calls.some((usage) => usage.estimated),
+    scope: calls[calls.length - 1].scope
+  };
+}
+
+function createUsage({ budget, measured, fullTokens, article, sectionKeys, scope, droppedSections, totalCharacters }) {
+  const coverage = getContextCoverage(article, sectionKeys);
+  const total = totalCharacters ?? coverage.totalCharacters;
+  return {
+    usedTokens: budget.used + measured.tokens,
+    quotaTokens: budget.quota,
+    droppedTokens: Math.max(0, fullTokens - measured.tokens),
+    droppedSections,
+    includedCharacters: coverage.includedCharacters,
+    totalCharacters: total,
+    analyzedPercent: total ? Math.min(100, Math.round((coverage.includedCharacters / total) * 100)) : 100,
+    calls: 1,
+    estimated: measured.estimated,
+    scope
+  };
+}
+
+function hasSectionContent(article, key) {
+  if (key === "tables") {
+    return Boolean(article.tables?.length);
+  }
+  return Boolean(article.sections?.[key]?.trim());
+}
+
+function withoutSections(article, keys) {
+  const sections = { ...(article.sections || {}) };
+  keys.forEach((key) => {
+    delete sections[key];
+  });
+  return {
+    ...article,
+    sections,
+    tables: keys.includes("tables") ? [] : article.tables
+  };
+}
@@ -162,3 +162,256 @@ export function validateMethodologyText(text) {
     }
   };
 }
+
+/**
+ * Text models write instead of leaving a value empty; coerced to null (or []) where the schema allows
+ * @constant {RegExp}
+ */
+const PLACEHOLDER_PATTERN = /^(not\s+(reported|specified|stated|provided|available|applicable|calculated|mentioned)|n\/?a|none|unknown|unclear|null|nan|undefined|-|—)\.?$/i;
+
+/**
+ * Numbers inside free text: thousands separators ("1,204"), decimals (".5", "0.72") and integers
+ * @constant {RegExp}
+ */
+const NUMBER_PATTERN = /-?\d{1,3}(?:,\d{3})+(?:\.\d+)?|-?\d*\.\d+|-?\d+/g;
+
+/**
+ * Words allowed before the number when a string holds several numbers ("p = 0.03 (n = 40)")
+ * @constant {RegExp}
+ */
+const NUMBER_PREFIX_PATTERN = /^(?:p|n|about|approximately|approx\.?|around|roughly|nearly|~|≈|[<>≤≥=:]|\s)*$/i;
+
+const TRUE_WORDS = new Set(["true", "yes", "y", "reported", "obtained", "performed", "done"]);
+const FALSE_WORDS = new Set(["false", "no", "n", "not reported", "not obtained", "not performed"]);
+
+/**
+ * Checks a parsed model output against its JSON Schema and coerces recoverable values
+ * Numeric strings ("about 300", "1,204", "45%", "p<0.001"), yes/no strings, scalars where a list
+ * is expected and enum values in the wrong case are repaired. Values that cannot be repaired are
+ * reported as invalid and left untouched. Missing or null values are not reported; the templates
+ * allow the model to omit what the paper does not state.
+ * @param {*} data - Parsed model output
+ * @param {Object} schema - JSON Schema from schemas.js
+ * @returns {{ data: *, repairs: Array<{path: string, from: *, to: *, reason: string}>,
+ *   invalid: Array<{path: string, value: *, expected: string, schema: Object}> }} Repaired copy of
+ *   the data, the repairs made, and the fields that still do not match the schema
+ */
+export function validateAgainstSchema(data, schema) {
+  const report = { repairs: [], invalid: [] };
+  const checked = checkValue(data, schema, "", report);
+  return { data: checked, ...report };
+}
+
+/**
+ * Writes corrected values into a result by field path ("outcomes.primary.pValue", "outcomes.secondary[0].result")
+ * @param {Object} data - Result data
+ * @param {Object<string, *>} fixes - Corrected values keyed by field path
+ * @returns {Object} Copy of the data with the fixes applied
+ */
+export function applyFieldFixes(data, fixes) {
+  const copy = structuredClone(data);
+  Object.entries(fixes).forEach(([path, value]) => {
+    const segments = path.split(/\.|\[(\d+)\]/).filter(Boolean);
+    let target = copy;
+    for (const segment of segments.slice(0, -1)) {
+      if (target[segment] === null || typeof target[segment] !== "object") {
+        return;
+      }
+      target = target[segment];
+    }
+    target[segments[segments.length - 1]] = value;
+  });
+  return copy;
+}
+
+/**
+ * Describes what a schema expects, for invalid-field reports and repair prompts
+ * @param {Object} schema - JSON Schema
+ * @returns {string} E.g. "integer from 1 to 5" or "one of: fixed, random, none"
+ */
+export function describeSchema(schema) {
+  if (schema.enum) {
+    return `one of: ${schema.enum.join(", ")}`;
+  }
+  const types = [].concat(schema.type ?? []);
+  const names = types.map((type) => (type === "array" ? `list of ${describeSchema(schema.items ?? {})}` : type));
+  const hasMinimum = schema.minimum !== undefined;
+  const hasMaximum = schema.maximum !== undefined;
+  const range = hasMinimum && hasMaximum
+    ? ` from ${schema.minimum} to ${schema.maximum}`
+    : hasMinimum ? ` ≥ ${schema.minimum}` : hasMaximum ? ` ≤ ${schema.maximum}` : "";
+  return `${names.join(" or ") || "any value"}${range}`;
+}
+
+function checkValue(value, schema, path, report) {
+  if (value === null || value === undefined || !schema) {
+    return value;
+  }
+
+  const types = [].concat(schema.type ?? []);
+  let current = value;
+
+  if (types.length && !types.some((type) => matchesType(current, type))) {
+    const coerced = coerceValue(current, types);
+    if (!coerced) {
+      report.invalid.push({ path, value, expected: describeSchema(schema), schema });
+      return value;
+    }
+    report.repairs.push({ path, from: value, to: coerced.value, reason: coerced.reason });
+    current = coerced.value;
+    if (current === null) {
+      return current;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(current)) {
+    const match = typeof current === "string" &&
+      schema.enum.find((option) => String(option).toLowerCase() === current.trim().toLowerCase());
+    if (match === undefined || match === false) {
+      report.invalid.push({ path, value: current, expected: describeSchema(schema), schema });
+      return current;
+    }
+    report.repairs.push({ path, from: current, to: match, reason: "enum case" });
+    current = match;
+  }
+
+  if (typeof current === "number" &&
+    ((schema.minimum !== undefined && current < schema.minimum) || (schema.maximum !== undefined && current > schema.maximum))) {
+    report.invalid.push({ path, value: current, expected: describeSchema(schema), schema });
+    return current;
+  }
+
+  if (Array.isArray(current) && schema.items) {
+    return current.map((item, index) => checkValue(item, schema.items, `${path}[${index}]`, report));
+  }
+
+  if (isObject(current) && schema.properties) {
+    const checked = { ...current };
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      if (key in checked) {
+        checked[key] = checkValue(checked[key], propertySchema, path ? `${path}.${key}` : key, report);
+      }
+    });
+    return checked;
+  }
+
+  return current;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return isObject(value);
+    case "null":
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Tries to convert a value to one of the expected types
+ * @param {*} value - Value that matches none of the types
+ * @param {string[]} types - Types allowed by the schema
+ * @returns {{value: *, reason: string}|null} Coerced value and why, or null if not recoverable
+ * @private
+ */
+function coerceValue(value, types) {
+  const text = typeof value === "string" ? value.trim() : null;
+  const isPlaceholder = text !== null && (text === "" || PLACEHOLDER_PATTERN.test(text));
+
+  if (isPlaceholder && types.includes("null")) {
+    return { value: null, reason: "placeholder" };
+  }
+
+  if (types.includes("number") || types.includes("integer")) {
+    const number = typeof value === "number" ? { value, reason: "rounded" } : text !== null ? parseNumber(text) : null;
+    if (number) {
+      if (!types.includes("number") && !Number.isInteger(number.value)) {
+        return { value: Math.round(number.value), reason: number.reason === "rounded" ? "rounded" : `${number.reason}, rounded` };
+      }
+      return number;
+    }
+  }
+
+  if (types.includes("boolean") && text !== null) {
+    const word = text.toLowerCase().replace(/[.!]$/, "");
+    if (TRUE_WORDS.has(word)) {
+      return { value: true, reason: "yes/no text" };
+    }
+    if (FALSE_WORDS.has(word)) {
+      return { value: false, reason: "yes/no text" };
+    }
+  }
+
+  if (types.includes("array")) {
+    if (isPlaceholder) {
+      return { value: [], reason: "placeholder" };
+    }
+    if (text !== null) {
+      return { value: [text], reason: "single value wrapped in a list" };
+    }
+  }
+
+  if (types.includes("string")) {
+    if (typeof value === "number" || typeof value === "boolean") {
+      return { value: String(value), reason: "converted to text" };
+    }
+    if (Array.isArray(value) && value.every((item) => typeof item !== "object" || item === null)) {
+      return { value: value.filter((item) => item !== null && item !== "").join("; "), reason: "list joined" };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads the number a free-text value stands for
+ * @param {string} text - E.g. "about 300", "1,204", "45%", "p<0.001", "0.03 (significant)"
+ * @returns {{value: number, reason: string}|null} The number and how it was read, or null
+ * @private
+ */
+function parseNumber(text) {
+  // Unicode minus/dashes and the middle-dot decimal used by some journals ("0·72")
+  const cleaned = text.replace(/[−–]/g, "-").replace(/(\d)·(\d)/g, "$1.$2");
+  const matches = [...cleaned.matchAll(NUMBER_PATTERN)];
+  if (!matches.length) {
+    return null;
+  }
+
+  const [first] = matches;
+  const prefix = cleaned.slice(0, first.index);
+  if (matches.length > 1 && !NUMBER_PREFIX_PATTERN.test(prefix)) {
+    return null;
+  }
+
+  const value = Number(first[0].replace(/,/g, ""));
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+
+  const after = cleaned.slice(first.index + first[0].length).trimStart();
+  let reason = "numeric text";
+  if (/[<>≤≥]/.test(prefix)) {
+    reason = `bound ${prefix.trim()}${first[0]} kept as its limit`;
+  } else if (after.startsWith("%")) {
+    reason = "percentage";
+  } else if (/about|approx|around|roughly|nearly|~|≈/i.test(prefix)) {
+    reason = "approximate value";
+  }
+  return { value, reason };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
@@ -75,6 +75,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         });
       return true;
     }
+    case MESSAGE_TYPES.REQUEST_SOURCE_HIGHLIGHT: {
+      handleSourceHighlightRequest(message.payload)
+        .then((highlight) => sendResponse({ ok: true, highlight }))
+        .catch((error) => {
+          console.error("MedLit source highlight failed", error);
+          sendResponse({ ok: false, error: error.message || String(error) });
+        });
+      return true;
+    }
     default:
       break;
   }
@@ -86,13 +95,44 @@ async function handleDocumentRequest() {
     throw new Error(ERROR_MESSAGES.NO_ACTIVE_TAB);
   }
 
+  // Content scripts never run inside Chrome's PDF viewer; the side panel parses PDFs itself
+  if (isPdfUrl(tab.url)) {
+    return { pdf: { url: tab.url, title: tab.title || "" } };
+  }
+
   try {
     return await chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.GET_DOCUMENT_CONTENTS });
   } catch (error) {
+    // PDFs served without a .pdf extension only show up as an unreachable content script
+    if (await isPdfResource(tab.url)) {
+      return { pdf: { url: tab.url, title: tab.title || "" } };
+    }
     throw new Error(ERROR_MESSAGES.UNABLE_TO_ACCESS_CONTENT);
   }
 }
 
+function isPdfUrl(url) {
+  try {
+    return new URL(url).pathname.toLowerCase().endsWith(".pdf");
+  } catch {
+    return false;
+  }
+}
+
+async function isPdfResource(url) {
+  if (!/^https?:/i.test(url || "")) {
+    return false;
+  }
+
+  try {
+    const response = await fetch(url, { method: "HEAD", credentials: "include" });
+    return (response.headers.get("content-type") || "").toLowerCase().includes("application/pdf");
+  } catch (error) {
+    console.debug("MedLit: PDF content-type probe failed", error);
+    return false;
+  }
+}
+
 async function handleLastSelectionRequest() {
   const tab = await getActiveTab();
   if (!tab?.id) {
@@ -106,6 +146,19 @@ async function handleLastSelectionRequest() {
   }
 }
 
+async function handleSourceHighlightRequest(payload) {
+  const tab = await getActiveTab();
+  if (!tab?.id) {
+    throw new Error(ERROR_MESSAGES.NO_ACTIVE_TAB);
+  }
+
+  try {
+    return await chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.HIGHLIGHT_SOURCE, payload });
+  } catch (error) {
+    throw new Error(ERROR_MESSAGES.UNABLE_TO_HIGHLIGHT_SOURCE);
+  }
+}
+
 async function getActiveTab() {
   const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
   return tab;
@@ -2,7 +2,8 @@
 // Constants are inlined here for compatibility
 const MESSAGE_TYPES = {
   GET_DOCUMENT_CONTENTS: "medlit:get-document-contents",
-  GET_LAST_SELECTION: "medlit:get-last-selection"
+  GET_LAST_SELECTION: "medlit:get-last-selection",
+  HIGHLIGHT_SOURCE: "medlit:highlight-source"
 };
 
 const state = {
@@ -39,6 +40,10 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         });
         break;
       }
+      case MESSAGE_TYPES.HIGHLIGHT_SOURCE: {
+        sendResponse(highlightSourcePassage(message.payload));
+        break;
+      }
       default:
         break;
     }
@@ -62,18 +67,959 @@ function collectDocumentSnapshot() {
     metaKeywords: document.querySelector("meta[name='keywords']")?.content || ""
   };
 
-  const article = extractMainArticle();
+  const adapter = findSiteAdapter(window.location);
+  const { article, extraction } = extractMainArticle(adapter);
+
+  const citation = collectCitationMetadata(article.authors);
+  if (citation) {
+    meta.citation = citation;
+  }
 
   return {
     meta,
-    article
+    article,
+    extraction
   };
 }
 
-function extractMainArticle() {
-  const articleElement = document.querySelector("article") || document.body;
+function extractMainArticle(adapter) {
+  const { selectors } = adapter;
+
+  // Site container first, then the generic one, then the whole page
+  const siteMatch = queryFirstSelector(document, selectors.article);
+  const containerMatch = siteMatch || queryFirstSelector(document, GENERIC_ADAPTER.selectors.article);
+  const articleElement = containerMatch?.element || document.body;
+
+  const tables = extractTables(articleElement);
+  const { sections, sectionOrder, internalLinks } = segmentArticle(articleElement, selectors.headings, tables.placeholders);
+
+  const setSection = (key, text) => {
+    if (!text) {
+      return;
+    }
+    if (!sections[key]) {
+      sectionOrder.push(key);
+      sectionOrder.sort((a, b) => SECTION_KEYS.indexOf(a) - SECTION_KEYS.indexOf(b));
+    }
+    sections[key] = text;
+  };
+
+  // Adapter selectors are more reliable than heading detection, so they win when they match
+  const titleMatch = queryFirstSelector(document, selectors.title);
+  setSection("title", normalizeSectionText(titleMatch?.element.innerText));
+
+  const abstractMatch = queryFirstSelector(document, selectors.abstract);
+  setSection("abstract", stripLeadingHeading(normalizeSectionText(abstractMatch?.element.innerText), "abstract"));
+
+  // Site reference selectors, then the common reference-list markup inside the article
+  const referencesMatch = queryAllFirstSelector(document, selectors.references) ||
+    queryAllFirstSelector(articleElement, GENERIC_ADAPTER.selectors.references);
+  const referenceEntries = (referencesMatch?.elements || [])
+    .map((element) => normalizeSectionText(element.innerText))
+    .filter(Boolean);
+  setSection("references", referenceEntries.join("\n"));
+
+  const references = collectReferences(referencesMatch?.elements || [], sections.references);
+  linkCitations(references, internalLinks, sections);
+
+  const authorsMatch = queryAllFirstSelector(document, selectors.authors);
+  const authors = [...new Set(
+    (authorsMatch?.elements || []).map((element) => normalizeSectionText(element.innerText)).filter(Boolean)
+  )];
+
   return {
-    textContent: articleElement.innerText || "",
-    htmlContent: articleElement.innerHTML || ""
+    article: {
+      textContent: articleElement.innerText || "",
+      htmlContent: articleElement.innerHTML || "",
+      sections,
+      sectionOrder,
+      authors,
+      tables: tables.items,
+      references: references.entries
+    },
+    // Records which adapter and selectors produced the snapshot, for diagnosing bad extractions
+    extraction: {
+      adapter: adapter.id,
+      adapterName: adapter.name,
+      container: containerMatch?.selector || "body",
+      usedGenericContainer: !siteMatch,
+      matchedSelectors: {
+        title: titleMatch?.selector || null,
+        abstract: abstractMatch?.selector || null,
+        authors: authorsMatch?.selector || null,
+        references: referencesMatch?.selector || null
+      }
+    }
+  };
+}
+
+// Bibliographic metadata
+// Sources in priority order: Highwire/Google Scholar citation_* tags, Dublin Core / PRISM tags,
+// then schema.org JSON-LD. The first source that has a value for a field wins.
+
+const SCHOLARLY_JSON_LD_TYPES = ["ScholarlyArticle", "MedicalScholarlyArticle", "Article", "NewsArticle", "Report"];
+
+/**
+ * Builds a normalized citation record from the page's bibliographic metadata
+ * @param {string[]} [fallbackAuthors=[]] - Authors scraped by the site adapter, used when no tag lists them
+ * @returns {Object|null} Citation record, or null when the page exposes no bibliographic metadata
+ */
+function collectCitationMetadata(fallbackAuthors = []) {
+  const jsonLd = findScholarlyJsonLd();
+  const periodical = collectJsonLdParents(jsonLd);
+  const sources = [];
+
+  const pick = (source, ...values) => {
+    const value = values.find((candidate) => candidate != null && String(candidate).trim() !== "");
+    if (value != null && !sources.includes(source)) {
+      sources.push(source);
+    }
+    return value;
+  };
+
+  const pickList = (source, values) => (values.length ? pick(source, values) : undefined);
+
+  const first = (...names) => names.map((name) => getMetaValues(name)[0]).find(Boolean);
+
+  const fromTags = {
+    title: pick("citation_meta", first("citation_title")) ?? pick("dublin_core", first("dc.title")),
+    authors: pickList("citation_meta", getMetaValues("citation_author"))
+      ?? pickList("dublin_core", getMetaValues("dc.creator")),
+    journal: pick("citation_meta", first("citation_journal_title", "citation_conference_title"))
+      ?? pick("dublin_core", first("prism.publicationName", "dc.source")),
+    publicationDate: pick("citation_meta", first("citation_publication_date", "citation_date", "citation_online_date"))
+      ?? pick("dublin_core", first("prism.publicationDate", "dc.date", "dcterms.issued")),
+    volume: pick("citation_meta", first("citation_volume")) ?? pick("dublin_core", first("prism.volume")),
+    issue: pick("citation_meta", first("citation_issue")) ?? pick("dublin_core", first("prism.number")),
+    firstPage: pick("citation_meta", first("citation_firstpage")) ?? pick("dublin_core", first("prism.startingPage")),
+    lastPage: pick("citation_meta", first("citation_lastpage")) ?? pick("dublin_core", first("prism.endingPage")),
+    doi: pick("citation_meta", first("citation_doi")) ?? pick("dublin_core", first("prism.doi", "dc.identifier")),
+    pmid: pick("citation_meta", first("citation_pmid")),
+    pmcid: pick("citation_meta", first("citation_pmcid")),
+    issn: pick("citation_meta", first("citation_issn")) ?? pick("dublin_core", first("prism.issn", "prism.eIssn")),
+    publisher: pick("citation_meta", first("citation_publisher")) ?? pick("dublin_core", first("dc.publisher"))
+  };
+
+  const jsonLdAuthors = toArray(jsonLd?.author).map((author) => (typeof author === "string" ? author : author?.name)).filter(Boolean);
+  const jsonLdPages = jsonLd?.pagination || [jsonLd?.pageStart, jsonLd?.pageEnd].filter(Boolean).join("-");
+
+  const citation = {
+    title: fromTags.title ?? pick("json_ld", jsonLd?.headline, jsonLd?.name),
+    authors: fromTags.authors ?? pickList("json_ld", jsonLdAuthors) ?? fallbackAuthors,
+    journal: fromTags.journal ?? pick("json_ld", periodical.name),
+    publicationDate: fromTags.publicationDate ?? pick("json_ld", jsonLd?.datePublished),
+    volume: fromTags.volume ?? pick("json_ld", periodical.volumeNumber),
+    issue: fromTags.issue ?? pick("json_ld", periodical.issueNumber),
+    pages: formatPageRange(fromTags.firstPage, fromTags.lastPage) || pick("json_ld", jsonLdPages) || null,
+    doi: normalizeDoi(fromTags.doi ?? pick("json_ld", ...toArray(jsonLd?.identifier), ...toArray(jsonLd?.sameAs))),
+    pmid: normalizeIdentifier(fromTags.pmid, /^\d{1,9}$/) || matchUrl(/pubmed\.ncbi\.nlm\.nih\.gov\/(\d+)/i),
+    pmcid: normalizeIdentifier(fromTags.pmcid, /^PMC\d+$/i) || matchUrl(/\/(PMC\d+)/i),
+    issn: fromTags.issn ?? pick("json_ld", toArray(periodical.issn)[0]),
+    publisher: fromTags.publisher ?? pick("json_ld", typeof jsonLd?.publisher === "string" ? jsonLd.publisher : jsonLd?.publisher?.name)
+  };
+
+  citation.year = extractYear(citation.publicationDate);
+
+  const hasData = ["title", "journal", "doi", "pmid", "pmcid"].some((key) => citation[key]);
+  if (!hasData) {
+    return null;
+  }
+
+  // Drop empty fields so consumers can rely on truthiness
+  Object.keys(citation).forEach((key) => {
+    if (citation[key] == null || citation[key] === "") {
+      citation[key] = null;
+    }
+  });
+  citation.sources = sources;
+  return citation;
+}
+
+function getMetaValues(name) {
+  const lowered = name.toLowerCase();
+  return Array.from(document.querySelectorAll("meta[name], meta[property]"))
+    .filter((element) => (element.getAttribute("name") || element.getAttribute("property") || "").toLowerCase() === lowered)
+    .map((element) => (element.getAttribute("content") || "").trim())
+    .filter(Boolean);
+}
+
+function findScholarlyJsonLd() {
+  const nodes = [];
+  document.querySelectorAll("script[type='application/ld+json']").forEach((script) => {
+    try {
+      const parsed = JSON.parse(script.textContent);
+      toArray(parsed).forEach((entry) => {
+        nodes.push(entry, ...toArray(entry?.["@graph"]));
+      });
+    } catch (error) {
+      console.debug("MedLit: skipping malformed JSON-LD block", error);
+    }
+  });
+
+  const typeRank = (node) => {
+    const types = toArray(node?.["@type"]);
+    const ranks = types.map((type) => SCHOLARLY_JSON_LD_TYPES.indexOf(type)).filter((rank) => rank >= 0);
+    return ranks.length ? Math.min(...ranks) : Infinity;
+  };
+
+  return nodes
+    .filter((node) => node && typeof node === "object" && typeRank(node) !== Infinity)
+    .sort((a, b) => typeRank(a) - typeRank(b))[0] || null;
+}
+
+function collectJsonLdParents(node) {
+  // Walks isPartOf: PublicationIssue -> PublicationVolume -> Periodical
+  const result = {};
+  let parent = node?.isPartOf;
+  for (let depth = 0; parent && depth < 4; depth += 1) {
+    const current = Array.isArray(parent) ? parent[0] : parent;
+    const types = toArray(current?.["@type"]);
+    if (types.includes("PublicationIssue")) result.issueNumber ??= current.issueNumber;
+    if (types.includes("PublicationVolume")) result.volumeNumber ??= current.volumeNumber;
+    if (types.includes("Periodical") || !types.length) {
+      result.name ??= current.name;
+      result.issn ??= current.issn;
+    }
+    parent = current?.isPartOf;
+  }
+  return result;
+}
+
+function toArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function formatPageRange(firstPage, lastPage) {
+  if (!firstPage) return "";
+  return lastPage && lastPage !== firstPage ? `${firstPage}-${lastPage}` : String(firstPage);
+}
+
+function normalizeDoi(value) {
+  const candidates = toArray(value).map((entry) => (typeof entry === "object" ? entry?.value || entry?.["@id"] : entry));
+  for (const candidate of candidates) {
+    const match = /(10\.\d{4,9}\/[^\s"<>]+)/.exec(String(candidate || ""));
+    if (match) {
+      return match[1].replace(/[.,;]$/, "");
+    }
+  }
+  return null;
+}
+
+function normalizeIdentifier(value, pattern) {
+  const trimmed = String(value || "").trim();
+  return pattern.test(trimmed) ? trimmed.toUpperCase() : null;
+}
+
+function matchUrl(pattern) {
+  return pattern.exec(window.location.href)?.[1]?.toUpperCase() || null;
+}
+
+function extractYear(date) {
+  const match = /\b(1[89]\d{2}|20\d{2})\b/.exec(String(date || ""));
+  return match ? Number(match[1]) : null;
+}
+
+// IMRaD segmentation
+// Headings are matched first (in order); the first pattern that matches wins.
+const SECTION_HEADING_PATTERNS = [
+  { key: "abstract", pattern: /^(structured\s+)?(abstract|summary)\b/i },
+  { key: "introduction", pattern: /^(introduction|background|rationale)\b/i },
+  { key: "methods", pattern: /^(materials?\s+(and|&)\s+methods|patients\s+(and|&)\s+methods|methods?|methodology|study\s+design|experimental\s+procedures)\b/i },
+  { key: "results", pattern: /^(results|findings)\b/i },
+  { key: "discussion", pattern: /^(discussion|comment)\b/i },
+  { key: "conclusions", pattern: /^(conclusions?|interpretation|concluding\s+remarks)\b/i },
+  { key: "references", pattern: /^(references|bibliography|literature\s+cited|works\s+cited)\b/i },
+  { key: "acknowledgements", pattern: /^(acknowledge?ments?|funding|financial\s+support|role\s+of\s+the\s+funding|conflicts?\s+of\s+interest|competing\s+interests|disclosures?|author\s+contributions)\b/i }
+];
+
+const SECTION_KEYS = [
+  "title", "abstract", "introduction", "methods", "results", "discussion", "conclusions", "references", "acknowledgements"
+];
+
+// Tokens found in section ids and publisher class names (e.g. "sec-methods", "abstract-content", "ref-list")
+const SECTION_CONTAINER_TOKENS = {
+  abstract: ["abstract", "abstracts"],
+  introduction: ["intro", "introduction", "background"],
+  methods: ["methods", "method", "methodology", "materials"],
+  results: ["results"],
+  discussion: ["discussion"],
+  conclusions: ["conclusion", "conclusions"],
+  references: ["references", "reflist", "bibliography", "citations"],
+  acknowledgements: ["ack", "acknowledgements", "acknowledgments", "funding"]
+};
+
+// Page chrome that should never be counted as paper text
+const EXCLUDED_SELECTOR = [
+  "nav", "footer", "aside", "script", "style", "noscript", "template", "svg", "button", "form",
+  "[role='navigation']", "[role='contentinfo']", "[role='search']", "[aria-hidden='true']", "[hidden]"
+].join(",");
+
+const BLOCK_TAGS = new Set([
+  "P", "DIV", "SECTION", "LI", "TR", "BR", "TABLE", "FIGURE", "FIGCAPTION", "BLOCKQUOTE", "PRE", "DL", "DT", "DD", "UL", "OL"
+]);
+
+/**
+ * Splits an article container into canonical IMRaD sections.
+ * Headings drive the segmentation; section ids and publisher class names fill in
+ * sections that have no recognisable heading (abstracts often don't).
+ * @param {Element} root - The article container
+ * @param {string} headingSelector - Selector matching the site's section headings
+ * @param {Map<Element, string>} [placeholders] - Elements replaced by a short marker (e.g. parsed tables)
+ * @returns {{ sections: Object<string, string>, sectionOrder: string[], internalLinks: Array<Object> }}
+ *   Sections, their order, and the same-page links ("#id") found in each section
+ */
+function segmentArticle(root, headingSelector, placeholders = new Map()) {
+  const sections = {};
+  const sectionOrder = [];
+
+  const append = (key, text) => {
+    const cleaned = normalizeSectionText(text);
+    if (!cleaned) {
+      return;
+    }
+    if (!sections[key]) {
+      sections[key] = cleaned;
+      sectionOrder.push(key);
+    } else {
+      sections[key] += `\n\n${cleaned}`;
+    }
+  };
+
+  const internalLinks = [];
+  let current = null;
+  let buffer = [];
+
+  const flush = () => {
+    if (current && buffer.length) {
+      append(current.key, buffer.join(""));
+    }
+    buffer = [];
   };
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      if (node.nodeType === Node.ELEMENT_NODE && node.matches(EXCLUDED_SELECTOR)) {
+        return NodeFilter.FILTER_REJECT;
+      }
+      return NodeFilter.FILTER_ACCEPT;
+    }
+  });
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (current && !node.parentElement?.closest(headingSelector)) {
+        buffer.push(node.nodeValue);
+      }
+      continue;
+    }
+
+    if (placeholders.has(node)) {
+      if (current) {
+        buffer.push(`\n[${placeholders.get(node)}]\n`);
+      }
+      // Skip the element's contents: its text reaches the prompt in structured form instead
+      let last = node;
+      while (last.lastChild) {
+        last = last.lastChild;
+      }
+      walker.currentNode = last;
+      continue;
+    }
+
+    if (node.matches(headingSelector)) {
+      const level = getHeadingLevel(node);
+      const key = classifySectionHeading(node.textContent);
+
+      if (key) {
+        if (current?.key === key) {
+          continue; // e.g. "Study design" under "Methods"
+        }
+        if (current?.key === "abstract" && level > current.level) {
+          continue; // Structured abstract labels ("Methods", "Results") stay in the abstract
+        }
+        flush();
+        // A recognised subheading (e.g. "Conclusions" under "Discussion") inherits its parent's depth
+        current = { key, level: current && level > current.level ? current.level : level };
+      } else if (current && level <= current.level) {
+        // An unrelated heading at the same depth (e.g. "Figures", "Supplementary") closes the section
+        flush();
+        current = null;
+      }
+      continue;
+    }
+
+    // In-text citation markers are usually same-page links to the reference entry
+    const href = node.tagName === "A" ? node.getAttribute("href") || "" : "";
+    if (current && href.startsWith("#") && href.length > 1) {
+      internalLinks.push({ section: current.key, targetId: safeDecode(href.slice(1)), text: node.textContent.trim() });
+    }
+
+    if (current && BLOCK_TAGS.has(node.tagName)) {
+      buffer.push("\n");
+    }
+  }
+  flush();
+
+  fillSectionsFromContainers(root, sections, sectionOrder);
+
+  const title = (root.querySelector("h1")?.innerText || document.title || "").trim();
+  if (title) {
+    sections.title = title;
+    sectionOrder.push("title");
+  }
+
+  sectionOrder.sort((a, b) => SECTION_KEYS.indexOf(a) - SECTION_KEYS.indexOf(b));
+  return { sections, sectionOrder, internalLinks };
+}
+
+function fillSectionsFromContainers(root, sections, sectionOrder) {
+  const missing = Object.keys(SECTION_CONTAINER_TOKENS).filter((key) => !sections[key]);
+  if (!missing.length) {
+    return;
+  }
+
+  const candidates = root.querySelectorAll("section[id], section[class], div[id], div[class]");
+  for (const key of missing) {
+    const tokens = SECTION_CONTAINER_TOKENS[key];
+    for (const element of candidates) {
+      if (element.closest(EXCLUDED_SELECTOR)) {
+        continue;
+      }
+      const identifiers = `${element.id} ${element.getAttribute("class") || ""}`
+        .toLowerCase()
+        .split(/[^a-z]+/)
+        .filter(Boolean);
+      if (!identifiers.some((token) => tokens.includes(token))) {
+        continue;
+      }
+
+      const text = normalizeSectionText(element.innerText);
+      // Skip tiny matches such as a lone "Abstract" label or a nav link
+      if (text.length < 100) {
+        continue;
+      }
+
+      sections[key] = stripLeadingHeading(text, key);
+      sectionOrder.push(key);
+      break;
+    }
+  }
+}
+
+function classifySectionHeading(rawText) {
+  const text = (rawText || "")
+    .trim()
+    .replace(/^([0-9]+(\.[0-9]+)*|[IVX]+)[.)]?\s+/, "")
+    .replace(/[:.]$/, "");
+  if (!text || text.length > 80) {
+    return null;
+  }
+  const match = SECTION_HEADING_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.key : null;
+}
+
+function getHeadingLevel(element) {
+  const tagMatch = /^H([1-6])$/.exec(element.tagName);
+  if (tagMatch) {
+    return Number(tagMatch[1]);
+  }
+  const ariaLevel = Number(element.getAttribute("aria-level"));
+  return Number.isFinite(ariaLevel) && ariaLevel > 0 ? ariaLevel : 2;
+}
+
+function stripLeadingHeading(text, key) {
+  const [firstLine, ...rest] = text.split("\n");
+  return classifySectionHeading(firstLine) === key ? rest.join("\n").trim() : text;
+}
+
+function normalizeSectionText(text) {
+  return (text || "")
+    .replace(/[ \t\u00a0]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Table extraction
+// Each data table becomes an expanded grid: a cell spanning several rows/columns is repeated in
+// every slot it covers, and the original span is recorded so the side panel can rebuild it.
+const MAX_TABLES = 20;
+
+// Publisher wrappers that hold a table together with its label, caption and footnotes
+const TABLE_WRAPPER_SELECTOR = [
+  "figure", ".table-wrap", ".table-wrapper", ".table-container", ".tw", "[class*='table-wrap']"
+].join(",");
+
+const TABLE_CAPTION_SELECTOR = [
+  "figcaption", ".caption", ".table-caption", ".table-title", ".label", "h2", "h3", "h4", "h5", "h6"
+].join(",");
+
+const TABLE_FOOTNOTE_SELECTOR = [
+  ".table-foot", ".tw-foot", ".table-wrap-foot", ".table-footnotes", ".fn", "[class*='footnote']"
+].join(",");
+
+const TABLE_LABEL_PATTERN = /^((supplementary|supplemental|extended\s+data)\s+)?table\s+[a-z]?\d+[a-z]?\b/i;
+
+/**
+ * Parses the data tables inside an article container
+ * @param {Element} root - The article container
+ * @returns {{ items: Array<Object>, placeholders: Map<Element, string> }} Parsed tables, and the
+ *   element standing in for each one in the section text
+ */
+function extractTables(root) {
+  const items = [];
+  const placeholders = new Map();
+
+  for (const table of root.querySelectorAll("table")) {
+    if (items.length >= MAX_TABLES) {
+      break;
+    }
+    // Layout tables: nested tables, presentational markup and page chrome
+    if (table.parentElement?.closest("table") || table.closest(EXCLUDED_SELECTOR) ||
+        /^(presentation|none)$/i.test(table.getAttribute("role") || "")) {
+      continue;
+    }
+
+    const parsed = parseTable(table, items.length + 1);
+    if (!parsed) {
+      continue;
+    }
+
+    items.push(parsed.table);
+    placeholders.set(parsed.container, parsed.table.label);
+  }
+
+  return { items, placeholders };
+}
+
+function parseTable(table, index) {
+  const wrapper = table.parentElement?.closest(TABLE_WRAPPER_SELECTOR);
+  // A wrapper holding several tables is a section, not a table wrapper
+  const container = wrapper && wrapper.querySelectorAll("table").length === 1 ? wrapper : table;
+
+  const footRows = Array.from(table.tFoot?.rows || []);
+  const rows = Array.from(table.rows).filter((row) => !footRows.includes(row) && row.closest("table") === table);
+  const { grid, spans, columnCount } = buildTableGrid(rows);
+  if (grid.length < 2 || columnCount < 2) {
+    return null;
+  }
+
+  // Header rows: <thead>, or leading rows made only of <th> cells
+  let headerRowCount = table.tHead ? rows.filter((row) => row.parentElement === table.tHead).length : 0;
+  if (!headerRowCount) {
+    while (headerRowCount < rows.length - 1 &&
+           Array.from(rows[headerRowCount].cells).every((cell) => cell.tagName === "TH")) {
+      headerRowCount += 1;
+    }
+  }
+
+  const captionText = table.caption ? normalizeCellText(table.caption.innerText) : collectWrapperCaption(container, table);
+  const labelMatch = TABLE_LABEL_PATTERN.exec(captionText);
+  const label = labelMatch ? capitalizeFirst(labelMatch[0].replace(/\s+/g, " ")) : `Table ${index}`;
+  const caption = (labelMatch ? captionText.slice(labelMatch[0].length) : captionText).replace(/^[\s.:|–—-]+/, "");
+
+  const footnotes = [
+    ...footRows.map((row) => normalizeCellText(row.innerText)),
+    ...(container !== table
+      ? Array.from(container.querySelectorAll(TABLE_FOOTNOTE_SELECTOR))
+        .filter((element) => !table.contains(element) && !element.parentElement?.closest(TABLE_FOOTNOTE_SELECTOR))
+        .flatMap((element) => element.innerText.split("\n").map(normalizeCellText))
+      : [])
+  ].filter(Boolean);
+
+  const headerRows = grid.slice(0, headerRowCount);
+  const columns = Array.from({ length: columnCount }, (_, column) =>
+    headerRows
+      .map((row) => row[column])
+      .filter((text, rowIndex, texts) => text && text !== texts[rowIndex - 1])
+      .join(" / ")
+  );
+
+  return {
+    container,
+    table: {
+      id: table.id || container.id || `table-${index}`,
+      label,
+      caption,
+      columns: headerRows.length ? columns : [],
+      headerRows,
+      rows: grid.slice(headerRowCount),
+      // Spans index into headerRows followed by rows
+      spans,
+      footnotes
+    }
+  };
+}
+
+// PMC-style wrappers put the label ("Table 1.") and the caption in separate elements, so the
+// caption is every captioning element outside the table, in document order
+function collectWrapperCaption(container, table) {
+  if (container === table) {
+    return "";
+  }
+  const parts = Array.from(container.querySelectorAll(TABLE_CAPTION_SELECTOR))
+    .filter((element) => {
+      const outer = element.parentElement?.closest(TABLE_CAPTION_SELECTOR);
+      return !table.contains(element) && !(outer && container.contains(outer));
+    })
+    .map((element) => normalizeCellText(element.innerText))
+    .filter(Boolean);
+  // A label repeated at the start of the caption is kept once
+  return parts
+    .filter((text, index) => !parts.some((other, otherIndex) => otherIndex !== index && other.length > text.length && other.startsWith(text)))
+    .join(" ");
+}
+
+function buildTableGrid(rows) {
+  const grid = rows.map(() => []);
+  const spans = [];
+
+  rows.forEach((row, rowIndex) => {
+    let column = 0;
+    for (const cell of row.cells) {
+      while (grid[rowIndex][column] !== undefined) {
+        column += 1;
+      }
+      // rowspan="0" means "to the end of the table"
+      const rowSpan = Math.min(cell.rowSpan || rows.length - rowIndex, rows.length - rowIndex);
+      const colSpan = Math.min(Math.max(cell.colSpan || 1, 1), 100);
+      const text = normalizeCellText(cell.innerText);
+
+      for (let r = 0; r < rowSpan; r += 1) {
+        for (let c = 0; c < colSpan; c += 1) {
+          grid[rowIndex + r][column + c] = text;
+        }
+      }
+      if (rowSpan > 1 || colSpan > 1) {
+        spans.push({ row: rowIndex, column, rowSpan, colSpan });
+      }
+      column += colSpan;
+    }
+  });
+
+  const columnCount = Math.max(0, ...grid.map((row) => row.length));
+  return {
+    grid: grid.map((row) => Array.from({ length: columnCount }, (_, column) => row[column] ?? "")),
+    spans,
+    columnCount
+  };
+}
+
+function normalizeCellText(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+function capitalizeFirst(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Reference parsing
+// Entries come from the reference list elements when the page has them (so their ids and
+// DOI/PubMed links can be used), otherwise from the lines of the References section.
+const MAX_REFERENCES = 500;
+
+// "Surname AB, Surname C-D, et al." up to the full stop that ends the author list
+const VANCOUVER_AUTHORS_PATTERN = /^((?:[\p{L}'’ -]+?\s[A-Z]{1,4}(?:-[A-Z]{1,2})?,\s*)*[\p{L}'’ -]+?\s[A-Z]{1,4}(?:-[A-Z]{1,2})?(?:,?\s*et\s+al)?)\.\s+/u;
+
+// Bracketed numeric markers for pages without linked citations: "[3]", "[3, 7]", "[3-5]"
+const CITATION_MARKER_PATTERN = /\[(\d{1,4}(?:\s*[-–,]\s*\d{1,4})*)\]/g;
+
+/**
+ * Parses the reference list into structured entries
+ * @param {Element[]} elements - Reference entry elements matched by the adapter
+ * @param {string} [sectionText] - The References section text, used when no elements matched
+ * @returns {{ entries: Array<Object>, idIndex: Map<string, number> }} Parsed entries, and the
+ *   entry index for every element id inside an entry (targets of in-text citation links)
+ */
+function collectReferences(elements, sectionText = "") {
+  const idIndex = new Map();
+  const sources = elements.length
+    ? elements.map((element) => ({ element, text: normalizeCellText(element.innerText) }))
+    : (sectionText || "").split("\n").map((line) => ({ element: null, text: normalizeCellText(line) }));
+
+  const entries = sources
+    .filter(({ text }) => text.length >= 20)
+    .slice(0, MAX_REFERENCES)
+    .map(({ element, text }, index) => {
+      if (element) {
+        [element, ...element.querySelectorAll("[id]")].forEach((node) => {
+          if (node.id) {
+            idIndex.set(node.id, index);
+          }
+        });
+        // Anchors often sit on a wrapper just around the entry
+        const anchor = element.parentElement?.closest("[id]");
+        if (anchor && !idIndex.has(anchor.id) && anchor.querySelectorAll("li, .ref, .citation").length <= 1) {
+          idIndex.set(anchor.id, index);
+        }
+      }
+      return parseReference(text, index, element);
+    });
+
+  return { entries, idIndex };
+}
+
+function parseReference(text, index, element) {
+  const numberMatch = /^\[?(\d{1,4})[.)\]]?\s+/.exec(text);
+  const body = numberMatch ? text.slice(numberMatch[0].length) : text;
+  const links = element ? Array.from(element.querySelectorAll("a[href]"), (link) => safeDecode(link.href)) : [];
+
+  const doi = normalizeDoi([links.find((link) => /doi\.org\//i.test(link)), body]);
+  const pmid = (links.map((link) => /pubmed(?:\.ncbi\.nlm\.nih\.gov)?\/(\d{5,9})/i.exec(link)?.[1]).find(Boolean)) ||
+    /\bPMID:?\s*(\d{5,9})\b/i.exec(body)?.[1] || null;
+
+  // Author-date style: "Smith, J. A., & Doe, B. (2020). Title. Journal, 12(3), 45-67."
+  const authorDate = /^(.+?)\s*\((\d{4})[a-z]?\)[.,]?\s*(.*)$/.exec(body);
+  let authorsText;
+  let title;
+  let journal;
+  if (authorDate) {
+    authorsText = authorDate[1];
+    [title, journal] = splitReferenceParts(authorDate[3]);
+    journal = (journal || "").split(",")[0];
+  } else {
+    // Vancouver style: "Smith JA, Doe B. Title. N Engl J Med. 2020;382(1):1-10."
+    const authorList = VANCOUVER_AUTHORS_PATTERN.exec(body);
+    const parts = splitReferenceParts(authorList ? body.slice(authorList[0].length) : body);
+    authorsText = authorList ? authorList[1] : parts.shift();
+    [title, journal] = parts;
+    journal = (journal || "").replace(/\s*\b(1[89]|20)\d{2}\b.*$/, "");
+  }
+
+  return {
+    number: numberMatch ? Number(numberMatch[1]) : index + 1,
+    text: body,
+    authors: parseReferenceAuthors(authorsText),
+    title: cleanReferencePart(title),
+    journal: cleanReferencePart(journal),
+    year: authorDate ? Number(authorDate[2]) : extractYear(body),
+    doi,
+    pmid,
+    citedIn: []
+  };
+}
+
+function splitReferenceParts(text) {
+  return (text || "").split(/(?<=[.?!])\s+(?=[A-Z0-9"“[])/).map((part) => part.trim());
+}
+
+function parseReferenceAuthors(text) {
+  const cleaned = (text || "").replace(/,?\s*\bet\s+al\b\.?/i, "").trim();
+  if (!cleaned) {
+    return [];
+  }
+
+  // "Smith, J. A., & Doe, B." -> ["Smith JA", "Doe B"]
+  const inverted = Array.from(cleaned.matchAll(/([A-Z][\p{L}'’-]+(?:\s[A-Z][\p{L}'’-]+)*),\s*((?:[A-Z]\.\s*-?)+)/gu));
+  const authors = inverted.length
+    ? inverted.map((match) => `${match[1]} ${match[2].replace(/[.\s-]/g, "")}`)
+    : cleaned.split(/\s*(?:,|;|&|\band\b)\s*/);
+
+  return authors
+    .map((author) => author.replace(/\.$/, "").trim())
+    .filter((author) => author && author.length <= 60 && !/\d/.test(author));
+}
+
+function cleanReferencePart(text) {
+  return (text || "").replace(/[.\s]+$/, "").trim() || null;
+}
+
+/**
+ * Records which sections cite each reference (reference.citedIn)
+ * Linked citation markers are used when the page has them; otherwise bracketed numbers in the text.
+ * @param {{ entries: Array<Object>, idIndex: Map<string, number> }} references - Parsed references
+ * @param {Array<Object>} internalLinks - Same-page links collected during segmentation
+ * @param {Object<string, string>} sections - Segmented section text
+ */
+function linkCitations(references, internalLinks, sections) {
+  const { entries, idIndex } = references;
+  if (!entries.length) {
+    return;
+  }
+
+  const indexByNumber = new Map(entries.map((entry, index) => [entry.number, index]));
+  const cite = (index, section) => {
+    const entry = entries[index];
+    if (entry && !entry.citedIn.includes(section)) {
+      entry.citedIn.push(section);
+    }
+  };
+
+  let linked = 0;
+  internalLinks.forEach(({ section, targetId, text }) => {
+    const index = idIndex.get(targetId);
+    if (section === "references" || index === undefined) {
+      return;
+    }
+    linked += 1;
+    // A range such as "3–5" is often a single link to its first entry
+    const numbers = /^\[?\d+\s*[-–—]\s*\d+\]?$/.test(text) ? expandCitationNumbers(text) : [];
+    if (numbers.length) {
+      numbers.forEach((number) => cite(indexByNumber.get(number), section));
+    } else {
+      cite(index, section);
+    }
+  });
+
+  if (!linked) {
+    Object.entries(sections).forEach(([section, text]) => {
+      if (section === "references" || section === "title") {
+        return;
+      }
+      for (const match of text.matchAll(CITATION_MARKER_PATTERN)) {
+        expandCitationNumbers(match[1]).forEach((number) => cite(indexByNumber.get(number), section));
+      }
+    });
+  }
+
+  entries.forEach((entry) => {
+    entry.citedIn.sort((a, b) => SECTION_KEYS.indexOf(a) - SECTION_KEYS.indexOf(b));
+  });
+}
+
+function expandCitationNumbers(text) {
+  const numbers = [];
+  text.replace(/[[\]\s]/g, "").split(",").forEach((part) => {
+    const [start, end] = part.split(/[-–—]/).map(Number);
+    if (!Number.isFinite(start)) {
+      return;
+    }
+    // Guard against year ranges such as "2010-2020" being read as citations
+    const last = Number.isFinite(end) && end >= start && end - start <= 50 ? end : start;
+    for (let number = start; number <= last; number += 1) {
+      numbers.push(number);
+    }
+  });
+  return numbers;
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// Source highlighting
+// The side panel sends the passage a summary field was taken from. It is found again in the live
+// page word by word (innerText and the DOM's text nodes differ in whitespace) and marked with the
+// CSS Custom Highlight API, which leaves the page's markup untouched.
+const SOURCE_HIGHLIGHT_NAME = "medlit-source";
+
+const SOURCE_WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Leading or trailing words tried on their own when the whole passage is not on the page
+const SOURCE_ANCHOR_WORDS = 6;
+
+const SOURCE_SKIPPED_TAGS = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "TEXTAREA"]);
+
+/**
+ * Scrolls to a summary field's supporting passage and highlights it
+ * @param {Object} payload - Message payload
+ * @param {string} [payload.passage] - Passage as located in the snapshot text
+ * @param {string} [payload.quote] - The model's quote, used when no passage was located
+ * @param {number} [payload.position] - Relative offset (0–1) of the passage in the snapshot text,
+ *   used to choose between repeated occurrences
+ * @returns {{ found: boolean }} Whether the passage was found on the page
+ */
+function highlightSourcePassage({ passage, quote, position = 0 } = {}) {
+  const words = collectPageWords(document.body);
+  const match = [passage, quote]
+    .filter(Boolean)
+    .map((text) => findWordSequence(words, text, position))
+    .find(Boolean);
+
+  if (!match) {
+    return { found: false };
+  }
+
+  const range = document.createRange();
+  range.setStart(words[match.first].node, words[match.first].start);
+  range.setEnd(words[match.last].node, words[match.last].end);
+  showSourceRange(range);
+  return { found: true };
+}
+
+function collectPageWords(root) {
+  const words = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (SOURCE_SKIPPED_TAGS.has(node.parentElement?.tagName)
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT)
+  });
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    for (const match of node.data.matchAll(SOURCE_WORD_PATTERN)) {
+      words.push({ node, token: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return words;
+}
+
+function findWordSequence(words, text, position) {
+  const tokens = (text.match(SOURCE_WORD_PATTERN) || []).map((token) => token.toLowerCase());
+  if (!tokens.length || !words.length) {
+    return null;
+  }
+
+  // Whole passage first, then its opening or closing words stretched to the passage's length
+  const attempts = [{ tokens, lead: 0 }];
+  if (tokens.length > SOURCE_ANCHOR_WORDS * 2) {
+    attempts.push({ tokens: tokens.slice(0, SOURCE_ANCHOR_WORDS), lead: 0 });
+    attempts.push({ tokens: tokens.slice(-SOURCE_ANCHOR_WORDS), lead: tokens.length - SOURCE_ANCHOR_WORDS });
+  }
+
+  for (const attempt of attempts) {
+    const starts = findTokenRuns(words, attempt.tokens);
+    if (!starts.length) {
+      continue;
+    }
+    // Repeated passages: take the occurrence nearest to where the snapshot had it
+    const expected = position * words.length;
+    const start = starts.reduce((best, candidate) =>
+      (Math.abs(candidate - expected) < Math.abs(best - expected) ? candidate : best));
+    const first = Math.max(0, start - attempt.lead);
+    return { first, last: Math.min(words.length - 1, first + tokens.length - 1) };
+  }
+  return null;
+}
+
+function findTokenRuns(words, tokens) {
+  const starts = [];
+  for (let i = 0; i + tokens.length <= words.length; i += 1) {
+    if (tokens.every((token, offset) => words[i + offset].token === token)) {
+      starts.push(i);
+    }
+  }
+  return starts;
+}
+
+function showSourceRange(range) {
+  if (window.CSS?.highlights && typeof Highlight === "function") {
+    ensureSourceHighlightStyle();
+    CSS.highlights.set(SOURCE_HIGHLIGHT_NAME, new Highlight(range));
+    // The highlight stays until the reader clicks anywhere on the page
+    document.addEventListener("pointerdown", () => CSS.highlights.delete(SOURCE_HIGHLIGHT_NAME), { once: true });
+  } else {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  const anchor = range.startContainer.parentElement;
+  anchor?.scrollIntoView({ behavior: "smooth", block: "center" });
+}
+
+function ensureSourceHighlightStyle() {
+  if (document.getElementById("medlit-source-highlight-style")) {
+    return;
+  }
+  const style = document.createElement("style");
+  style.id = "medlit-source-highlight-style";
+  style.textContent = `::highlight(${SOURCE_HIGHLIGHT_NAME}) { background-color: #ffe066; color: #1a1a1a; }`;
+  (document.head || document.documentElement).appendChild(style);
 }
@@ -0,0 +1,202 @@
+// Publisher-specific extraction adapters
+// Loaded before contentScript.js (see manifest.json); content scripts share one global scope,
+// so this file only declares the registry and its lookup helper.
+//
+// Each selector field is a list tried in order; the first selector that matches wins.
+// `headings` is a single selector: every heading it matches is used for IMRaD segmentation.
+// Adding a site means adding one entry here - contentScript.js does not need to change.
+
+const GENERIC_ADAPTER = {
+  id: "generic",
+  name: "Generic (article element)",
+  hosts: [],
+  selectors: {
+    article: ["article", "main", "[role='main']"],
+    title: ["h1"],
+    abstract: [],
+    headings: "h1, h2, h3, h4, h5, h6, [role='heading']",
+    authors: [],
+    references: [
+      "ol.references > li", "ol.ref-list > li", ".ref-list li", "#references li", "section.references li", "#bibliography li"
+    ]
+  }
+};
+
+const SITE_ADAPTERS = [
+  {
+    id: "pubmed",
+    name: "PubMed",
+    hosts: ["pubmed.ncbi.nlm.nih.gov"],
+    selectors: {
+      article: ["main.article-details", "#article-details", ".article-details"],
+      title: ["h1.heading-title"],
+      abstract: ["#eng-abstract", "#abstract .abstract-content", "#abstract"],
+      headings: "h2, h3",
+      authors: [".authors-list .authors-list-item .full-name"],
+      references: ["#references .references-list > li", "#reference-list > li"]
+    }
+  },
+  {
+    id: "pmc",
+    name: "PubMed Central",
+    hosts: ["pmc.ncbi.nlm.nih.gov", "www.ncbi.nlm.nih.gov", "europepmc.org"],
+    pathPattern: /\/(pmc|article)\//i,
+    selectors: {
+      article: ["section.body.main-article-body", "main article", "#mc", ".jig-ncbiinpagenav", "article"],
+      title: ["h1.content-title", "h1"],
+      abstract: ["section.abstract", "#abstract1", "#Abs1", ".abstract"],
+      headings: "h2, h3, h4, .head",
+      authors: [".contrib-group .name", ".cg .name", ".contrib-group a[href*='author']"],
+      references: ["section.ref-list .ref-list-item", ".ref-list li", "#reference-list li", ".ref-cit-blk"]
+    }
+  },
+  {
+    id: "biorxiv",
+    name: "bioRxiv / medRxiv",
+    hosts: ["biorxiv.org", "medrxiv.org"],
+    selectors: {
+      article: [".article.fulltext-view", "div.fulltext-view", "#content-block"],
+      title: ["h1#page-title", "h1.highwire-cite-title"],
+      abstract: ["#abstract-1", "div.section.abstract", ".abstract"],
+      headings: "h2, h3",
+      authors: [".highwire-cite-authors .highwire-citation-author", ".highwire-citation-authors .highwire-citation-author"],
+      references: [".ref-list ol.cit-list > li", ".ref-list li"]
+    }
+  },
+  {
+    id: "nejm",
+    name: "NEJM",
+    hosts: ["nejm.org"],
+    selectors: {
+      article: ["#article_body", ".o-article-body", "article"],
+      title: ["h1.title_default", "h1"],
+      abstract: ["section#abstract", "#article_abstract", ".o-article-body__section--abstract"],
+      headings: "h2, h3",
+      authors: [".m-article-header__authors a", ".core-authors .heading"],
+      references: ["#article_references li", "section#bibliography .citation", ".m-references__item"]
+    }
+  },
+  {
+    id: "lancet",
+    name: "The Lancet",
+    hosts: ["thelancet.com"],
+    selectors: {
+      article: [".article__body", ".article__sections", "article"],
+      title: ["h1.article-header__title", "h1"],
+      abstract: ["section#abstracts", "div.abstract", ".section-paragraph--abstract"],
+      headings: "h2, h3, .section-title",
+      authors: [".loa__author-name", ".article-header__authors a"],
+      references: [".references li", "ol.ref-list li"]
+    }
+  },
+  {
+    id: "jama",
+    name: "JAMA Network",
+    hosts: ["jamanetwork.com"],
+    selectors: {
+      article: [".article-full-text", "#ArticleContent", "article"],
+      title: ["h1.meta-article-title", "h1"],
+      abstract: [".abstract", ".article-abstract"],
+      headings: "h2, h3, h4",
+      authors: [".meta-authors-list .meta-author", ".wi-authors .linked-name"],
+      references: [".references .reference", ".reference-content"]
+    }
+  },
+  {
+    id: "bmj",
+    name: "The BMJ",
+    hosts: ["bmj.com"],
+    selectors: {
+      article: [".article.fulltext-view", "div.fulltext-view", "article"],
+      title: ["h1#page-title", "h1.highwire-cite-title", "h1"],
+      abstract: ["div.section.abstract", ".abstract"],
+      headings: "h2, h3",
+      authors: [".highwire-citation-authors .highwire-citation-author", ".highwire-cite-authors .name"],
+      references: [".ref-list ol.cit-list > li", ".ref-list li"]
+    }
+  },
+  {
+    id: "wiley",
+    name: "Wiley Online Library",
+    hosts: ["onlinelibrary.wiley.com"],
+    selectors: {
+      article: ["article", ".article__body", "section.article-section__full"],
+      title: ["h1.citation__title", "h1"],
+      abstract: ["section.article-section__abstract", ".article-section__abstract"],
+      headings: "h2, h3, .article-section__title, .article-section__sub-title",
+      authors: [".loa-authors .author-name", ".accordion-tabbed__tab-mobile .author-name"],
+      references: ["section.article-section__references li", "#references-section li", "ul.rlist.separator li"]
+    }
+  },
+  {
+    id: "elsevier",
+    name: "Elsevier ScienceDirect",
+    hosts: ["sciencedirect.com"],
+    selectors: {
+      article: ["article", "#body", ".Body"],
+      title: ["h1#screen-reader-main-title", "h1 span.title-text", "h1"],
+      abstract: ["div.abstract.author", ".Abstracts .abstract", "#abstracts"],
+      headings: "h2, h3, .section-title",
+      authors: ["#author-group .react-xocs-alternative-link", ".author-group .button-link-text"],
+      references: ["section.bibliography .reference", ".bibliography li", ".references dd"]
+    }
+  }
+];
+
+/**
+ * Finds the adapter registered for a page location
+ * A host entry matches the hostname itself and any of its subdomains.
+ * @param {Location|URL} location - The page location
+ * @returns {Object} The matching site adapter, or the generic adapter
+ */
+function findSiteAdapter(location) {
+  const hostname = (location?.hostname || "").toLowerCase();
+  const pathname = location?.pathname || "";
+
+  const adapter = SITE_ADAPTERS.find((candidate) => {
+    const hostMatches = candidate.hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`));
+    return hostMatches && (!candidate.pathPattern || candidate.pathPattern.test(pathname));
+  });
+
+  return adapter || GENERIC_ADAPTER;
+}
+
+/**
+ * Returns the first element matched by a prioritized selector list
+ * @param {ParentNode} root - Element or document to query
+ * @param {string[]} selectors - Selectors tried in order
+ * @returns {{ element: Element, selector: string }|null} First match and the selector that produced it
+ */
+function queryFirstSelector(root, selectors = []) {
+  for (const selector of selectors) {
+    try {
+      const element = root.querySelector(selector);
+      if (element) {
+        return { element, selector };
+      }
+    } catch (error) {
+      console.debug("MedLit: invalid adapter selector", selector, error);
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns all elements matched by the first selector in the list that matches anything
+ * @param {ParentNode} root - Element or document to query
+ * @param {string[]} selectors - Selectors tried in order
+ * @returns {{ elements: Element[], selector: string }|null} Matches and the selector that produced them
+ */
+function queryAllFirstSelector(root, selectors = []) {
+  for (const selector of selectors) {
+    try {
+      const elements = Array.from(root.querySelectorAll(selector));
+      if (elements.length) {
+        return { elements, selector };
+      }
+    } catch (error) {
+      console.debug("MedLit: invalid adapter selector", selector, error);
+    }
+  }
+  return null;
+}
@@ -0,0 +1,88 @@
+/**
+ * Maximum number of authors listed before "et al." (Vancouver style)
+ * @constant {number}
+ */
+const MAX_LISTED_AUTHORS = 6;
+
+/**
+ * Formats an author list Vancouver-style, truncating long lists with "et al."
+ * @param {string[]} [authors=[]] - Author names as harvested from the page
+ * @returns {string} Comma-separated author list
+ */
+export function formatAuthorList(authors = []) {
+  const names = Array.isArray(authors) ? authors.filter(Boolean) : [];
+  if (names.length <= MAX_LISTED_AUTHORS) {
+    return names.join(", ");
+  }
+  return `${names.slice(0, MAX_LISTED_AUTHORS).join(", ")}, et al.`;
+}
+
+/**
+ * Formats a normalized citation record as a single-line reference
+ * e.g. "Doe J, Roe J. Title. N Engl J Med. 2021;384(9):801-812. doi:10.1056/x. PMID: 123."
+ * @param {Object} citation - Citation record from the document snapshot (meta.citation)
+ * @returns {string} Formatted citation, or an empty string when there is nothing to format
+ */
+export function formatCitation(citation) {
+  if (!citation) {
+    return "";
+  }
+
+  const volumeIssue = [
+    citation.volume || "",
+    citation.issue ? `(${citation.issue})` : ""
+  ].join("");
+  const locator = [
+    citation.year ? String(citation.year) : "",
+    volumeIssue ? `;${volumeIssue}` : "",
+    citation.pages ? `:${citation.pages}` : ""
+  ].join("");
+
+  const parts = [
+    formatAuthorList(citation.authors),
+    citation.title,
+    citation.journal,
+    locator,
+    citation.doi ? `doi:${citation.doi}` : "",
+    citation.pmid ? `PMID: ${citation.pmid}` : "",
+    citation.pmcid ? `PMCID: ${citation.pmcid}` : ""
+  ]
+    .map((part) => String(part || "").trim().replace(/\.$/, ""))
+    .filter(Boolean);
+
+  // Titles ending in "?" or "!" keep their own punctuation
+  return parts.length ? `${parts.join(". ")}.`.replace(/([?!])\./g, "$1") : "";
+}
+
+/**
+ * Builds resolver links for the identifiers present on a citation record
+ * @param {Object} citation - Citation record from the document snapshot (meta.citation)
+ * @returns {Array<{label: string, url: string}>} Links for DOI, PubMed and PMC
+ */
+export function getCitationLinks(citation) {
+  if (!citation) {
+    return [];
+  }
+
+  return [
+    citation.doi && { label: `DOI ${citation.doi}`, url: `https://doi.org/${citation.doi}` },
+    citation.pmid && { label: `PMID ${citation.pmid}`, url: `https://pubmed.ncbi.nlm.nih.gov/${citation.pmid}/` },
+    citation.pmcid && { label: citation.pmcid, url: `https://pmc.ncbi.nlm.nih.gov/articles/${citation.pmcid}/` }
+  ].filter(Boolean);
+}
+
+/**
+ * Formats a parsed reference-list entry
+ * Falls back to the entry text as printed when its fields could not be parsed.
+ * @param {Object} reference - Parsed reference from the document snapshot (article.references)
+ * @returns {string} Formatted reference
+ */
+export function formatReference(reference) {
+  if (!reference) {
+    return "";
+  }
+  if (reference.title && (reference.authors?.length || reference.journal)) {
+    return formatCitation(reference);
+  }
+  return reference.text || "";
+}
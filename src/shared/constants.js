@@ -17,6 +17,8 @@ export const MESSAGE_TYPES = {
   REQUEST_LAST_SELECTION: "medlit:request-last-selection",
   GET_DOCUMENT_CONTENTS: "medlit:get-document-contents",
   GET_LAST_SELECTION: "medlit:get-last-selection",
+  REQUEST_SOURCE_HIGHLIGHT: "medlit:request-source-highlight",
+  HIGHLIGHT_SOURCE: "medlit:highlight-source",
   CONTEXT_SUMMARIZE: "medlit:context-summarize",
   CONTEXT_METHODOLOGY: "medlit:context-methodology",
   CONTEXT_SIMPLIFY: "medlit:context-simplify",
@@ -39,6 +41,7 @@ export const ERROR_MESSAGES = {
   NO_TEXT_PROVIDED: "No text provided",
   UNABLE_TO_ACCESS_CONTENT: "Unable to access page content. Make sure MedLit is allowed on this site.",
   UNABLE_TO_READ_SELECTION: "Unable to read selection. Try reloading the page.",
+  UNABLE_TO_HIGHLIGHT_SOURCE: "Unable to show the source on the page. Try reloading the page.",
   EXTENSION_MESSAGING_FAILED: "Extension messaging failed."
 };
 
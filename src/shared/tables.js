@@ -0,0 +1,57 @@
+/**
+ * Maximum number of body rows serialized per table
+ * @constant {number}
+ */
+const MAX_SERIALIZED_ROWS = 40;
+
+/**
+ * Formats a table's display label, e.g. "Table 1 – Baseline characteristics"
+ * @param {Object} table - Parsed table from the document snapshot (article.tables)
+ * @returns {string} Label followed by the caption, when there is one
+ */
+export function formatTableLabel(table) {
+  if (!table) {
+    return "";
+  }
+  return table.caption ? `${table.label} – ${table.caption}` : table.label || "";
+}
+
+/**
+ * Serializes a parsed table as compact pipe-separated text for prompts
+ * Multi-row headers are collapsed into one label per column ("Drug X / n").
+ * @param {Object} table - Parsed table from the document snapshot (article.tables)
+ * @returns {string} Label line, header line, one line per row, then footnotes
+ */
+export function serializeTable(table) {
+  if (!table?.rows?.length) {
+    return "";
+  }
+
+  const lines = [`${formatTableLabel(table)}`];
+  if (table.columns?.length) {
+    lines.push(table.columns.join(" | "));
+  }
+  table.rows.slice(0, MAX_SERIALIZED_ROWS).forEach((row) => {
+    lines.push(row.join(" | "));
+  });
+  if (table.rows.length > MAX_SERIALIZED_ROWS) {
+    lines.push(`… ${table.rows.length - MAX_SERIALIZED_ROWS} more rows`);
+  }
+  if (table.footnotes?.length) {
+    lines.push(`Notes: ${table.footnotes.join(" ")}`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Serializes every table on a snapshot, separated by blank lines
+ * @param {Array<Object>} [tables=[]] - Parsed tables from the document snapshot
+ * @returns {string} Serialized tables
+ */
+export function serializeTables(tables = []) {
+  return (Array.isArray(tables) ? tables : [])
+    .map((table) => serializeTable(table))
+    .filter(Boolean)
+    .join("\n\n");
+}
@@ -1,21 +1,30 @@
 import {
   buildKeyPointsExport,
+  detectStudyType,
   evaluateMethodology,
   generateStructuredSummary,
   simplifyMedicalText,
   translateToEnglish,
-  createAISession
+  createAISession,
+  measureTextTokens,
+  promptWithStreaming,
+  isAbortError
 } from "../ai/aiClient.js";
 import {
   renderStructuredSummary,
   renderMethodology,
   renderSimplification,
+  renderSimplificationProgress,
   renderTranslation,
   renderInfo,
   renderLoading,
-  renderError
+  renderError,
+  renderMarkdown
 } from "./render.js";
+import { rateLevelOfEvidence } from "../ai/appraisal/cebm.js";
 import { sendRuntimeMessage } from "../shared/messaging.js";
+import { formatCitation, formatReference } from "../shared/citation.js";
+import { extractPdfDocument, fetchPdfBytes, isPdfFile } from "./pdfExtractor.js";
 import { MESSAGE_TYPES, MESSAGE_SOURCE } from "../shared/constants.js";
 
 const statusEl = document.getElementById("statusMessage");
@@ -33,6 +42,7 @@ const clearChatBtn = document.getElementById("clearChatBtn");
 const appState = {
   lastDocument: null,
   summary: null,
+  classification: null, // Study type classification made for the methodology panel when there is no summary
   methodology: null,
   simplifications: [],
   translations: [],
@@ -41,6 +51,8 @@ const appState = {
 };
 
 const busyFlags = new Set();
+// AbortController for each running operation, keyed like busyFlags
+const abortControllers = new Map();
 
 document.getElementById("generateSummaryBtn").addEventListener("click", () => {
   void handleGenerateSummary({ forceRefresh: true });
@@ -67,6 +79,36 @@ clearChatBtn.addEventListener("click", () => {
   handleClearChat();
 });
 
+// PDF drag & drop onto the side panel
+document.addEventListener("dragover", (e) => {
+  if (!e.dataTransfer?.types?.includes("Files")) {
+    return;
+  }
+  e.preventDefault();
+  document.body.classList.add("drop-active");
+});
+
+document.addEventListener("dragleave", (e) => {
+  if (!e.relatedTarget) {
+    document.body.classList.remove("drop-active");
+  }
+});
+
+document.addEventListener("drop", (e) => {
+  e.preventDefault();
+  document.body.classList.remove("drop-active");
+  const file = Array.from(e.dataTransfer?.files || []).find(isPdfFile);
+  if (!file) {
+    updateStatus("Only PDF files can be dropped here.");
+    return;
+  }
+  void handlePdfDrop(file);
+});
+
+document.getElementById("assessMethodologyBtn").addEventListener("click", () => {
+  void processMethodology();
+});
+
 document.getElementById("clearMethodologyBtn").addEventListener("click", () => {
   handleClearMethodology();
 });
@@ -86,6 +128,7 @@ const exportModalOverlay = document.getElementById("exportModalOverlay");
 const exportAllCheckbox = document.getElementById("exportAll");
 const sectionCheckboxes = [
   document.getElementById("exportSummary"),
+  document.getElementById("exportReferences"),
   document.getElementById("exportMethodology"),
   document.getElementById("exportSimplification"),
   document.getElementById("exportTranslation"),
@@ -209,7 +252,8 @@ async function processSummaryFromSelection(text) {
   }
 
   setBusy("summary", true);
-  renderLoading(picoOutputEl, "Generating summary from selection…");
+  const signal = createOperationSignal("summary");
+  renderLoading(picoOutputEl, "Generating summary from selection…", () => cancelOperation("summary"));
   updateStatus("Analyzing selected text with Chrome AI…");
 
   try {
@@ -225,15 +269,25 @@ async function processSummaryFromSelection(text) {
       }
     };
     
-    const summary = await generateStructuredSummary(documentSnapshot);
+    const summary = await generateStructuredSummary(documentSnapshot, { signal });
     appState.summary = summary;
-    renderStructuredSummary(picoOutputEl, summary);
+    // A selection carries no page identity, so an assessment of any page would grade it
+    if (appState.methodology) {
+      clearMethodology();
+    }
+    updateLevelOfEvidence();
+    renderStructuredSummary(picoOutputEl, summary, { onShowSource: showSourcePassage });
     
     // Enable chat after summary is generated
     enableChat(summary, documentSnapshot);
     
     updateStatus("Summary from selection ready.");
   } catch (error) {
+    if (isAbortError(error)) {
+      renderInfo(picoOutputEl, "Summary cancelled.");
+      updateStatus("Summary cancelled.");
+      return;
+    }
     console.error("MedLit summary from selection error", error);
     renderError(picoOutputEl, error.message || "Unable to generate summary from selection.");
     updateStatus("Summary failed");
@@ -248,38 +302,30 @@ async function handleGenerateSummary({ forceRefresh }) {
   }
 
   setBusy("summary", true);
-  renderLoading(picoOutputEl, "Generating structured summary…");
+  const signal = createOperationSignal("summary");
+  renderLoading(picoOutputEl, "Generating structured summary…", () => cancelOperation("summary"));
   updateStatus("Collecting document and running Chrome AI…");
 
   try {
     const documentSnapshot = await getDocumentSnapshot(forceRefresh);
-    const summary = await generateStructuredSummary(documentSnapshot);
+    signal.throwIfAborted();
+    updateStatus("Running Chrome AI…");
+    const summary = await generateStructuredSummary(documentSnapshot, { signal });
     appState.summary = summary;
+    updateLevelOfEvidence();
     
-    // Check if it's a PDF with poor text extraction - show banner AFTER rendering summary
-    const isPDF = documentSnapshot?.meta?.url?.toLowerCase().endsWith('.pdf');
-    const hasMinimalTitle = !documentSnapshot?.meta?.title || 
-                           documentSnapshot.meta.title.toLowerCase().endsWith('.pdf') ||
-                           documentSnapshot.meta.title.length < 20;
-    
-    renderStructuredSummary(picoOutputEl, summary);
+    renderStructuredSummary(picoOutputEl, summary, { onShowSource: showSourcePassage });
     
     // Enable chat after summary is generated
     enableChat(summary, documentSnapshot);
     
-    // Show PDF notice for ALL PDFs (text extraction is always limited)
-    if (isPDF) {
-      const pdfBanner = `
-        <div style="margin: 1em 0; padding: 1em; background: #1e293b; border-left: 4px solid #3b82f6; border-radius: 4px; color: #e2e8f0;">
-          <p style="margin: 0 0 0.5em 0; font-weight: 600; color: #93c5fd;">📄 PDF Classification Note</p>
-          <p style="margin: 0; font-size: 0.9em; line-height: 1.5;">Chrome's PDF viewer has limited text extraction capabilities. For the most accurate classification, use the <strong>context menu</strong> after selecting all text (Ctrl+A), or view the paper on the journal's website.</p>
-        </div>
-      `;
-      picoOutputEl.insertAdjacentHTML('afterbegin', pdfBanner);
-    }
-    
     updateStatus(summary.source === "fallback" ? "Summary ready (fallback mode)." : "Summary ready.");
   } catch (error) {
+    if (isAbortError(error)) {
+      renderInfo(picoOutputEl, "Summary cancelled.");
+      updateStatus("Summary cancelled.");
+      return;
+    }
     console.error("MedLit summary error", error);
     renderError(picoOutputEl, error.message || "Unable to produce summary.");
     updateStatus("Summary failed");
@@ -294,17 +340,31 @@ async function processMethodology(methodsText) {
   }
 
   setBusy("methodology", true);
-  renderLoading(methodologyOutputEl, "Scanning methodology using Chrome AI…");
+  const signal = createOperationSignal("methodology");
+  renderLoading(methodologyOutputEl, "Scanning methodology using Chrome AI…", () => cancelOperation("methodology"));
   updateStatus("Evaluating methodology rigor…");
 
   try {
     const documentSnapshot = await getDocumentSnapshot(false);
+    signal.throwIfAborted();
     const fullText = documentSnapshot?.article?.textContent ?? "";
-    const result = await evaluateMethodology({ methodsText, fullText });
+    const sections = documentSnapshot?.article?.sections;
+    const tables = documentSnapshot?.article?.tables;
+    const studyType = await getStudyType(documentSnapshot, signal);
+    const extraction = appState.summary?.data;
+    const extractionSources = appState.summary?.grounding?.sources;
+    const mode = document.getElementById("methodologyTool")?.value || "auto";
+    const result = await evaluateMethodology({ methodsText, fullText, sections, tables, studyType, mode, extraction, extractionSources, signal });
     appState.methodology = result;
     renderMethodology(methodologyOutputEl, result);
+    refreshLevelOfEvidence();
     updateStatus(result.source === "fallback" ? "Methodology preview ready (fallback)." : "Methodology assessment ready.");
   } catch (error) {
+    if (isAbortError(error)) {
+      renderInfo(methodologyOutputEl, "Methodology assessment cancelled.");
+      updateStatus("Methodology assessment cancelled.");
+      return;
+    }
     console.error("MedLit methodology error", error);
     renderError(methodologyOutputEl, error.message || "Unable to analyze methodology.");
     updateStatus("Methodology scan failed");
@@ -313,19 +373,58 @@ async function processMethodology(methodsText) {
   }
 }
 
+function updateLevelOfEvidence() {
+  // The level comes from the summary's classification, graded down for the methodology assessment
+  if (!appState.summary?.data) {
+    return;
+  }
+  const classification = appState.summary.classification?.data;
+  appState.summary.evidenceLevel = rateLevelOfEvidence({
+    studyType: appState.summary.data.studyType || classification?.studyType,
+    questionType: classification?.questionType,
+    methodology: appState.methodology
+  });
+}
+
+function refreshLevelOfEvidence() {
+  if (!appState.summary?.data) {
+    return;
+  }
+  updateLevelOfEvidence();
+  renderStructuredSummary(picoOutputEl, appState.summary, { onShowSource: showSourcePassage });
+}
+
+async function getStudyType(documentSnapshot, signal) {
+  // The summary's classification decides the appraisal tool; classify separately only without one
+  if (appState.summary?.data?.studyType) {
+    return appState.summary.data.studyType;
+  }
+  if (!appState.classification) {
+    appState.classification = await detectStudyType(documentSnapshot, { signal });
+  }
+  return appState.classification?.data?.studyType || null;
+}
+
 async function processSimplification(text) {
   if (isBusy("simplification")) {
     return;
   }
 
   setBusy("simplification", true);
-  renderLoading(simplifierOutputEl, "Simplifying language…");
+  const signal = createOperationSignal("simplification");
+  const onCancel = () => cancelOperation("simplification");
+  renderLoading(simplifierOutputEl, "Simplifying language…", onCancel);
   updateStatus("Simplifying with Chrome AI…");
 
+  const tone = document.getElementById("simplifierTone")?.value || "more-casual";
+  const length = document.getElementById("simplifierLength")?.value || "as-is";
+  const showProgress = throttleToFrame((partial) => {
+    renderSimplificationProgress(simplifierOutputEl, partial, { tone, length, onCancel });
+  });
+
   try {
-    const tone = document.getElementById("simplifierTone")?.value || "more-casual";
-    const length = document.getElementById("simplifierLength")?.value || "as-is";
-    const result = await simplifyMedicalText(text, { tone, length });
+    const result = await simplifyMedicalText(text, { tone, length, onChunk: showProgress, signal });
+    showProgress.cancel();
     appState.simplifications.unshift(result);
     renderSimplification(simplifierOutputEl, result);
     updateStatus(
@@ -334,6 +433,12 @@ async function processSimplification(text) {
         : "Simplified excerpt ready."
     );
   } catch (error) {
+    showProgress.cancel();
+    if (isAbortError(error)) {
+      renderInfo(simplifierOutputEl, "Simplification cancelled.");
+      updateStatus("Simplification cancelled.");
+      return;
+    }
     console.error("MedLit simplification error", error);
     renderError(simplifierOutputEl, error.message || "Unable to simplify text.");
     updateStatus("Simplification failed");
@@ -348,11 +453,12 @@ async function processTranslation(text, detectedLanguage) {
   }
 
   setBusy("translation", true);
-  renderLoading(translationOutputEl, "Translating to English…");
+  const signal = createOperationSignal("translation");
+  renderLoading(translationOutputEl, "Translating to English…", () => cancelOperation("translation"));
   updateStatus("Translating selection via Chrome AI…");
 
   try {
-    const result = await translateToEnglish(text, detectedLanguage);
+    const result = await translateToEnglish(text, detectedLanguage, { signal });
     appState.translations.unshift(result);
     renderTranslation(translationOutputEl, result);
     updateStatus(
@@ -361,6 +467,11 @@ async function processTranslation(text, detectedLanguage) {
         : "Translation ready."
     );
   } catch (error) {
+    if (isAbortError(error)) {
+      renderInfo(translationOutputEl, "Translation cancelled.");
+      updateStatus("Translation cancelled.");
+      return;
+    }
     console.error("MedLit translation error", error);
     renderError(translationOutputEl, error.message || "Unable to translate selection.");
     updateStatus("Translation failed");
@@ -369,6 +480,36 @@ async function processTranslation(text, detectedLanguage) {
   }
 }
 
+async function showSourcePassage(source) {
+  if (!source) {
+    return;
+  }
+
+  // PDFs have no page to scroll; the quote itself is all we can show
+  if (!appState.summary?.grounding?.pageLinked) {
+    updateStatus(`Source: “${source.quote}”`);
+    return;
+  }
+
+  const { textLength } = appState.summary.grounding;
+  try {
+    const response = await sendRuntimeMessage(MESSAGE_TYPES.REQUEST_SOURCE_HIGHLIGHT, {
+      passage: source.passage,
+      quote: source.quote,
+      position: source.start !== null && textLength ? source.start / textLength : 0
+    });
+    if (!response?.ok) {
+      throw new Error(response?.error || "Unable to show the source on the page.");
+    }
+    updateStatus(response.highlight?.found
+      ? "Source highlighted on the page."
+      : `Source not found on the page: “${source.quote}”`);
+  } catch (error) {
+    console.error("MedLit source highlight error", error);
+    updateStatus(error.message || "Unable to show the source on the page.");
+  }
+}
+
 async function getDocumentSnapshot(forceRefresh) {
   if (!forceRefresh && appState.lastDocument) {
     return appState.lastDocument;
@@ -378,8 +519,49 @@ async function getDocumentSnapshot(forceRefresh) {
   if (!response?.ok) {
     throw new Error(response?.error || "Unable to access current tab.");
   }
-  appState.lastDocument = response.document;
-  return response.document;
+
+  let documentSnapshot = response.document;
+  if (documentSnapshot?.pdf) {
+    // The service worker hands PDFs back to us: fetch and parse them with pdf.js
+    updateStatus("Extracting text from PDF…");
+    const data = await fetchPdfBytes(documentSnapshot.pdf.url);
+    documentSnapshot = await extractPdfDocument(data, documentSnapshot.pdf);
+  }
+
+  setLastDocument(documentSnapshot);
+  return documentSnapshot;
+}
+
+function setLastDocument(documentSnapshot) {
+  // A page read again keeps its assessment; that of another document would grade this one's level
+  // of evidence (dropped PDFs have no URL and always count as another document)
+  const url = documentSnapshot?.meta?.url;
+  if (appState.methodology && !(url && url === appState.lastDocument?.meta?.url)) {
+    clearMethodology();
+  }
+  appState.lastDocument = documentSnapshot;
+  appState.classification = null;
+}
+
+async function handlePdfDrop(file) {
+  if (isBusy("summary")) {
+    return;
+  }
+
+  renderLoading(picoOutputEl, `Reading ${file.name}…`);
+  updateStatus("Extracting text from PDF…");
+
+  try {
+    const data = await file.arrayBuffer();
+    setLastDocument(await extractPdfDocument(data, { title: file.name }));
+  } catch (error) {
+    console.error("MedLit PDF extraction error", error);
+    renderError(picoOutputEl, error.message || "Unable to read PDF.");
+    updateStatus("PDF extraction failed");
+    return;
+  }
+
+  await handleGenerateSummary({ forceRefresh: false });
 }
 
 // Utility functions
@@ -393,14 +575,30 @@ function setBusy(key, flag) {
     busyFlags.add(key);
   } else {
     busyFlags.delete(key);
+    abortControllers.delete(key);
   }
 }
 
+/**
+ * Creates the abort signal for a busy operation
+ * @param {string} key - Busy flag key ("summary", "chat", …)
+ * @returns {AbortSignal} Signal aborted by cancelOperation(key)
+ */
+function createOperationSignal(key) {
+  const controller = new AbortController();
+  abortControllers.set(key, controller);
+  return controller.signal;
+}
+
+function cancelOperation(key) {
+  abortControllers.get(key)?.abort();
+}
+
 function updateStatus(message) {
   statusEl.textContent = message;
 }
 
-function summaryToMarkdown(data) {
+function summaryToMarkdown(data, evidenceLevel) {
   if (!data) {
     return "";
   }
@@ -417,6 +615,7 @@ function summaryToMarkdown(data) {
     "# Study Summary",
     data.studyType ? `- **Study Type:** ${data.studyType}` : null,
     data.framework ? `- **Framework:** ${data.framework}` : null,
+    evidenceLevel ? `- **Level of Evidence (OCEBM 2011):** ${levelOfEvidenceToMarkdown(evidenceLevel)}` : null,
     `- **Design:** ${data.studyDesign?.type || "Unknown"}`,
     `- **Setting:** ${data.studyDesign?.setting || "Unknown"}`,
     `- **Period:** ${data.studyDesign?.studyPeriod || "Unknown"}`,
@@ -447,6 +646,12 @@ function summaryToMarkdown(data) {
   return lines.join("\n");
 }
 
+function levelOfEvidenceToMarkdown(evidenceLevel) {
+  const gradedDown = evidenceLevel.level !== evidenceLevel.baseLevel ? `, graded down from level ${evidenceLevel.baseLevel}` : "";
+  const reasons = evidenceLevel.downgrades.length ? ` (${evidenceLevel.downgrades.join("; ")})` : "";
+  return `Level ${evidenceLevel.level} — ${evidenceLevel.questionType}${gradedDown}${reasons}`;
+}
+
 // Chat functions
 
 function enableChat(summary, documentSnapshot) {
@@ -457,7 +662,7 @@ function enableChat(summary, documentSnapshot) {
   // Store the context for chat
   appState.chatContext = {
     type: "summary",
-    summary: summaryToMarkdown(summary.data),
+    summary: summaryToMarkdown(summary.data, summary.evidenceLevel),
     fullText: documentSnapshot?.article?.textContent || "",
     meta: documentSnapshot?.meta || {}
   };
@@ -490,8 +695,8 @@ function setChatContextFromSelection(text) {
   
   // Determine context size and warning level
   const charCount = text.length;
-  const recommendedMax = 2000; // ~500 tokens (conservative estimate: 4 chars per token)
-  const warningThreshold = 4000; // ~1000 tokens
+  const recommendedMax = 2000;
+  const warningThreshold = 4000;
   
   let statusColor = "#3b82f6"; // Blue - good
   let statusIcon = "📝";
@@ -512,17 +717,39 @@ function setChatContextFromSelection(text) {
   chatMessagesEl.innerHTML = `
     <div style="padding: 0.75em; margin-bottom: 0.5em; background: color-mix(in srgb, ${statusColor} 15%, transparent); border: 1px solid color-mix(in srgb, ${statusColor} 30%, transparent); border-radius: 8px; font-size: 13px;">
       <strong>${statusIcon} Chat context set</strong><br>
-      <span style="color: color-mix(in srgb, CanvasText 70%, transparent);">Selected text loaded: <strong>${charCount.toLocaleString()} characters</strong> (~${Math.round(charCount / 4)} tokens)</span>
+      <span style="color: color-mix(in srgb, CanvasText 70%, transparent);">Selected text loaded: <strong>${charCount.toLocaleString()} characters</strong> <span data-chat-token-count>(counting tokens…)</span></span>
       ${warningMessage}
     </div>
   `;
   
   updateStatus(`Chat context loaded (${charCount} chars).`);
+  showChatContextTokens(text);
   
   // Focus the input
   chatInput.focus();
 }
 
+/**
+ * Replaces the banner's token placeholder with the count measured by the model
+ * @param {string} text - The chat context text
+ */
+async function showChatContextTokens(text) {
+  const measured = await measureTextTokens(text).catch(() => null);
+  const target = chatMessagesEl.querySelector("[data-chat-token-count]");
+  // The context may have changed while the model was measuring
+  if (!target || appState.chatContext?.selectedText !== text) {
+    return;
+  }
+  if (!measured) {
+    target.textContent = "";
+    return;
+  }
+  const count = `${measured.estimated ? "~" : ""}${measured.tokens.toLocaleString()}`;
+  target.textContent = measured.quota
+    ? `(${count} of ${measured.quota.toLocaleString()} tokens)`
+    : `(${count} tokens)`;
+}
+
 async function handleChatSubmit() {
   const question = chatInput.value.trim();
   if (!question || !appState.chatContext) {
@@ -546,17 +773,20 @@ async function handleChatSubmit() {
   
   updateStatus("Processing question with Chrome AI…");
   
+  const signal = createOperationSignal("chat");
+  addChatCancelButton(loadingId, () => cancelOperation("chat"));
+  
+  // Stream the answer into the "Thinking..." bubble as it arrives
+  const showPartialAnswer = throttleToFrame((partial) => updateChatMessage(loadingId, partial));
+  
   try {
-    const answer = await askQuestion(question, appState.chatContext, appState.chatHistory);
-    
-    // Remove loading message
-    const loadingEl = document.querySelector(`[data-message-id="${loadingId}"]`);
-    if (loadingEl) {
-      loadingEl.remove();
-    }
-    
-    // Add assistant response
-    addChatMessage("assistant", answer);
+    const answer = await askQuestion(question, appState.chatContext, appState.chatHistory, {
+      onChunk: showPartialAnswer,
+      signal
+    });
+    showPartialAnswer.cancel();
+    updateChatMessage(loadingId, answer);
+    chatMessagesEl.querySelector(`[data-message-id="${loadingId}"] .cancel-btn`)?.remove();
     
     // Store in history
     appState.chatHistory.push(
@@ -566,7 +796,7 @@ async function handleChatSubmit() {
     
     updateStatus("Answer ready.");
   } catch (error) {
-    console.error("MedLit chat error", error);
+    showPartialAnswer.cancel();
     
     // Remove loading message
     const loadingEl = document.querySelector(`[data-message-id="${loadingId}"]`);
@@ -574,6 +804,13 @@ async function handleChatSubmit() {
       loadingEl.remove();
     }
     
+    if (isAbortError(error)) {
+      updateStatus("Question cancelled.");
+      return;
+    }
+    
+    console.error("MedLit chat error", error);
+    
     addChatMessage("assistant", `Error: ${error.message || "Unable to process question."}`, false, true);
     updateStatus("Question failed");
   } finally {
@@ -596,19 +833,28 @@ function handleClearChat() {
 
 function handleClearSummary() {
   appState.summary = null;
-  appState.lastDocument = null;
+  setLastDocument(null);
   picoOutputEl.classList.add("empty-state");
   picoOutputEl.innerHTML = `
     <p><strong>Option 1:</strong> Click "Generate Study Summary" above to analyze the full page.</p>
-    <p><strong>Option 2 (Recommended for PDFs):</strong> Highlight text, right-click → "Summarize from selection".</p>
+    <p><strong>Option 2:</strong> Highlight text, right-click → "Summarize from selection".</p>
+    <p><strong>PDFs:</strong> Open the PDF in a tab and click "Generate Study Summary", or drop a PDF file onto this panel.</p>
   `;
   updateStatus("Summary cleared.");
 }
 
-function handleClearMethodology() {
+function clearMethodology() {
   appState.methodology = null;
   methodologyOutputEl.classList.add("empty-state");
-  methodologyOutputEl.innerHTML = `<p>Highlight a methods section in the paper, right-click → "Assess methodology from selection".</p>`;
+  methodologyOutputEl.innerHTML = `
+    <p><strong>Option 1:</strong> Highlight a methods section in the paper, right-click → "Assess methodology from selection".</p>
+    <p><strong>Option 2:</strong> Choose a reporting audit (CARE, CONSORT, PRISMA) or GRADE, then click "Assess paper" to assess the full paper.</p>
+  `;
+}
+
+function handleClearMethodology() {
+  clearMethodology();
+  refreshLevelOfEvidence();
   updateStatus("Methodology assessment cleared.");
 }
 
@@ -671,6 +917,7 @@ async function exportAsJson(sections) {
   const exportData = {
     exportedAt: new Date().toISOString(),
     format: "json",
+    citation: getCurrentCitation(),
     sections: {}
   };
   
@@ -680,13 +927,26 @@ async function exportAsJson(sections) {
         if (appState.summary?.data) {
           exportData.sections.summary = {
             ...appState.summary.data,
-            meta: appState.lastDocument?.meta || {}
+            meta: appState.lastDocument?.meta || {},
+            ...(appState.summary.evidenceLevel ? { evidenceLevel: appState.summary.evidenceLevel } : {}),
+            ...(appState.summary.chunking ? { chunking: appState.summary.chunking } : {}),
+            ...(appState.summary.numericCheck ? { numericCheck: appState.summary.numericCheck } : {})
           };
         }
         break;
+      case "references": {
+        const references = getCurrentReferences();
+        if (references.length > 0) {
+          exportData.sections.references = references;
+        }
+        break;
+      }
       case "methodology":
         if (appState.methodology?.data) {
-          exportData.sections.methodology = appState.methodology.data;
+          exportData.sections.methodology = {
+            ...appState.methodology.data,
+            ...(appState.methodology.numericCheck ? { numericCheck: appState.methodology.numericCheck } : {})
+          };
         }
         break;
       case "simplification":
@@ -716,6 +976,10 @@ async function exportAsJson(sections) {
 async function exportAsMarkdown(sections) {
   let markdown = `# MedLit Export\n\n`;
   markdown += `**Exported:** ${new Date().toLocaleString()}\n\n`;
+  const citation = formatCitation(getCurrentCitation());
+  if (citation) {
+    markdown += `**Citation:** ${citation}\n\n`;
+  }
   markdown += `---\n\n`;
   
   for (const section of sections) {
@@ -723,14 +987,30 @@ async function exportAsMarkdown(sections) {
       case "summary":
         if (appState.summary?.data) {
           markdown += `## Study Summary\n\n`;
-          markdown += summaryToMarkdown(appState.summary.data);
+          markdown += summaryToMarkdown(appState.summary.data, appState.summary.evidenceLevel);
+          markdown += unverifiedNumbersToMarkdown(appState.summary.numericCheck);
           markdown += `\n\n---\n\n`;
         }
         break;
+      case "references": {
+        const references = getCurrentReferences();
+        if (references.length > 0) {
+          markdown += `## References\n\n`;
+          references.forEach((reference) => {
+            const citedIn = reference.citedIn?.length
+              ? ` _(cited in: ${reference.citedIn.map((key) => key.charAt(0).toUpperCase() + key.slice(1)).join(", ")})_`
+              : "";
+            markdown += `${reference.number}. ${formatReference(reference)}${citedIn}\n`;
+          });
+          markdown += `\n---\n\n`;
+        }
+        break;
+      }
       case "methodology":
         if (appState.methodology?.data) {
           markdown += `## Methodology Assessment\n\n`;
           markdown += methodologyToMarkdown(appState.methodology.data);
+          markdown += unverifiedNumbersToMarkdown(appState.methodology.numericCheck);
           markdown += `\n\n---\n\n`;
         }
         break;
@@ -781,7 +1061,19 @@ async function exportAsMarkdown(sections) {
   downloadFile(blob, `medlit-export-${Date.now()}.md`);
 }
 
+function getCurrentCitation() {
+  return appState.summary?.citation || appState.lastDocument?.meta?.citation || null;
+}
+
+function getCurrentReferences() {
+  return appState.summary?.references || appState.lastDocument?.article?.references || [];
+}
+
 function methodologyToMarkdown(data) {
+  if (data.tool) {
+    return appraisalToMarkdown(data);
+  }
+
   let md = `**Overall Quality Score:** ${data.overallQualityScore || 0}/100\n\n`;
   
   if (data.researchQuestionClarity) {
@@ -823,6 +1115,125 @@ function methodologyToMarkdown(data) {
   return md;
 }
 
+function appraisalToMarkdown(data) {
+  if (data.items) {
+    return checklistToMarkdown(data);
+  }
+  if (data.outcomes) {
+    return gradeToMarkdown(data);
+  }
+
+  let md = `**Tool:** ${data.toolName}\n`;
+  if (data.outcome) {
+    md += `**Result assessed:** ${data.outcome}\n`;
+  }
+  // QUADAS-2 judges applicability next to risk of bias
+  if (data.overall.applicability) {
+    md += `\n| Domain | Risk of bias | Applicability concerns |\n| --- | --- | --- |\n`;
+    data.domains.forEach((domain) => {
+      md += `| ${domain.id}. ${domain.name} | ${domain.judgement} | ${domain.applicability?.judgement || "—"} |\n`;
+    });
+    md += `| **Overall** | **${data.overall.judgement}** | **${data.overall.applicability.judgement}** |\n\n`;
+  } else {
+    md += `\n| Domain | Judgement |\n| --- | --- |\n`;
+    data.domains.forEach((domain) => {
+      md += `| ${domain.id}. ${domain.name} | ${domain.judgement} |\n`;
+    });
+    md += `| **Overall** | **${data.overall.judgement}** |\n\n`;
+  }
+  data.overall.notes?.forEach((note) => {
+    md += `> ${note}\n\n`;
+  });
+
+  data.domains.forEach((domain) => {
+    md += `### ${domain.id}. ${domain.name}: ${domain.judgement}\n`;
+    domain.questions.forEach((question) => {
+      const quote = question.quote ? ` — “${question.quote}”${question.quoteFound === false ? " _(quote not found in the paper)_" : ""}` : "";
+      md += `- ${question.id} ${question.text} **${question.answer}**${quote}\n`;
+    });
+    if (domain.rationale) {
+      md += `\n${domain.rationale}\n`;
+    }
+    md += `\n`;
+  });
+  return md;
+}
+
+function checklistToMarkdown(data) {
+  let md = `**Tool:** ${data.toolName}\n**${data.overallLabel || "Overall"}:** ${data.overall.judgement}\n\n`;
+  if (data.overall.criticalFlaws?.length) {
+    md += `- **Critical flaws:** items ${data.overall.criticalFlaws.join(", ")}\n`;
+  }
+  if (data.overall.weaknesses?.length) {
+    md += `- **Non-critical weaknesses:** items ${data.overall.weaknesses.join(", ")}\n`;
+  }
+  if (data.overall.score) {
+    const { value, max, unit } = data.overall.score;
+    const subscores = (data.overall.subscores || []).map(({ name, value: subscore, max: subMax }) => `${name} ${subscore}/${subMax}`);
+    md += `- **Total:** ${value}/${max}${unit ? ` ${unit}` : ""}${subscores.length ? ` (${subscores.join(", ")})` : ""}\n`;
+  }
+  if (data.overall.completeness) {
+    const { percent, reported, partial, notReported, notApplicable, total } = data.overall.completeness;
+    md += `- **Completeness:** ${percent}% (${reported} reported, ${partial} partially, ${notReported} not reported${notApplicable ? `, ${notApplicable} not applicable` : ""} of ${total} items)\n`;
+  }
+  data.overall.notes?.forEach((note) => {
+    md += `\n> ${note}\n`;
+  });
+
+  const cell = (text) => String(text || "").replace(/\|/g, "\\|").replace(/\s+/g, " ");
+  // Star-rated tools (NOS) get a Stars column; AMSTAR 2 marks its critical domains
+  const rated = data.items.some((item) => item.maxPoints !== undefined);
+  // Reporting audits (CARE, CONSORT) export the supporting quote and where in the paper it was found
+  const audit = Boolean(data.overall.completeness);
+  const headings = ["#", "Item", "Answer", ...(rated ? ["Stars"] : []), ...(audit ? ["Quote", "Location"] : []), "Justification"];
+  md += `\n| ${headings.join(" | ")} |\n|${" --- |".repeat(headings.length)}\n`;
+  data.items.forEach((item) => {
+    const stars = rated ? ` ${item.points}/${item.maxPoints} |` : "";
+    const evidence = audit ? ` ${cell(item.quote)} | ${cell(item.location)} |` : "";
+    md += `| ${item.id}${item.critical ? " †" : ""} | ${cell(item.section ? `${item.section}: ${item.text}` : item.text)} | ${cell(item.answer)} |${stars}${evidence} ${cell(item.justification)} |\n`;
+  });
+  if (data.items.some((item) => item.critical)) {
+    md += `\n† critical domain\n`;
+  }
+  return md;
+}
+
+function gradeToMarkdown(data) {
+  const cell = (text) => String(text || "—").replace(/\|/g, "\\|").replace(/\s+/g, " ");
+  let md = `**Tool:** ${data.toolName}\n**${data.overallLabel}:** ${data.overall.judgement}\n\n`;
+
+  // Summary of Findings table
+  md += `| Outcome | Effect | Participants (studies) | Certainty | Reasons |\n| --- | --- | --- | --- | --- |\n`;
+  data.outcomes.forEach((outcome) => {
+    const reasons = outcome.reasons.length ? outcome.reasons.join("; ") : `Not rated down (${outcome.design.toLowerCase()})`;
+    md += `| ${cell(`${outcome.name} (${outcome.importance.toLowerCase()})`)} | ${cell(outcome.effect)} | ${cell(outcome.participants)} | ${outcome.judgement} | ${cell(reasons)} |\n`;
+  });
+  data.overall.notes?.forEach((note) => {
+    md += `\n> ${note}\n`;
+  });
+
+  data.outcomes.forEach((outcome) => {
+    md += `\n### ${outcome.name}: ${outcome.judgement}\n`;
+    md += `- ${outcome.design}: starts at ${outcome.start}\n`;
+    outcome.factors.forEach((factor) => {
+      md += `- ${factor.name}: **${factor.answer}**${factor.reason ? ` — ${factor.reason}` : ""}\n`;
+    });
+  });
+  return md;
+}
+
+function unverifiedNumbersToMarkdown(numericCheck) {
+  if (!numericCheck?.unverified?.length) {
+    return "";
+  }
+
+  let md = `\n\n**⚠️ Unverified numbers** (${numericCheck.unverified.length} of ${numericCheck.checked} not found in the paper text):\n`;
+  numericCheck.unverified.forEach(({ path, number, value }) => {
+    md += `- \`${path}\`: ${number}${value !== number ? ` (in “${value}”)` : ""} — _unverified_\n`;
+  });
+  return md;
+}
+
 function downloadFile(blob, filename) {
   const url = URL.createObjectURL(blob);
   const anchor = document.createElement("a");
@@ -855,7 +1266,7 @@ function addChatMessage(role, content, isLoading = false, isError = false) {
   
   // Render markdown for assistant messages, plain text for user messages
   if (role === "assistant" && !isLoading) {
-    text.innerHTML = marked.parse(content);
+    text.innerHTML = renderMarkdown(content);
   } else {
     text.textContent = content;
   }
@@ -877,7 +1288,65 @@ function addChatMessage(role, content, isLoading = false, isError = false) {
   return messageId;
 }
 
-async function askQuestion(question, context, history) {
+/**
+ * Adds a Cancel button to a pending chat message
+ * @param {string} messageId - ID returned by addChatMessage
+ * @param {Function} onCancel - Called when the button is clicked
+ */
+function addChatCancelButton(messageId, onCancel) {
+  const messageEl = chatMessagesEl.querySelector(`[data-message-id="${messageId}"]`);
+  if (!messageEl) {
+    return;
+  }
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "ghost cancel-btn";
+  button.textContent = "Cancel";
+  button.addEventListener("click", onCancel, { once: true });
+  messageEl.appendChild(button);
+}
+
+/**
+ * Replaces the content of a chat message (used while an answer streams in)
+ * @param {string} messageId - ID returned by addChatMessage
+ * @param {string} content - Markdown content so far
+ */
+function updateChatMessage(messageId, content) {
+  const messageEl = chatMessagesEl.querySelector(`[data-message-id="${messageId}"]`);
+  if (!messageEl) {
+    return;
+  }
+  messageEl.classList.remove("chat-message-loading");
+  messageEl.querySelector(".chat-message-text").innerHTML = renderMarkdown(content);
+  messageEl.scrollIntoView({ block: "end" });
+}
+
+/**
+ * Wraps a render function so it runs at most once per animation frame, with the latest arguments
+ * Streaming can deliver many chunks per frame; re-parsing Markdown for each one is wasted work.
+ * @param {Function} render - Render function
+ * @returns {Function} Throttled function with a cancel() method for dropping a pending render
+ */
+function throttleToFrame(render) {
+  let frame = 0;
+  let latestArgs = [];
+  const throttled = (...args) => {
+    latestArgs = args;
+    if (!frame) {
+      frame = requestAnimationFrame(() => {
+        frame = 0;
+        render(...latestArgs);
+      });
+    }
+  };
+  throttled.cancel = () => {
+    cancelAnimationFrame(frame);
+    frame = 0;
+  };
+  return throttled;
+}
+
+async function askQuestion(question, context, history, { onChunk, signal } = {}) {
   // Build context prompt based on context type
   let contextPrompt;
   
@@ -915,7 +1384,8 @@ Provide clear, accurate answers based on the content above. Reference specific d
   const session = await createAISession({
     systemPrompt: contextPrompt,
     temperature: 0.4,
-    topK: 12
+    topK: 12,
+    signal
   });
   
   if (!session) {
@@ -938,7 +1408,7 @@ Provide clear, accurate answers based on the content above. Reference specific d
     
     prompt += `User: ${question}\nAssistant:`;
     
-    const response = await session.prompt(prompt);
+    const response = await promptWithStreaming(session, prompt, { onChunk, signal });
     
     // Log token usage for debugging (optional)
     if (session.inputUsage !== undefined && session.inputQuota !== undefined) {
@@ -947,6 +1417,9 @@ Provide clear, accurate answers based on the content above. Reference specific d
     
     return response.trim();
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     console.error("Error asking question:", error);
     throw new Error(error.message || "Failed to get answer from AI.");
   } finally {
@@ -0,0 +1,328 @@
+/**
+ * PDF text extraction for the MedLit side panel
+ * Turns a PDF (active tab or dropped file) into the same { meta, article } snapshot
+ * shape the content script produces for HTML pages.
+ */
+
+import * as pdfjsLib from "./lib/pdf.min.mjs";
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL("./lib/pdf.worker.min.mjs", import.meta.url).href;
+
+/**
+ * Section headings recognised on their own line (mirrors the content script's IMRaD patterns)
+ * @constant {Array<{key: string, pattern: RegExp}>}
+ */
+const PDF_SECTION_PATTERNS = [
+  { key: "abstract", pattern: /^(structured\s+)?(abstract|summary)$/i },
+  { key: "introduction", pattern: /^(introduction|background|rationale)$/i },
+  { key: "methods", pattern: /^(materials?\s+(and|&)\s+methods|patients\s+(and|&)\s+methods|methods?|methodology|study\s+design|experimental\s+procedures)$/i },
+  { key: "results", pattern: /^(results|findings)(\s+(and|&)\s+discussion)?$/i },
+  { key: "discussion", pattern: /^(discussion|comment)$/i },
+  { key: "conclusions", pattern: /^(conclusions?|interpretation|concluding\s+remarks)$/i },
+  { key: "references", pattern: /^(references|bibliography|literature\s+cited|works\s+cited)$/i },
+  { key: "acknowledgements", pattern: /^(acknowledge?ments?|funding|conflicts?\s+of\s+interest|competing\s+interests|disclosures?|author\s+contributions)$/i }
+];
+
+const SECTION_KEYS = [
+  "title", "abstract", "introduction", "methods", "results", "discussion", "conclusions", "references", "acknowledgements"
+];
+
+/**
+ * Minimum number and share of rows with text on both sides of the page midline
+ * before a page is treated as two-column
+ * @constant {number}
+ */
+const MIN_SPLIT_ROWS = 3;
+const MIN_SPLIT_ROW_SHARE = 0.3;
+
+/**
+ * Checks whether a dropped file is a PDF
+ * @param {File} file - The file to check
+ * @returns {boolean} True for PDF files
+ */
+export function isPdfFile(file) {
+  return Boolean(file) && (file.type === "application/pdf" || /\.pdf$/i.test(file.name || ""));
+}
+
+/**
+ * Downloads the bytes of a PDF
+ * @param {string} url - The PDF URL (usually the active tab's URL)
+ * @returns {Promise<ArrayBuffer>} The PDF bytes
+ * @throws {Error} If the PDF cannot be downloaded
+ */
+export async function fetchPdfBytes(url) {
+  let response;
+  try {
+    response = await fetch(url, { credentials: "include" });
+  } catch (error) {
+    const hint = url?.startsWith("file:")
+      ? " Enable \"Allow access to file URLs\" for MedLit in chrome://extensions."
+      : "";
+    throw new Error(`Unable to download the PDF.${hint}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`Unable to download the PDF (HTTP ${response.status}).`);
+  }
+  return response.arrayBuffer();
+}
+
+/**
+ * Extracts text from a PDF and builds a document snapshot
+ * @param {ArrayBuffer|Uint8Array} data - The PDF bytes
+ * @param {Object} [source={}] - Where the PDF came from
+ * @param {string} [source.url] - The PDF URL, if it came from a tab
+ * @param {string} [source.title] - The tab title or file name
+ * @returns {Promise<Object>} Document snapshot ({ meta, article, extraction })
+ * @throws {Error} If the PDF cannot be parsed or has no text layer
+ */
+export async function extractPdfDocument(data, source = {}) {
+  const loadingTask = pdfjsLib.getDocument({
+    data: data instanceof Uint8Array ? data : new Uint8Array(data),
+    isEvalSupported: false
+  });
+
+  const pdf = await loadingTask.promise;
+  try {
+    const pages = [];
+    let twoColumnPages = 0;
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+      const page = await pdf.getPage(pageNumber);
+      const { lines, text, twoColumn } = await extractPageText(page);
+      pages.push({ pageNumber, lines, text });
+      if (twoColumn) {
+        twoColumnPages += 1;
+      }
+      page.cleanup();
+    }
+
+    const textContent = pages.map((page) => page.text).filter(Boolean).join("\n\n");
+    if (!textContent.trim()) {
+      throw new Error("This PDF has no extractable text layer (it may be a scanned image).");
+    }
+
+    const info = (await pdf.getMetadata().catch(() => null))?.info || {};
+    const { sections, sectionOrder } = segmentPlainText(textContent);
+
+    const title = pickTitle(info.Title, pages[0]?.lines) || source.title || "";
+    if (title) {
+      sections.title = title;
+      sectionOrder.unshift("title");
+    }
+
+    const authors = info.Author ? info.Author.split(/\s*;\s*|\s+and\s+/).filter(Boolean) : [];
+    const doi = /\b(10\.\d{4,9}\/[^\s"<>]+)/.exec(pages[0]?.text || "")?.[1]?.replace(/[.,;)]$/, "") || null;
+
+    return {
+      meta: {
+        url: source.url || "",
+        title,
+        metaDescription: info.Subject || "",
+        metaKeywords: info.Keywords || "",
+        ...(title || doi ? { citation: { title: title || null, authors, doi, sources: ["pdf"] } } : {})
+      },
+      article: {
+        textContent,
+        htmlContent: "",
+        sections,
+        sectionOrder,
+        authors
+      },
+      extraction: {
+        adapter: "pdf",
+        adapterName: "PDF (pdf.js)",
+        container: source.url ? "tab" : "file",
+        usedGenericContainer: false,
+        pageCount: pdf.numPages,
+        twoColumnPages
+      }
+    };
+  } finally {
+    await loadingTask.destroy();
+  }
+}
+
+/**
+ * Rebuilds the reading order of one page
+ * Items are grouped into lines by baseline. On two-column pages, full-width lines
+ * (titles, wide tables) act as separators: the left column is read before the right
+ * column between each pair of separators.
+ * @param {Object} page - pdf.js page proxy
+ * @returns {Promise<{lines: Array<Object>, text: string, twoColumn: boolean}>} Ordered lines and page text
+ * @private
+ */
+async function extractPageText(page) {
+  const viewport = page.getViewport({ scale: 1 });
+  const content = await page.getTextContent();
+  const midline = viewport.width / 2;
+
+  const items = content.items
+    .filter((item) => typeof item.str === "string" && item.str.length > 0)
+    .map((item) => ({
+      str: item.str,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width,
+      height: item.height || Math.abs(item.transform[3]) || 10
+    }));
+
+  const rows = groupIntoRows(items);
+  const crossesGutter = (item) => item.x < midline && item.x + item.width > midline;
+
+  // A row is "split" when it holds text on both sides of the midline and nothing bridges it
+  const splitRows = rows.filter((row) =>
+    !row.some(crossesGutter) &&
+    row.some((item) => item.x + item.width <= midline) &&
+    row.some((item) => item.x >= midline)
+  ).length;
+  const twoColumn = splitRows >= Math.max(MIN_SPLIT_ROWS, rows.length * MIN_SPLIT_ROW_SHARE);
+
+  const ordered = [];
+
+  if (!twoColumn) {
+    rows.forEach((row) => ordered.push(buildLine(row)));
+  } else {
+    let leftColumn = [];
+    let rightColumn = [];
+    const flushColumns = () => {
+      ordered.push(...leftColumn, ...rightColumn);
+      leftColumn = [];
+      rightColumn = [];
+    };
+
+    rows.forEach((row) => {
+      if (row.some(crossesGutter)) {
+        flushColumns();
+        ordered.push(buildLine(row));
+        return;
+      }
+      const left = row.filter((item) => item.x < midline);
+      const right = row.filter((item) => item.x >= midline);
+      if (left.length) leftColumn.push(buildLine(left));
+      if (right.length) rightColumn.push(buildLine(right));
+    });
+    flushColumns();
+  }
+
+  const lines = ordered.filter((line) => line.text);
+  const text = lines
+    .map((line) => line.text)
+    .join("\n")
+    // Re-join words hyphenated across line breaks
+    .replace(/([a-z])-\n(?=[a-z])/g, "$1");
+
+  return { lines, text, twoColumn };
+}
+
+function groupIntoRows(items) {
+  const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+  const rows = [];
+
+  sorted.forEach((item) => {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - item.y) <= Math.max(2, Math.min(row.height, item.height) * 0.5)) {
+      row.items.push(item);
+    } else {
+      rows.push({ y: item.y, height: item.height, items: [item] });
+    }
+  });
+
+  return rows.map((row) => row.items.sort((a, b) => a.x - b.x));
+}
+
+function buildLine(items) {
+  let text = "";
+  let previousEnd = null;
+
+  items.forEach((item) => {
+    const gap = previousEnd === null ? 0 : item.x - previousEnd;
+    if (text && gap > item.height * 0.15 && !text.endsWith(" ") && !item.str.startsWith(" ")) {
+      text += " ";
+    }
+    text += item.str;
+    previousEnd = item.x + item.width;
+  });
+
+  return {
+    text: text.replace(/\s+/g, " ").trim(),
+    height: Math.max(...items.map((item) => item.height))
+  };
+}
+
+function pickTitle(infoTitle, firstPageLines = []) {
+  const cleanedInfoTitle = (infoTitle || "").trim();
+  // Producers often leave file names or placeholders in the Title field
+  if (cleanedInfoTitle.length > 15 && !/\.(pdf|docx?|tex)$/i.test(cleanedInfoTitle) && !/^untitled/i.test(cleanedInfoTitle)) {
+    return cleanedInfoTitle;
+  }
+
+  // Otherwise use the run of largest-font lines near the top of the first page
+  const candidates = firstPageLines.slice(0, 30);
+  if (!candidates.length) {
+    return "";
+  }
+  const largest = Math.max(...candidates.map((line) => line.height));
+  const startIndex = candidates.findIndex((line) => line.height === largest);
+  const titleLines = [];
+  for (let index = startIndex; index < candidates.length && candidates[index].height >= largest * 0.9; index += 1) {
+    titleLines.push(candidates[index].text);
+  }
+  return titleLines.join(" ").slice(0, 300);
+}
+
+/**
+ * Splits plain text into IMRaD sections using stand-alone heading lines
+ * @param {string} text - Page text in reading order
+ * @returns {{ sections: Object<string, string>, sectionOrder: string[] }}
+ * @private
+ */
+function segmentPlainText(text) {
+  const sections = {};
+  const sectionOrder = [];
+  let currentKey = null;
+  let buffer = [];
+
+  const flush = () => {
+    const body = buffer.join("\n").trim();
+    if (currentKey && body) {
+      if (sections[currentKey]) {
+        sections[currentKey] += `\n\n${body}`;
+      } else {
+        sections[currentKey] = body;
+        sectionOrder.push(currentKey);
+      }
+    }
+    buffer = [];
+  };
+
+  text.split("\n").forEach((line) => {
+    const trimmed = line.trim();
+    const heading = trimmed
+      .replace(/^([0-9]+(\.[0-9]+)*|[IVX]+)[.)]?\s+/, "")
+      .replace(/[:.]$/, "");
+    const match = trimmed.length <= 60 && PDF_SECTION_PATTERNS.find(({ pattern }) => pattern.test(heading));
+
+    if (match) {
+      if (match.key !== currentKey) {
+        flush();
+        currentKey = match.key;
+      }
+      return;
+    }
+
+    // Inline abstract label, e.g. "Abstract Background: ..."
+    const inlineAbstract = !currentKey && /^(abstract|summary)\b[\s:.—-]+(.+)$/i.exec(trimmed);
+    if (inlineAbstract) {
+      currentKey = "abstract";
+      buffer.push(inlineAbstract[2]);
+      return;
+    }
+
+    buffer.push(trimmed);
+  });
+  flush();
+
+  sectionOrder.sort((a, b) => SECTION_KEYS.indexOf(a) - SECTION_KEYS.indexOf(b));
+  return { sections, sectionOrder };
+}
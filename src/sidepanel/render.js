@@ -2,12 +2,19 @@
  * Rendering utilities for the MedLit side panel
  */
 
+import { formatCitation, formatReference, getCitationLinks } from "../shared/citation.js";
+import { formatTableLabel } from "../shared/tables.js";
+
 /**
  * Renders a structured summary result
+ * Values with a supporting quote (result.grounding) are clickable and hand the quote to onShowSource;
+ * values holding a number not found in the paper (result.numericCheck) are flagged "unverified".
  * @param {HTMLElement} target - The target element to render into
  * @param {Object} result - The summary result object
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onShowSource] - Called with the grounded quote of a clicked value
  */
-export function renderStructuredSummary(target, result) {
+export function renderStructuredSummary(target, result, { onShowSource } = {}) {
   // Handle error state from fallbacks (AI unavailable)
   if (result?.error || result?.source === "error") {
     renderAIUnavailableError(target, result);
@@ -20,12 +27,17 @@ export function renderStructuredSummary(target, result) {
   }
 
   const classification = normalizeClassification(result);
+  const annotations = {
+    sources: result.grounding?.sources || [],
+    unverified: result.numericCheck?.unverified || []
+  };
 
   const sections = [
     classification && {
       title: "Study Classification",
       entries: [
-        ["Study Type", classification.studyType],
+        ["Study Type", renderStudyTypeBadges(classification.studyType, result.evidenceLevel)],
+        result.evidenceLevel && ["Level of Evidence", renderLevelOfEvidence(result.evidenceLevel)],
         ["Framework", classification.framework],
         classification.confidence != null && ["Classifier Confidence", `${Math.round(classification.confidence * 100)}%`],
         classification.reasons?.length > 0 && [
@@ -37,10 +49,10 @@ export function renderStructuredSummary(target, result) {
     {
       title: "Study Design",
       entries: [
-        ["Type", result.data.studyDesign?.type || classification?.studyType],
-        ["Setting", result.data.studyDesign?.setting],
-        ["Period", result.data.studyDesign?.studyPeriod],
-        ["Registration", sanitizePlaceholder(result.data.studyDesign?.registrationID) || "Not listed"]
+        ["Type", result.data.studyDesign?.type || classification?.studyType, "studyDesign.type"],
+        ["Setting", result.data.studyDesign?.setting, "studyDesign.setting"],
+        ["Period", result.data.studyDesign?.studyPeriod, "studyDesign.studyPeriod"],
+        ["Registration", sanitizePlaceholder(result.data.studyDesign?.registrationID) || "Not listed", "studyDesign.registrationID"]
       ]
     },
     {
@@ -48,75 +60,92 @@ export function renderStructuredSummary(target, result) {
       entries: [
         [
           "Sample Size",
-          formatSampleSize(result.data.population?.sampleSize)
+          formatSampleSize(result.data.population?.sampleSize),
+          "population.sampleSize"
         ],
-        ["Demographics", summarizeDemographics(result.data.population?.demographics)],
+        ["Demographics", summarizeDemographics(result.data.population?.demographics), "population.demographics"],
         [
           "Inclusion Criteria",
           arrayDefinitionValue(result.data.population?.inclusionCriteria, "Not specified", {
             bullet: true
-          })
+          }),
+          "population.inclusionCriteria"
         ],
         [
           "Exclusion Criteria",
           arrayDefinitionValue(result.data.population?.exclusionCriteria, "Not specified", {
             bullet: true
-          })
+          }),
+          "population.exclusionCriteria"
         ]
       ]
     },
     {
       title: "Intervention & Comparison",
       entries: [
-        ["Intervention", result.data.intervention?.description],
-        ["Dosage / Protocol", result.data.intervention?.dosage],
-        ["Duration", result.data.intervention?.duration],
-        ["Comparator", result.data.comparison?.description],
-        ["Comparator Type", result.data.comparison?.controlType]
+        ["Intervention", result.data.intervention?.description, "intervention.description"],
+        ["Dosage / Protocol", result.data.intervention?.dosage, "intervention.dosage"],
+        ["Duration", result.data.intervention?.duration, "intervention.duration"],
+        ["Comparator", result.data.comparison?.description, "comparison.description"],
+        ["Comparator Type", result.data.comparison?.controlType, "comparison.controlType"]
       ]
     },
     {
       title: "Primary Outcome",
       entries: [
-        ["Measure", result.data.outcomes?.primary?.measure],
-        ["Intervention Result", result.data.outcomes?.primary?.interventionResult],
-        ["Control Result", result.data.outcomes?.primary?.controlResult],
-        ["p-Value", normalizeStatistic(result.data.outcomes?.primary?.pValue)],
-        ["Confidence Interval", result.data.outcomes?.primary?.confidenceInterval],
-        ["Effect Size", result.data.outcomes?.primary?.effectSize]
+        ["Measure", result.data.outcomes?.primary?.measure, "outcomes.primary.measure"],
+        ["Intervention Result", result.data.outcomes?.primary?.interventionResult, "outcomes.primary.interventionResult"],
+        ["Control Result", result.data.outcomes?.primary?.controlResult, "outcomes.primary.controlResult"],
+        ["p-Value", normalizeStatistic(result.data.outcomes?.primary?.pValue), "outcomes.primary.pValue"],
+        ["Confidence Interval", result.data.outcomes?.primary?.confidenceInterval, "outcomes.primary.confidenceInterval"],
+        ["Effect Size", result.data.outcomes?.primary?.effectSize, "outcomes.primary.effectSize"]
       ].filter(entry => entry && hasRealValue(entry[1]))
     },
     // Only include Secondary Outcomes section if there are actual outcomes
     result.data.outcomes?.secondary?.length > 0 && {
       title: "Secondary Outcomes",
-      customBody: renderSecondaryOutcomes(result.data.outcomes?.secondary)
+      customBody: renderSecondaryOutcomes(result.data.outcomes?.secondary, annotations.unverified)
+    },
+    result.tables?.length > 0 && {
+      title: `Tables (${result.tables.length})`,
+      customBody: renderDataTables(result.tables)
     },
+    ...["methods", "results"].map((sectionKey) => {
+      const cited = (result.references || []).filter((reference) => reference.citedIn?.includes(sectionKey));
+      return cited.length > 0 && {
+        title: `References cited in the ${capitalize(sectionKey)} (${cited.length})`,
+        customBody: renderReferenceList(cited)
+      };
+    }),
     {
       title: "Interpretation",
       entries: [
         // Only show NNT if it has a real numeric value
-        sanitizePlaceholder(result.data.interpretation?.NNT) && !["not reported", "not calculated", "not applicable"].includes(String(result.data.interpretation?.NNT).toLowerCase()) && ["NNT", result.data.interpretation.NNT],
-        ["Interpretation", result.data.interpretation?.interpretation],
+        sanitizePlaceholder(result.data.interpretation?.NNT) && !["not reported", "not calculated", "not applicable"].includes(String(result.data.interpretation?.NNT).toLowerCase()) && ["NNT", result.data.interpretation.NNT, "interpretation.NNT"],
+        ["Interpretation", result.data.interpretation?.interpretation, "interpretation.interpretation"],
         [
           "Limitations",
-          arrayDefinitionValue(result.data.interpretation?.limitations, "Not listed", { bullet: true })
+          arrayDefinitionValue(result.data.interpretation?.limitations, "Not listed", { bullet: true }),
+          "interpretation.limitations"
         ],
-        ["Applicability", result.data.interpretation?.applicability]
+        ["Applicability", result.data.interpretation?.applicability, "interpretation.applicability"]
       ].filter(Boolean)
     },
     result.data.frameworkSpecific && Object.keys(result.data.frameworkSpecific).length > 0 && {
       title: `${classification?.framework || result.data.framework || "Framework"} Details`,
-      customBody: renderFrameworkSpecific(result.data.frameworkSpecific)
+      customBody: renderFrameworkSpecific(result.data.frameworkSpecific, annotations)
     }
   ].filter(Boolean);
 
   const html = [
     renderResultMeta(result),
-    ...sections.map((section) => renderSectionCard(section))
+    renderCitationHeader(result.citation),
+    ...sections.map((section) => renderSectionCard(section, annotations))
   ].join("");
 
   target.classList.remove("empty-state");
   target.innerHTML = html;
+  bindSourceLinks(target, annotations.sources, onShowSource);
 }
 
 /**
@@ -136,6 +165,13 @@ export function renderMethodology(target, result) {
     return;
   }
 
+  // Designs with a dedicated appraisal tool (RoB 2, …) get the tool's own layout
+  if (result.data.tool) {
+    target.classList.remove("empty-state");
+    target.innerHTML = renderResultMeta(result) + renderAppraisal(result.data, result.numericCheck?.unverified);
+    return;
+  }
+
   // Check for validation rejection
   const validation = result.validation || result.data.contentValidation;
   const threshold = validation?.threshold || 50; // Default to 50 if not provided
@@ -181,12 +217,13 @@ export function renderMethodology(target, result) {
       )
     : "";
 
+  const unverified = result.numericCheck?.unverified || [];
   const cards = [
-    renderScoreCard("Research Question Clarity", result.data.researchQuestionClarity),
-    renderScoreCard("Sample Size & Power", result.data.sampleSizePower),
-    renderScoreCard("Randomization", result.data.randomization),
-    renderScoreCard("Blinding", result.data.blinding, { treatBooleansAsBadges: true }),
-    renderScoreCard("Statistical Approach", result.data.statisticalApproach)
+    renderScoreCard("Research Question Clarity", result.data.researchQuestionClarity, { path: "researchQuestionClarity", unverified }),
+    renderScoreCard("Sample Size & Power", result.data.sampleSizePower, { path: "sampleSizePower", unverified }),
+    renderScoreCard("Randomization", result.data.randomization, { path: "randomization", unverified }),
+    renderScoreCard("Blinding", result.data.blinding, { treatBooleansAsBadges: true, path: "blinding", unverified }),
+    renderScoreCard("Statistical Approach", result.data.statisticalApproach, { path: "statisticalApproach", unverified })
   ];
 
   const html = [
@@ -198,7 +235,7 @@ export function renderMethodology(target, result) {
     </div>`,
     ...cards,
     `<div class="result-card">
-      <h3>Key Limitations</h3>
+      <h3>Key Limitations${renderUnverifiedFlag(unverified.filter(({ path }) => isWithinField(path, "keyLimitations")))}</h3>
       ${renderBulletList(result.data.keyLimitations, "No limitations captured.")}
       <p><strong>Recommendation:</strong> ${escapeHtml(result.data.recommendation || "Not provided.")}</p>
     </div>`
@@ -225,18 +262,13 @@ export function renderSimplification(target, result) {
     return;
   }
 
-  // Format the heading based on tone and length parameters
-  const tone = result.data.tone || "more-casual";
-  const length = result.data.length || "as-is";
-  const toneLabel = tone === "more-casual" ? "Casual" : tone === "more-formal" ? "Formal" : "Neutral";
-  const lengthLabel = length === "shorter" ? "Shorter" : length === "longer" ? "Longer" : "Standard";
-  const heading = `Simplified (${toneLabel}, ${lengthLabel})`;
+  const heading = formatSimplificationHeading(result.data);
 
   const html = [
     renderResultMeta(result),
     `<div class="result-card">
       <h3>${escapeHtml(heading)}</h3>
-      <p>${escapeHtml(result.data.plainEnglish || "")}</p>
+      <div class="markdown-body">${renderMarkdown(result.data.plainEnglish || "")}</div>
     </div>`,
     result.data.keyTerms?.length
       ? `<div class="result-card">
@@ -256,6 +288,66 @@ export function renderSimplification(target, result) {
   target.innerHTML = html;
 }
 
+/**
+ * Renders a simplification that is still streaming in
+ * @param {HTMLElement} target - The target element
+ * @param {string} text - Simplified text received so far
+ * @param {Object} [options] - Simplification options (tone, length) for the heading
+ * @param {Function} [options.onCancel] - Shows a Cancel button that calls this when clicked
+ */
+export function renderSimplificationProgress(target, text, options = {}) {
+  target.classList.remove("empty-state");
+  target.innerHTML = `<div class="result-card streaming">
+    <h3>${escapeHtml(formatSimplificationHeading(options))}</h3>
+    <div class="markdown-body">${renderMarkdown(text)}</div>
+    <p class="streaming-note">Receiving response…</p>
+    ${options.onCancel ? renderCancelButton() : ""}
+  </div>`;
+  bindCancelButton(target, options.onCancel);
+}
+
+function formatSimplificationHeading({ tone = "more-casual", length = "as-is" } = {}) {
+  const toneLabel = tone === "more-casual" ? "Casual" : tone === "more-formal" ? "Formal" : "Neutral";
+  const lengthLabel = length === "shorter" ? "Shorter" : length === "longer" ? "Longer" : "Standard";
+  return `Simplified (${toneLabel}, ${lengthLabel})`;
+}
+
+/**
+ * Link and image targets model output may use; anything else (javascript:, data:) renders as text
+ * @constant {RegExp}
+ */
+const SAFE_URL_PATTERN = /^(https?:|mailto:|#)/i;
+
+let markdownParser = null;
+
+/**
+ * Renders model output as Markdown
+ * The raw text is parsed, so blockquotes and code keep their <, > and &, and the HTML is made safe
+ * in marked's renderer: raw HTML in the text is shown escaped rather than parsed, and links and
+ * images only keep http(s), mailto and fragment targets. marked is loaded as a classic script by
+ * index.html.
+ * @param {string} text - Markdown text
+ * @returns {string} HTML string
+ */
+export function renderMarkdown(text) {
+  if (typeof marked === "undefined") {
+    return `<p>${sanitizeHtml(text)}</p>`;
+  }
+  if (!markdownParser) {
+    // Returning false falls back to marked's own renderer
+    markdownParser = new marked.Marked({
+      renderer: {
+        html: ({ text: html }) => escapeHtml(html),
+        link(token) {
+          return SAFE_URL_PATTERN.test(token.href) ? false : this.parser.parseInline(token.tokens);
+        },
+        image: ({ href, text: alt }) => (SAFE_URL_PATTERN.test(href) ? false : escapeHtml(alt))
+      }
+    });
+  }
+  return markdownParser.parse(String(text ?? ""));
+}
+
 /**
  * Renders a translation result
  * @param {HTMLElement} target - The target element to render into
@@ -313,10 +405,15 @@ export function renderInfo(target, message, tone = "info") {
  * Renders a loading message
  * @param {HTMLElement} target - The target element
  * @param {string} message - The loading message
+ * @param {Function} [onCancel] - Shows a Cancel button that calls this when clicked
  */
-export function renderLoading(target, message) {
+export function renderLoading(target, message, onCancel = null) {
   target.classList.remove("empty-state");
-  target.innerHTML = `<div class="result-card">${escapeHtml(message)}</div>`;
+  target.innerHTML = `<div class="result-card loading-card">
+    <span>${escapeHtml(message)}</span>
+    ${onCancel ? renderCancelButton() : ""}
+  </div>`;
+  bindCancelButton(target, onCancel);
 }
 
 /**
@@ -381,11 +478,128 @@ function renderResultMeta(result) {
   if (result.warning) {
     parts.push(renderInfoBanner(result.warning, "warning"));
   }
+  if (result.chunking?.chunks?.length > 1) {
+    const { chunks, contributingChunks = [] } = result.chunking;
+    parts.push(renderInfoBanner(
+      `Long paper: summarized in ${chunks.length} excerpts and merged (${contributingChunks.length} contributed findings).`,
+      "info"
+    ));
+  }
+  if (result.usage) {
+    parts.push(renderUsage(result.usage));
+  }
+  if (result.schemaValidation) {
+    parts.push(renderSchemaValidation(result.schemaValidation));
+  }
+  if (result.numericCheck?.checked) {
+    parts.push(renderNumericCheck(result.numericCheck));
+  }
+  if (result.grounding?.sources?.length) {
+    const located = result.grounding.sources.filter((source) => source.start !== null).length;
+    const action = result.grounding.pageLinked ? "show its source on the page" : "see its supporting quote";
+    parts.push(`<p class="grounding-line">${escapeHtml(
+      `Click an underlined value to ${action} (${located} of ${result.grounding.sources.length} quotes found in the text).`
+    )}</p>`);
+  }
   return parts.join("");
 }
 
-function renderSectionCard(section) {
-  const content = section.customBody || renderDefinitionList(section.entries);
+/**
+ * Renders the values the schema check corrected and the fields it could not repair
+ * @param {Object} schemaValidation - Report from the AI client (result.schemaValidation)
+ * @returns {string} HTML string, empty when every field was valid
+ * @private
+ */
+function renderSchemaValidation({ repairs = [], unrepaired = [] }) {
+  if (!repairs.length && !unrepaired.length) {
+    return "";
+  }
+
+  const counts = [
+    repairs.length ? `${repairs.length} value${repairs.length === 1 ? "" : "s"} corrected` : "",
+    unrepaired.length ? `${unrepaired.length} could not be repaired` : ""
+  ].filter(Boolean).join(", ");
+
+  const items = [
+    ...repairs.map(({ path, from, to, reason }) =>
+      `<li><code>${escapeHtml(path)}</code>: ${escapeHtml(JSON.stringify(from))} → ${escapeHtml(JSON.stringify(to))} <span class="repair-note">(${escapeHtml(reason)})</span></li>`),
+    ...unrepaired.map(({ path, value, expected }) =>
+      `<li class="unrepaired"><code>${escapeHtml(path)}</code>: ${escapeHtml(JSON.stringify(value))} <span class="repair-note">(expected ${escapeHtml(expected)})</span></li>`)
+  ];
+
+  return `<details class="schema-repairs${unrepaired.length ? " has-unrepaired" : ""}">
+    <summary>Output check: ${escapeHtml(counts)}</summary>
+    <ul>${items.join("")}</ul>
+  </details>`;
+}
+
+/**
+ * Renders the numeric check: a one-line confirmation, or the list of numbers not found in the paper
+ * @param {Object} numericCheck - Report from the AI client (result.numericCheck)
+ * @returns {string} HTML string
+ * @private
+ */
+function renderNumericCheck({ checked, unverified = [] }) {
+  if (!unverified.length) {
+    return `<p class="usage-line">${escapeHtml(`All ${checked} numbers were found in the paper text.`)}</p>`;
+  }
+
+  const items = unverified.map(({ path, number, value }) =>
+    `<li><code>${escapeHtml(path)}</code>: <strong>${escapeHtml(number)}</strong>${value !== number ? ` <span class="repair-note">in “${escapeHtml(value)}”</span>` : ""}</li>`);
+
+  return `<details class="schema-repairs has-unrepaired numeric-check">
+    <summary>${escapeHtml(`${unverified.length} of ${checked} numbers unverified: not found in the paper text`)}</summary>
+    <ul>${items.join("")}</ul>
+  </details>`;
+}
+
+/**
+ * Renders the token usage line, e.g. "Used 3,412 of 6,144 tokens, 87% of the paper analyzed"
+ * @param {Object} usage - Usage report from the AI client (result.usage)
+ * @returns {string} HTML string
+ * @private
+ */
+function renderUsage(usage) {
+  const prefix = usage.estimated ? "~" : "";
+  const used = `${prefix}${usage.usedTokens.toLocaleString()}`;
+  const tokens = usage.quotaTokens
+    ? `Used ${used} of ${usage.quotaTokens.toLocaleString()} tokens`
+    : `Used ${used} tokens`;
+  const calls = usage.calls > 1 ? ` across ${usage.calls} calls` : "";
+  const subject = usage.scope === "selection" ? "the selection" : "the paper";
+
+  const details = [];
+  if (usage.droppedTokens > 0) {
+    details.push(`${prefix}${usage.droppedTokens.toLocaleString()} tokens left out`);
+  }
+  if (usage.droppedSections?.length) {
+    details.push(`sections dropped: ${usage.droppedSections.join(", ")}`);
+  }
+
+  return `<p class="usage-line">${escapeHtml(
+    `${tokens}${calls}, ${usage.analyzedPercent}% of ${subject} analyzed${details.length ? ` (${details.join("; ")})` : ""}.`
+  )}</p>`;
+}
+
+function renderCitationHeader(citation) {
+  const formatted = formatCitation(citation);
+  if (!formatted) {
+    return "";
+  }
+
+  const links = getCitationLinks(citation)
+    .map(({ label, url }) => `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(label)}</a>`)
+    .join("");
+
+  return `<div class="result-card citation-card">
+    <h3>Citation</h3>
+    <p class="citation-text">${escapeHtml(formatted)}</p>
+    ${links ? `<div class="citation-links">${links}</div>` : ""}
+  </div>`;
+}
+
+function renderSectionCard(section, annotations = {}) {
+  const content = section.customBody || renderDefinitionList(section.entries, annotations);
   
   // Don't render sections that are completely empty
   if (content.includes('No detailed data available') && !section.customBody) {
@@ -438,12 +652,15 @@ function renderScoreCard(title, block, options = {}) {
     }
   }
 
+  // Field paths let the definition list flag unverified numbers
+  const field = (key) => (options.path ? `${options.path}.${key}` : []);
+
   if (block.method) {
-    entries.push(["Method", block.method]);
+    entries.push(["Method", block.method, field("method")]);
   }
 
   if (block.methods?.length) {
-    entries.push(["Methods", arrayDefinitionValue(block.methods, "Not specified")]);
+    entries.push(["Methods", arrayDefinitionValue(block.methods, "Not specified"), field("methods")]);
   }
 
   // Only show sample size numbers if they're actually present (not null/N/A)
@@ -454,13 +671,13 @@ function renderScoreCard(title, block, options = {}) {
     const parts = [];
     if (calcSize !== null) parts.push(`Calculated: ${formatNumber(calcSize)}`);
     if (actualSize !== null) parts.push(`Actual: ${formatNumber(actualSize)}`);
-    entries.push(["Sample Size", parts.join(", ")]);
+    entries.push(["Sample Size", parts.join(", "), [field("calculated"), field("actual")].flat()]);
   }
   
   // Only show assessment if it has meaningful content
   const assessment = sanitizePlaceholder(block.assessment);
   if (assessment && !String(assessment).toLowerCase().includes("not applicable")) {
-    entries.push(["Assessment", assessment]);
+    entries.push(["Assessment", assessment, field("assessment")]);
   }
   
   // Show justification/reasoning if available (useful for Randomization)
@@ -468,17 +685,21 @@ function renderScoreCard(title, block, options = {}) {
     entries.push(["Justification", block.justification || block.reasoning]);
   }
 
+  const listFlag = (key) => (options.path
+    ? renderUnverifiedFlag((options.unverified || []).filter(({ path }) => isWithinField(path, field(key))))
+    : "");
+
   const content = [
-    renderDefinitionList(entries),
+    renderDefinitionList(entries, { unverified: options.unverified }),
     block.strengths?.length
       ? `<div>
-           <strong>Strengths</strong>
+           <strong>Strengths</strong>${listFlag("strengths")}
            ${renderBulletList(block.strengths, "No strengths provided.")}
          </div>`
       : "",
     block.concerns?.length
       ? `<div>
-           <strong>Concerns</strong>
+           <strong>Concerns</strong>${listFlag("concerns")}
            ${renderBulletList(block.concerns, "No concerns raised.")}
          </div>`
       : ""
@@ -490,32 +711,331 @@ function renderScoreCard(title, block, options = {}) {
   </div>`;
 }
 
-function renderSecondaryOutcomes(outcomes) {
+function renderAppraisal(data, unverified = []) {
+  const notes = (data.overall.notes || []).map((note) => renderInfoBanner(note, "warning")).join("");
+  // Flags the model's own text holding numbers not in the paper
+  const flagAt = (field) => renderUnverifiedFlag(unverified.filter(({ path }) => isWithinField(path, field)));
+  const outcome = data.outcome
+    ? `<p class="appraisal-outcome"><strong>Result assessed:</strong> ${escapeHtml(data.outcome)}${flagAt("outcome")}</p>`
+    : "";
+
+  if (data.layout === "checklist") {
+    return renderChecklistAssessment(data, notes, flagAt);
+  }
+
+  if (data.layout === "grade") {
+    return renderGradeAssessment(data, notes, flagAt);
+  }
+
+  // QUADAS-2: one card per domain with its risk of bias and applicability side by side
+  if (data.layout === "quadas") {
+    return [
+      `<div class="result-card">
+        <h3>${escapeHtml(data.toolName)}</h3>
+        ${outcome}
+        <div class="quadas-judgements">
+          <span>Risk of bias</span>${renderRiskLight(data.overall)}
+          <span>Applicability concerns</span>${renderRiskLight(data.overall.applicability)}
+        </div>
+        ${notes}
+      </div>`,
+      ...data.domains.map((domain, index) => renderQuadasDomainCard(domain, flagAt(`domains[${index}].rationale`)))
+    ].join("");
+  }
+
+  return [
+    `<div class="result-card">
+      <h3>${escapeHtml(data.toolName)}</h3>
+      ${outcome}
+      ${renderTrafficLightTable(data)}
+      ${notes}
+    </div>`,
+    `<div class="result-card">
+      <h3>Signalling Questions</h3>
+      ${data.domains.map((domain, index) => renderAppraisalDomain(domain, flagAt(`domains[${index}].rationale`))).join("")}
+    </div>`
+  ].join("");
+}
+
+function renderChecklistAssessment(data, notes, flagAt) {
+  const { criticalFlaws = [], weaknesses = [], score, subscores = [], completeness } = data.overall;
+  const counts = [
+    criticalFlaws.length ? `${criticalFlaws.length} critical flaw${criticalFlaws.length === 1 ? "" : "s"} (items ${criticalFlaws.join(", ")})` : "",
+    weaknesses.length ? `${weaknesses.length} non-critical weakness${weaknesses.length === 1 ? "" : "es"} (items ${weaknesses.join(", ")})` : ""
+  ].filter(Boolean).join("; ");
+  const scoreLine = score
+    ? `<p class="appraisal-score"><strong>Total: ${escapeHtml(`${score.value}/${score.max}`)}</strong>${score.unit ? ` ${escapeHtml(score.unit)}` : ""}${subscores.length
+      ? ` (${escapeHtml(subscores.map(({ name, value, max }) => `${name} ${value}/${max}`).join(", "))})`
+      : ""}</p>`
+    : "";
+  // Reporting checklists (CARE, …) count items instead of scoring them
+  const completenessLine = completeness
+    ? `<p class="appraisal-score"><strong>${escapeHtml(`${completeness.percent}% complete`)}</strong> ${escapeHtml(
+      `(${completeness.reported} reported, ${completeness.partial} partially, ${completeness.notReported} not reported${
+        completeness.notApplicable ? `, ${completeness.notApplicable} not applicable` : ""} of ${completeness.total} items)`
+    )}</p>`
+    : "";
+
+  // One card per section (NOS categories), or a single card of items
+  const sections = [];
+  data.items.forEach((item, index) => {
+    const title = item.section || "Items";
+    if (sections[sections.length - 1]?.title !== title) {
+      sections.push({ title, items: [] });
+    }
+    sections[sections.length - 1].items.push({ item, flag: flagAt(`items[${index}].justification`) });
+  });
+
+  return [
+    `<div class="result-card">
+      <h3>${escapeHtml(data.toolName)}</h3>
+      <p class="appraisal-overall">${escapeHtml(data.overallLabel || "Overall")}: ${renderRiskLight(data.overall)}</p>
+      ${scoreLine}
+      ${completenessLine}
+      ${counts ? `<p class="appraisal-outcome">${escapeHtml(counts)}</p>` : ""}
+      ${notes}
+    </div>`,
+    ...sections.map(({ title, items }) => `<div class="result-card">
+      <h3>${escapeHtml(title)}</h3>
+      <ol class="signalling-list checklist-items">${items.map(({ item, flag }) => renderChecklistItem(item, flag)).join("")}</ol>
+    </div>`)
+  ].join("");
+}
+
+function renderChecklistItem(item, flag = "") {
+  const stars = item.maxPoints !== undefined
+    ? `<span class="item-stars" title="${escapeHtml(`${item.points} of ${item.maxPoints}`)}">${"★".repeat(item.points)}${"☆".repeat(item.maxPoints - item.points)}</span>`
+    : "";
+  return `<li class="${item.critical && item.answer === "No" ? "critical-flaw" : ""}">
+    <span class="signalling-answer">${escapeHtml(item.answer)}</span>
+    <span>${escapeHtml(`${item.id}. ${item.text}`)}</span>
+    ${stars}
+    ${item.critical ? renderBadge("Critical", "warning") : ""}
+    ${item.fromExtraction ? renderBadge("From summary") : ""}
+    ${item.justification ? `<p class="appraisal-rationale">${escapeHtml(item.justification)}${flag}</p>` : ""}
+    ${renderSignallingQuote(item)}
+  </li>`;
+}
+
+function renderGradeAssessment(data, notes, flagAt) {
+  const rows = data.outcomes
+    .map((outcome, index) => `<tr>
+      <th scope="row">${escapeHtml(outcome.name)}<br><small>${escapeHtml(outcome.importance)}</small></th>
+      <td>${escapeHtml(outcome.effect || "—")}</td>
+      <td>${escapeHtml(outcome.participants || "—")}${flagAt(`outcomes[${index}].participants`)}</td>
+      <td>${renderCertainty(outcome)}</td>
+      <td>${outcome.reasons.length
+        ? `<ul class="grade-reasons">${outcome.reasons.map((reason) => `<li>${escapeHtml(reason)}</li>`).join("")}</ul>`
+        : escapeHtml(`Not rated down (${outcome.design.toLowerCase()})`)}</td>
+    </tr>`)
+    .join("");
+
+  return [
+    `<div class="result-card">
+      <h3>${escapeHtml(`${data.toolName} Summary of Findings`)}</h3>
+      <p class="appraisal-overall">${escapeHtml(data.overallLabel)}: ${renderCertainty(data.overall)}</p>
+      <div class="data-table-scroll">
+        <table class="data-table sof-table">
+          <thead><tr><th>Outcome</th><th>Effect</th><th>Participants (studies)</th><th>Certainty</th><th>Reasons</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      ${notes}
+    </div>`,
+    `<div class="result-card">
+      <h3>GRADE Factors</h3>
+      ${data.outcomes.map((outcome, index) => `<details class="appraisal-domain">
+        <summary>${escapeHtml(outcome.name)} ${renderCertainty(outcome)}</summary>
+        <p class="appraisal-outcome">${escapeHtml(`${outcome.design}: starts at ${outcome.start}`)}</p>
+        <ol class="signalling-list">${outcome.factors.map((factor, factorIndex) => `<li>
+          <span class="signalling-answer">${escapeHtml(factor.answer)}</span>
+          <span>${escapeHtml(factor.name)}</span>
+          ${factor.reason ? `<p class="appraisal-rationale">${escapeHtml(factor.reason)}${flagAt(`outcomes[${index}].factors[${factorIndex}].reason`)}</p>` : ""}
+        </li>`).join("")}</ol>
+      </details>`).join("")}
+    </div>`
+  ].join("");
+}
+
+function renderCertainty({ judgement, level }) {
+  // GRADE's own notation: one filled circle per level of certainty
+  const filled = { "Very low": 1, Low: 2, Moderate: 3, High: 4 }[judgement] || 0;
+  return `<span class="risk-judgement">
+    <span class="grade-symbols risk-${escapeHtml(level || "unknown")}" aria-hidden="true">${"⊕".repeat(filled)}${"◯".repeat(4 - filled)}</span>
+    ${escapeHtml(judgement)}
+  </span>`;
+}
+
+function renderTrafficLightTable(data) {
+  const rows = data.domains
+    .map((domain) => `<tr>
+      <th scope="row">${escapeHtml(`${domain.id}. ${domain.name}`)}</th>
+      <td>${renderRiskLight(domain)}</td>
+    </tr>`)
+    .join("");
+
+  return `<table class="data-table traffic-light-table">
+    <thead><tr><th>Domain</th><th>Judgement</th></tr></thead>
+    <tbody>
+      ${rows}
+      <tr class="overall-row"><th scope="row">Overall</th><td>${renderRiskLight(data.overall)}</td></tr>
+    </tbody>
+  </table>`;
+}
+
+function renderRiskLight({ judgement, level }) {
+  // Symbols as in robvis plots, so the table reads the same without colour
+  const symbols = { low: "+", some: "−", moderate: "−", high: "×", serious: "×", critical: "!" };
+  return `<span class="risk-judgement">
+    <span class="risk-light risk-${escapeHtml(level || "unknown")}" aria-hidden="true">${symbols[level] || "?"}</span>
+    ${escapeHtml(judgement)}
+  </span>`;
+}
+
+function renderQuadasDomainCard(domain, flag = "") {
+  return `<div class="result-card quadas-domain">
+    <h3>${escapeHtml(`${domain.id}. ${domain.name}`)}</h3>
+    <div class="quadas-judgements">
+      <span>Risk of bias</span>${renderRiskLight(domain)}
+      ${domain.applicability ? `<span>Applicability concerns</span>${renderRiskLight(domain.applicability)}` : ""}
+    </div>
+    ${renderSignallingList(domain.questions)}
+    ${domain.rationale ? `<p class="appraisal-rationale">${escapeHtml(domain.rationale)}${flag}</p>` : ""}
+  </div>`;
+}
+
+function renderAppraisalDomain(domain, flag = "") {
+  return `<details class="appraisal-domain">
+    <summary>${escapeHtml(`${domain.id}. ${domain.name}`)} ${renderRiskLight(domain)}</summary>
+    ${renderSignallingList(domain.questions)}
+    ${domain.rationale ? `<p class="appraisal-rationale">${escapeHtml(domain.rationale)}${flag}</p>` : ""}
+  </details>`;
+}
+
+function renderSignallingList(questions) {
+  const items = questions
+    .map((question) => {
+      return `<li class="${question.applicable ? "" : "not-applicable"}">
+        <span class="signalling-answer">${escapeHtml(question.answer)}</span>
+        <span>${escapeHtml(`${question.id} ${question.text}`)}</span>
+        ${renderSignallingQuote(question)}
+      </li>`;
+    })
+    .join("");
+
+  return `<ul class="signalling-list">${items}</ul>`;
+}
+
+function renderSignallingQuote({ quote, quoteFound, location }) {
+  if (!quote) {
+    return "";
+  }
+  const flag = quoteFound === false
+    ? ` <span class="unverified-flag" title="This quote could not be found in the paper text">quote not found</span>`
+    : "";
+  const cite = location ? ` <cite class="quote-location">${escapeHtml(capitalize(location))}</cite>` : "";
+  return `<blockquote class="signalling-quote">“${escapeHtml(quote)}”${cite}${flag}</blockquote>`;
+}
+
+function renderSecondaryOutcomes(outcomes, unverified = []) {
   if (!outcomes?.length) {
     return renderInfoBanner("No secondary outcomes provided.", "info");
   }
 
   const items = outcomes
+    .map((outcome, index) => outcome && {
+      outcome,
+      flag: renderUnverifiedFlag(unverified.filter(({ path }) => isWithinField(path, `outcomes.secondary[${index}]`)))
+    })
     .filter(Boolean)
     .map(
-      (outcome) =>
+      ({ outcome, flag }) =>
         `<li><strong>${escapeHtml(outcome.measure || "Outcome")}:</strong> ${sanitizeHtml(
           outcome.result || "Result not specified"
-        )}</li>`
+        )}${flag}</li>`
     );
 
   return `<ul>${items.join("")}</ul>`;
 }
 
-function renderDefinitionList(entries = []) {
-  const normalized = entries.filter((entry) => entry && entry.length === 2);
+function renderReferenceList(references) {
+  const items = references.map((reference) => {
+    const links = getCitationLinks(reference)
+      .map(({ label, url }) => `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(label)}</a>`)
+      .join("");
+    return `<li value="${Number(reference.number) || ""}">
+      ${escapeHtml(formatReference(reference))}
+      ${links ? `<div class="citation-links">${links}</div>` : ""}
+    </li>`;
+  });
+  return `<ol class="reference-list">${items.join("")}</ol>`;
+}
+
+function renderDataTables(tables) {
+  return tables
+    .map((table, index) => `<details class="data-table-block"${index === 0 ? " open" : ""}>
+      <summary>${escapeHtml(formatTableLabel(table))}</summary>
+      <div class="data-table-scroll">${renderDataTable(table)}</div>
+      ${table.footnotes?.length
+        ? `<div class="data-table-notes">${table.footnotes.map((note) => `<p>${escapeHtml(note)}</p>`).join("")}</div>`
+        : ""}
+    </details>`)
+    .join("");
+}
+
+function renderDataTable(table) {
+  const headerRows = table.headerRows || [];
+  const allRows = [...headerRows, ...(table.rows || [])];
+
+  // Rebuild merged cells: the span origin gets rowspan/colspan, the slots it covers are skipped
+  const origins = new Map();
+  const covered = new Set();
+  (table.spans || []).forEach((span) => {
+    origins.set(`${span.row}:${span.column}`, span);
+    for (let r = 0; r < span.rowSpan; r += 1) {
+      for (let c = 0; c < span.colSpan; c += 1) {
+        if (r || c) {
+          covered.add(`${span.row + r}:${span.column + c}`);
+        }
+      }
+    }
+  });
+
+  const renderRow = (row, rowIndex, cellTag) => `<tr>${row
+    .map((text, column) => {
+      const key = `${rowIndex}:${column}`;
+      if (covered.has(key)) {
+        return "";
+      }
+      const span = origins.get(key);
+      const attributes = [
+        span?.rowSpan > 1 ? ` rowspan="${span.rowSpan}"` : "",
+        span?.colSpan > 1 ? ` colspan="${span.colSpan}"` : ""
+      ].join("");
+      return `<${cellTag}${attributes}>${escapeHtml(text)}</${cellTag}>`;
+    })
+    .join("")}</tr>`;
+
+  const head = headerRows.map((row, rowIndex) => renderRow(row, rowIndex, "th")).join("");
+  const body = allRows
+    .slice(headerRows.length)
+    .map((row, index) => renderRow(row, headerRows.length + index, "td"))
+    .join("");
+
+  return `<table class="data-table">${head ? `<thead>${head}</thead>` : ""}<tbody>${body}</tbody></table>`;
+}
+
+function renderDefinitionList(entries = [], { sources = [], unverified = [] } = {}) {
+  // [label, value] or [label, value, field path(s)]; paths link the value to its supporting quote
+  // and to the numeric check
+  const normalized = entries.filter((entry) => entry && entry.length >= 2);
 
   if (!normalized.length) {
     return `<p class="empty-text">No data available.</p>`;
   }
 
   // Filter out entries with empty/placeholder values
-  const filteredEntries = normalized.filter(([key, value]) => {
+  const filteredEntries = normalized.filter(([, value]) => {
     return hasRealValue(value);
   });
 
@@ -524,21 +1044,93 @@ function renderDefinitionList(entries = []) {
   }
 
   const html = filteredEntries
-    .map(
-      ([key, value]) =>
-        `<dt>${escapeHtml(String(key))}</dt><dd>${renderDefinitionValue(value)}</dd>`
-    )
+    .map(([key, value, field]) => {
+      const fields = [].concat(field || []);
+      const source = fields.length === 1 ? findSourceForField(sources, fields[0]) : null;
+      const flag = renderUnverifiedFlag(unverified.filter(({ path }) => fields.some((name) => isWithinField(path, name))));
+      return `<dt>${escapeHtml(String(key))}</dt>${source ? renderSourcedValue(value, source, flag) : `<dd>${renderDefinitionValue(value)}${flag}</dd>`}`;
+    })
     .join("");
 
   return `<dl class="dl">${html}</dl>`;
 }
 
-function renderFrameworkSpecific(obj = {}) {
+function renderFrameworkSpecific(obj = {}, annotations = {}) {
   if (!obj || typeof obj !== "object" || !Object.keys(obj).length) {
     return `<p class="empty-text">No framework-specific details.</p>`;
   }
-  const entries = Object.entries(obj).map(([k, v]) => [formatKey(k), normalizeValue(v)]);
-  return renderDefinitionList(entries);
+  const entries = Object.entries(obj).map(([k, v]) => [formatKey(k), normalizeValue(v), `frameworkSpecific.${k}`]);
+  return renderDefinitionList(entries, annotations);
+}
+
+/**
+ * Renders a value backed by a supporting quote as a focusable, clickable definition
+ * @param {*} value - Definition value
+ * @param {Object} source - Grounded quote (result.grounding.sources entry)
+ * @param {string} [flag=""] - Unverified-number flag rendered after the value
+ * @returns {string} HTML string
+ * @private
+ */
+function renderSourcedValue(value, source, flag = "") {
+  const located = source.start !== null;
+  const hint = located ? "Show source on the page" : "Quote not found in the extracted text; try finding it on the page";
+  return `<dd class="sourced${located ? "" : " source-unlocated"}" data-source-field="${escapeHtml(source.field)}" role="button" tabindex="0" title="${escapeHtml(`${hint}: “${source.quote}”`)}">${renderDefinitionValue(value)}${flag}</dd>`;
+}
+
+/**
+ * Finds the quote supporting a field, or else the best one for a field below it
+ * (e.g. "population.sampleSize.total" for "population.sampleSize")
+ * @param {Array<Object>} sources - Grounded quotes (result.grounding.sources)
+ * @param {string} field - Field path
+ * @returns {Object|null} Grounded quote, or null when the field has none
+ * @private
+ */
+function findSourceForField(sources, field) {
+  const candidates = sources.filter((source) => isWithinField(source.field, field));
+  if (!candidates.length) {
+    return null;
+  }
+  return candidates.find((source) => source.field === field) ||
+    candidates.reduce((best, source) => (source.score > best.score ? source : best));
+}
+
+function isWithinField(path, field) {
+  return path === field || path.startsWith(`${field}.`) || path.startsWith(`${field}[`);
+}
+
+/**
+ * Renders the "unverified" flag for numbers that were not found in the paper text
+ * @param {Array<Object>} items - Unverified numbers (result.numericCheck.unverified entries)
+ * @returns {string} HTML string, empty when there are none
+ * @private
+ */
+function renderUnverifiedFlag(items) {
+  if (!items.length) {
+    return "";
+  }
+  const numbers = [...new Set(items.map(({ number }) => number))].join(", ");
+  return ` <span class="unverified-flag" title="${escapeHtml(`Not found in the paper text: ${numbers}`)}">unverified</span>`;
+}
+
+function bindSourceLinks(target, sources, onShowSource) {
+  if (!onShowSource || !sources.length) {
+    return;
+  }
+  target.querySelectorAll("[data-source-field]").forEach((element) => {
+    const source = sources.find(({ field }) => field === element.dataset.sourceField);
+    element.addEventListener("click", (event) => {
+      // Let links inside the value (e.g. registry IDs) keep working
+      if (!event.target.closest("a")) {
+        onShowSource(source);
+      }
+    });
+    element.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        onShowSource(source);
+      }
+    });
+  });
 }
 
 function normalizeValue(v) {
@@ -563,6 +1155,24 @@ function formatKey(key) {
     .replace(/^\w/, (c) => c.toUpperCase());
 }
 
+function renderStudyTypeBadges(studyType, evidenceLevel) {
+  if (!studyType) {
+    return studyType;
+  }
+  const levelBadge = evidenceLevel
+    ? renderBadge(`CEBM Level ${evidenceLevel.level}`, evidenceLevel.level <= 2 ? "success" : evidenceLevel.level >= 4 ? "warning" : "info")
+    : "";
+  return { __html: `${renderBadge(studyType)} ${levelBadge}`.trim() };
+}
+
+function renderLevelOfEvidence(evidenceLevel) {
+  const gradedDown = evidenceLevel.level !== evidenceLevel.baseLevel ? `, graded down from level ${evidenceLevel.baseLevel}` : "";
+  const summary = `Oxford CEBM 2011 level ${evidenceLevel.level} for a ${evidenceLevel.questionType.toLowerCase()} question${gradedDown}`;
+  return {
+    __html: `<p>${escapeHtml(summary)}</p>${evidenceLevel.downgrades.length ? renderBulletList(evidenceLevel.downgrades) : ""}`
+  };
+}
+
 function normalizeClassification(result) {
   const dataType = result?.data?.studyType;
   const dataFramework = result?.data?.framework;
@@ -710,6 +1320,16 @@ function renderInfoBanner(message, tone = "info") {
   return `<div class="${className}">${escapeHtml(message)}</div>`;
 }
 
+function renderCancelButton() {
+  return `<button type="button" class="ghost cancel-btn">Cancel</button>`;
+}
+
+function bindCancelButton(target, onCancel) {
+  if (onCancel) {
+    target.querySelector(".cancel-btn")?.addEventListener("click", onCancel, { once: true });
+  }
+}
+
 function renderBadge(label, tone = "info") {
   const toneClass =
     tone === "warning" ? "warning" : tone === "error" ? "error" : tone === "success" ? "success" : "";